@@ -1,135 +1,68 @@
-import { useEffect, useState, lazy, Suspense } from 'react'
+import { lazy, Suspense, useEffect } from 'react'
 import './App.css'
+import SearchBox from './SearchBox'
+import LanguageSelector from './LanguageSelector'
+import CompareView from './CompareView'
+import { useProfile } from './data/hooks'
+import { useTranslation } from './i18n/locale'
+import { buildComparePath, useRoute } from './utils/routes'
+import { followLink } from './utils/urlUtils'
+import { rememberProfile } from './utils/recentProfiles'
 
 // Lazy load the Tabs component to reduce initial bundle size
 const Tabs = lazy(() => import('./Tabs'))
 
 function App() {
-  const params = new URLSearchParams(window.location.search)
-  const [username, setUsername] = useState(params.get('username'))
+  const { username, compare } = useRoute()
+  const { locale, t, formatCount } = useTranslation()
 
-  const [data, setData] = useState(null)
-  const [error, setError] = useState(null)
-  const [loading, setLoading] = useState(false)
+  // Cached and deduplicated by the data layer; revisiting a profile costs no request
+  const { data, error, loading, refresh } = useProfile(username)
 
+  // Feeds the search box's suggestions
   useEffect(() => {
-    if (!username) return
-    setLoading(true)
-    
-    // Use AbortController for better performance and cleanup
-    const abortController = new AbortController()
-    
-    fetch(`/snap/@${username}?locale=en-US`, {
-      signal: abortController.signal,
-      headers: {
-        'Cache-Control': 'public, max-age=300' // 5 minute cache
-      }
-    })
-      .then((res) => res.text())
-      .then((html) => {
-        const parser = new DOMParser()
-        const doc = parser.parseFromString(html, 'text/html')
-        const title = doc.querySelector('meta[property="og:title"]')?.content
-        const description = doc.querySelector('meta[property="og:description"]')?.content
-        
-        // Try to get the working profile image from srcset first, then fallback to og:image
-        let image = doc.querySelector('meta[property="og:image"]')?.content
-        const profileImg = doc.querySelector('img[alt="Profile Picture"]')
-        if (profileImg?.srcset) {
-          // Extract the URL from srcset (format: "url size")
-          const srcsetUrl = profileImg.srcset.split(' ')[0]
-          if (srcsetUrl && srcsetUrl.startsWith('https://')) {
-            image = srcsetUrl
-          }
-        }
-        const nextData = doc.getElementById('__NEXT_DATA__')?.textContent
-        let subscriberCount, bio, userType
-        if (nextData) {
-          try {
-            const json = JSON.parse(nextData)
-            const profile = json?.props?.pageProps?.userProfile?.publicProfileInfo
-            
-            // Format subscriber count (e.g., "12743200" -> "13M")
-            if (profile?.subscriberCount) {
-              const count = parseInt(profile.subscriberCount)
-              if (count >= 1000000) {
-                subscriberCount = Math.round(count / 1000000) + 'M'
-              } else if (count >= 1000) {
-                subscriberCount = Math.round(count / 1000) + 'K'
-              } else {
-                subscriberCount = count.toString()
-              }
-            }
-            
-            bio = profile?.bio
-            
-            // Extract userType from subcategoryStringId (e.g., "public-profile-subcategory-v3-artist" -> "Artist")
-            if (profile?.subcategoryStringId) {
-              const subcategory = profile.subcategoryStringId.replace('public-profile-subcategory-v3-', '')
-              userType = subcategory.charAt(0).toUpperCase() + subcategory.slice(1)
-            }
-          } catch (err) {
-            // Log error in development for debugging
-            if (import.meta.env.DEV) {
-              console.warn('Failed to parse Next.js data:', err)
-            }
-          }
-        }
-        setData({ title, description, image, subscriberCount, bio, userType })
-      })
-      .catch((err) => {
-        if (err.name !== 'AbortError') {
-          setError(err)
-        }
-      })
-      .finally(() => setLoading(false))
-    
-    return () => {
-      abortController.abort()
-    }
-  }, [username])
+    if (data) rememberProfile(data)
+  }, [data])
 
-  // Listen for profile navigation events from other components
-  useEffect(() => {
-    const handleProfileNavigation = (event) => {
-      const newUsername = event.detail.username
-      if (newUsername !== username) {
-        setUsername(newUsername)
-        setData(null) // Clear old data
-        setError(null)
-      }
-    }
-
-    window.addEventListener('profile-navigation', handleProfileNavigation)
-    return () => window.removeEventListener('profile-navigation', handleProfileNavigation)
-  }, [username])
+  if (compare) return <CompareView />
 
   if (!username) {
-    return <p>Provide a username query parameter, e.g. ?username=moonlightbae</p>
+    return (
+      <div className="landing">
+        <p>{t('landing.prompt', { example: '/@moonlightbae' })}</p>
+        <SearchBox />
+      </div>
+    )
   }
 
-  if (loading) return <p>Loading…</p>
-  if (error) return <p>Error loading profile.</p>
+  if (loading && !data) return <p>{t('profile.loading')}</p>
+  if (error) {
+    return (
+      <p>
+        {t('profile.error')} <button type="button" onClick={refresh}>{t('common.tryAgain')}</button>
+      </p>
+    )
+  }
 
   return (
     <div className="app">
       {/* Left Sidebar - Login */}
       <div className="login-sidebar">
         <div className="login-form">
-          <h1>Log in to Snapchat</h1>
-          <p className="subtitle">Chat, Snap, and video call your friends. Watch Stories and Spotlight, all from your computer.</p>
+          <h1>{t('login.title')}</h1>
+          <p className="subtitle">{t('login.subtitle')}</p>
           
           <div className="login-field">
-            <label>Username or email address</label>
-            <input type="text" placeholder="Username or email address" />
+            <label>{t('login.username')}</label>
+            <input type="text" placeholder={t('login.username')} />
           </div>
           
-          <button className="phone-toggle">Use phone number instead</button>
+          <button className="phone-toggle">{t('login.usePhone')}</button>
           
-          <button className="login-btn">Log in</button>
+          <button className="login-btn">{t('login.submit')}</button>
           
           <p className="download-link">
-            Looking for the app? <a href="https://snapchat.com/download">Get it here.</a>
+            {t('login.getApp')} <a href="https://snapchat.com/download">{t('login.getAppLink')}</a>
           </p>
         </div>
       </div>
@@ -140,48 +73,55 @@ function App() {
         <nav className="top-navigation">
           <div className="nav-brand">
             <div className="snapchat-logo">👻</div>
-            <div className="search-box">
-              <span>🔍</span>
-              <input type="text" placeholder="Search" />
-            </div>
+            <SearchBox />
           </div>
           
           <div className="nav-menu">
             <a href="#" className="nav-item">
               <div className="nav-icon"></div>
-              <span className="nav-label">Stories</span>
+              <span className="nav-label">{t('nav.stories')}</span>
             </a>
             <a href="#" className="nav-item">
               <div className="nav-icon"></div>
-              <span className="nav-label">Spotlight</span>
+              <span className="nav-label">{t('nav.spotlight')}</span>
             </a>
             <a href="#" className="nav-item">
               <div className="nav-icon"></div>
-              <span className="nav-label">Chat</span>
+              <span className="nav-label">{t('nav.chat')}</span>
             </a>
             <a href="#" className="nav-item">
               <div className="nav-icon"></div>
-              <span className="nav-label">Lenses</span>
+              <span className="nav-label">{t('nav.lenses')}</span>
             </a>
             <a href="#" className="nav-item">
               <div className="nav-icon"></div>
               <span className="nav-label">Snapchat+</span>
             </a>
-            <button className="download-btn">Download</button>
+            <button className="download-btn">{t('nav.download')}</button>
           </div>
         </nav>
 
         {/* Profile Section */}
+        {data?.images.hero && (
+          <img
+            src={data.images.hero}
+            alt=""
+            className="profile-hero"
+            loading="lazy"
+            decoding="async"
+          />
+        )}
+
         <div className="profile-section">
-          {data?.image && (
+          {(data?.images.profilePicture || data?.image) && (
             <img 
-              src={data.image} 
-              alt="Profile Picture" 
+              src={data.images.profilePicture || data.image} 
+              alt={t('profile.picture')}
               className="profile-image" 
               width="120" 
               height="120"
               loading="eager"
-              fetchpriority="high"
+              fetchPriority="high"
               decoding="async"
             />
           )}
@@ -189,30 +129,56 @@ function App() {
           <div className="profile-info">
             <div className="profile-header">
               <div>
-                <h2 className="profile-name">{data?.title || 'Loading...'}</h2>
+                <h2 className="profile-name">
+                  {data?.displayName || data?.title || t('profile.loading')}
+                  {data?.verified && (
+                    <span className="verified-badge" role="img" aria-label={t('profile.verified')} title={t('profile.verified')}></span>
+                  )}
+                </h2>
+              </div>
+              <div className="profile-actions">
+                <a href={buildComparePath([username])} className="share-btn" onClick={followLink}>
+                  {t('profile.compare')}
+                </a>
+                <button className="share-btn">
+                  <span>📤</span> {t('profile.share')}
+                </button>
               </div>
-              <button className="share-btn">
-                <span>📤</span> Share
-              </button>
             </div>
             
             <div className="profile-meta">
-              <span className="profile-username">{username}•</span>
-              {data?.userType && (
-                <span className="user-type">{data.userType}•</span>
+              <span className="profile-username">{username}</span>
+              {(data?.subcategory || data?.category) && (
+                <span className="user-type">{data.subcategory || data.category}</span>
+              )}
+              {data?.subscriberCount !== null && data?.subscriberCount !== undefined && (
+                <span className="follower-count">
+                  {t('profile.followers', { count: data.subscriberCount, formatted: formatCount(data.subscriberCount) })}
+                </span>
               )}
-              {data?.subscriberCount && (
-                <span className="follower-count">{data.subscriberCount.toLocaleString()} followers•</span>
+              {data?.address && (
+                <span className="profile-address">{data.address}</span>
               )}
-              <span className="last-updated">Last updated 8/15/2025</span>
             </div>
           </div>
         </div>
 
         {/* Profile Bio */}
-        {data?.bio && (
+        {(data?.bio || data?.websiteUrl || data?.snapcodeUrl) && (
           <div className="profile-bio">
             {data.bio}
+            {(data.websiteUrl || data.snapcodeUrl) && (
+              <div className="profile-links">
+                {data.websiteUrl && (
+                  <a href={data.websiteUrl} className="profile-website" target="_blank" rel="noopener noreferrer nofollow">
+                    {data.websiteUrl.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '')}
+                  </a>
+                )}
+                {data.snapcodeUrl && (
+                  <img src={data.snapcodeUrl} alt={t('profile.snapcode', { username: data.username })} className="profile-snapcode" width="48" height="48" loading="lazy" />
+                )}
+              </div>
+            )}
           </div>
         )}
 
@@ -221,10 +187,10 @@ function App() {
           <Suspense fallback={
             <div className="loading-container">
               <div className="spinner"></div>
-              <span className="sr-only">Loading content...</span>
+              <span className="sr-only">{t('common.loadingContent')}</span>
             </div>
           }>
-            <Tabs username={username} displayName={data?.title} />
+            <Tabs username={username} displayName={data?.displayName || data?.title} />
           </Suspense>
         </div>
 
@@ -232,50 +198,48 @@ function App() {
         <footer className="footer">
           <div className="footer-columns">
             <div className="footer-section">
-              <h4>Company</h4>
+              <h4>{t('footer.company')}</h4>
               <ul>
                 <li><a href="#">Snap Inc.</a></li>
-                <li><a href="#">Careers</a></li>
-                <li><a href="#">News</a></li>
+                <li><a href="#">{t('footer.careers')}</a></li>
+                <li><a href="#">{t('footer.news')}</a></li>
               </ul>
             </div>
             
             <div className="footer-section">
-              <h4>Community</h4>
+              <h4>{t('footer.community')}</h4>
               <ul>
-                <li><a href="#">Support</a></li>
-                <li><a href="#">Community Guidelines</a></li>
-                <li><a href="#">Safety Center</a></li>
+                <li><a href="#">{t('footer.support')}</a></li>
+                <li><a href="#">{t('footer.guidelines')}</a></li>
+                <li><a href="#">{t('footer.safety')}</a></li>
               </ul>
             </div>
             
             <div className="footer-section">
-              <h4>Advertising</h4>
+              <h4>{t('footer.advertising')}</h4>
               <ul>
-                <li><a href="#">Buy Ads</a></li>
-                <li><a href="#">Advertising Policies</a></li>
-                <li><a href="#">Political Ads Library</a></li>
+                <li><a href="#">{t('footer.buyAds')}</a></li>
+                <li><a href="#">{t('footer.adPolicies')}</a></li>
+                <li><a href="#">{t('footer.politicalAds')}</a></li>
               </ul>
             </div>
             
             <div className="footer-section">
-              <h4>Legal</h4>
+              <h4>{t('footer.legal')}</h4>
               <ul>
-                <li><a href="#">Privacy Center</a></li>
-                <li><a href="#">Your Privacy Choices</a></li>
-                <li><a href="#">Cookie Policy</a></li>
+                <li><a href="#">{t('footer.privacyCenter')}</a></li>
+                <li><a href="#">{t('footer.privacyChoices')}</a></li>
+                <li><a href="#">{t('footer.cookies')}</a></li>
               </ul>
             </div>
           </div>
           
           <div className="footer-bottom">
-            <select className="language-selector">
-              <option>English (US)</option>
-            </select>
+            <LanguageSelector />
             
             <div className="legal-links">
-              <a href="https://snap.com/en-US/privacy">Privacy Policy</a>
-              <a href="https://snap.com/en-US/terms">Terms of Service</a>
+              <a href={`https://snap.com/${locale}/privacy`}>{t('footer.privacyPolicy')}</a>
+              <a href={`https://snap.com/${locale}/terms`}>{t('footer.terms')}</a>
             </div>
           </div>
         </footer>
@@ -0,0 +1,155 @@
+import { useMemo } from 'react'
+import SearchBox from './SearchBox'
+import { useComparison } from './data/hooks'
+import { useTranslation } from './i18n/locale'
+import { TAB_NAMES, buildComparePath, buildPath, navigate, useSearchParams } from './utils/routes'
+import { followLink } from './utils/urlUtils'
+import { USERNAME_PATTERN } from '../../shared/username.js'
+
+// Same limit as the API (server/routes/compare.js)
+const MAX_COMPARED = 4
+const MISSING = '—'
+
+// Usernames from `?u=`, in order, without repeats or invalid ones
+function parseUsernames(searchParams) {
+  const seen = new Set()
+  return searchParams.getAll('u')
+    .map((value) => value.trim().replace(/^@/, ''))
+    .filter((username) => {
+      const id = username.toLowerCase()
+      if (!USERNAME_PATTERN.test(username) || seen.has(id)) return false
+      seen.add(id)
+      return true
+    })
+    .slice(0, MAX_COMPARED)
+}
+
+// Posts per week as small bars, oldest week first
+function ActivityBars({ weeks, label }) {
+  const busiest = Math.max(1, ...weeks)
+  return (
+    <div className="activity-bars" role="img" aria-label={label}>
+      {weeks.map((count, index) => (
+        <span key={index} className="activity-bar" style={{ height: `${Math.max(4, (count / busiest) * 100)}%` }} />
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Profiles side by side: audience, category, bio and Spotlight figures in
+ * aligned columns. The compared usernames live in the URL (`/compare?u=a&u=b`).
+ */
+export default function CompareView() {
+  const searchParams = useSearchParams()
+  const usernames = useMemo(() => parseUsernames(searchParams), [searchParams])
+  const { data, error, loading, refresh } = useComparison(usernames)
+  const { t, formatCount, formatDate } = useTranslation()
+
+  const add = (profile) => {
+    if (usernames.some((username) => username.toLowerCase() === profile.username.toLowerCase())) return
+    navigate(buildComparePath([...usernames, profile.username]))
+  }
+  const remove = (username) => {
+    navigate(buildComparePath(usernames.filter((name) => name.toLowerCase() !== username.toLowerCase())))
+  }
+
+  const count = (value) => formatCount(value) ?? MISSING
+  const rows = [
+    ['compare.subscribers', ({ profile }) => count(profile.subscriberCount)],
+    ['compare.category', ({ profile }) => profile.subcategory || profile.category || MISSING],
+    ['compare.bio', ({ profile }) => profile.bio || MISSING],
+    ['compare.spotlights', ({ spotlight }) => spotlight ? count(spotlight.count) : MISSING],
+    ['compare.totalViews', ({ spotlight }) => count(spotlight?.totalViews)],
+    ['compare.medianViews', ({ spotlight }) => count(spotlight?.medianViews)],
+    ['compare.lastPosted', ({ spotlight }) => formatDate(spotlight?.lastPostedAt) ?? MISSING],
+    ['compare.postsLast30Days', ({ spotlight }) => spotlight ? count(spotlight.postsLast30Days) : MISSING],
+    ['compare.activity', ({ spotlight }) => spotlight ? (
+      <ActivityBars
+        weeks={spotlight.weeklyPosts}
+        label={t('compare.activityLabel', { weeks: spotlight.weeklyPosts.length, counts: spotlight.weeklyPosts.join(', ') })}
+      />
+    ) : MISSING],
+    ['compare.tabs', ({ username }) => (
+      <ul className="compare-tab-links">
+        {TAB_NAMES.map((tab) => (
+          <li key={tab}>
+            <a href={buildPath({ username, tab })} onClick={followLink}>{t(`tabs.${tab}`)}</a>
+          </li>
+        ))}
+      </ul>
+    )]
+  ]
+
+  return (
+    <div className="compare-page">
+      <header className="compare-header">
+        <a href="/" className="snapchat-logo" onClick={followLink} aria-label="Snapchat">👻</a>
+        <h1>{t('compare.title')}</h1>
+        {usernames.length < MAX_COMPARED && <SearchBox onSelect={add} placeholder={t('compare.add')} />}
+      </header>
+
+      {usernames.length === 0 && <p className="compare-status">{t('compare.empty', { max: MAX_COMPARED })}</p>}
+      {loading && !data && <p className="compare-status">{t('profile.loading')}</p>}
+      {error && (
+        <p className="compare-status">
+          {t('compare.error')} <button type="button" onClick={refresh}>{t('common.tryAgain')}</button>
+        </p>
+      )}
+
+      {data && (
+        <div className="compare-table-wrapper">
+          <table className="compare-table">
+            <thead>
+              <tr>
+                <td />
+                {data.map((entry) => (
+                  <th key={entry.username} scope="col">
+                    <div className="compare-profile">
+                      {entry.profile && (entry.profile.images.profilePicture || entry.profile.image) && (
+                        <img
+                          src={entry.profile.images.profilePicture || entry.profile.image}
+                          alt=""
+                          className="compare-profile-image"
+                          width="56"
+                          height="56"
+                          loading="lazy"
+                        />
+                      )}
+                      <a href={buildPath({ username: entry.username })} onClick={followLink} className="compare-profile-name">
+                        {entry.profile?.displayName || entry.profile?.title || entry.username}
+                        {entry.profile?.verified && (
+                          <span className="verified-badge" role="img" aria-label={t('profile.verified')}></span>
+                        )}
+                      </a>
+                      <span className="compare-profile-username">@{entry.username}</span>
+                      {entry.error && <span className="compare-profile-error" role="alert">{t('compare.unavailable')}</span>}
+                      <button
+                        type="button"
+                        className="compare-remove"
+                        aria-label={t('compare.remove', { username: entry.username })}
+                        onClick={() => remove(entry.username)}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(([key, cell]) => (
+                <tr key={key}>
+                  <th scope="row">{t(key)}</th>
+                  {data.map((entry) => (
+                    <td key={entry.username}>{entry.profile ? cell(entry) : MISSING}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,21 @@
+import { SUPPORTED_LOCALES, setLocale, useTranslation } from './i18n/locale'
+
+/**
+ * Footer language picker; switching refetches the profile and tabs in the new locale
+ */
+export default function LanguageSelector() {
+  const { locale, t } = useTranslation()
+
+  return (
+    <select
+      className="language-selector"
+      aria-label={t('footer.language')}
+      value={locale}
+      onChange={(event) => setLocale(event.target.value)}
+    >
+      {SUPPORTED_LOCALES.map(({ code, label }) => (
+        <option key={code} value={code} lang={code}>{label}</option>
+      ))}
+    </select>
+  )
+}
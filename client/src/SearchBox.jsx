@@ -0,0 +1,173 @@
+import { useEffect, useId, useMemo, useState } from 'react'
+import { fetchJson } from './data/requestCache'
+import { navigateToProfile } from './utils/urlUtils'
+import { getRecentProfiles } from './utils/recentProfiles'
+import { useTranslation } from './i18n/locale'
+import { normalizeUsername } from '../../shared/username.js'
+
+const MAX_SUGGESTIONS = 8
+// Server lookups wait for a pause in typing
+const SEARCH_DELAY = 200
+
+function matches(profile, term) {
+  const needle = term.replace(/^@/, '').toLowerCase()
+  return profile.username.toLowerCase().includes(needle) ||
+    Boolean(profile.displayName?.toLowerCase().includes(needle))
+}
+
+const openProfile = (profile) => navigateToProfile(profile.username)
+
+/**
+ * Profile search: accepts a username or Snapchat link and suggests recently
+ * visited profiles plus profiles the server has cached
+ * @param {Object} props
+ * @param {(profile: { username: string }) => void} [props.onSelect] - Opens the profile by default
+ * @param {string} [props.placeholder]
+ */
+export default function SearchBox({ onSelect = openProfile, placeholder }) {
+  const listId = useId()
+  const { t } = useTranslation()
+  const [input, setInput] = useState('')
+  const [open, setOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const [recent, setRecent] = useState([])
+  const [remote, setRemote] = useState({ term: '', results: [] })
+
+  const term = input.trim()
+  const username = normalizeUsername(term)
+
+  useEffect(() => {
+    if (!term) return
+    let active = true
+    const timer = setTimeout(() => {
+      fetchJson(`/api/search?q=${encodeURIComponent(term)}`)
+        .then((body) => {
+          if (active) setRemote({ term, results: body.results })
+        })
+        .catch((error) => {
+          // Suggestions are optional; typing a username still works
+          if (import.meta.env.DEV) console.warn('Profile search failed:', error)
+        })
+    }, SEARCH_DELAY)
+
+    return () => {
+      active = false
+      clearTimeout(timer)
+    }
+  }, [term])
+
+  const suggestions = useMemo(() => {
+    const local = term ? recent.filter((profile) => matches(profile, username || term)) : recent
+    const server = term && remote.term === term ? remote.results : []
+    const seen = new Set()
+    const merged = []
+
+    for (const profile of [...local, ...server]) {
+      const id = profile.username.toLowerCase()
+      if (seen.has(id)) continue
+      seen.add(id)
+      merged.push(profile)
+    }
+
+    // Whatever was typed can always be opened directly
+    if (username && !seen.has(username)) merged.unshift({ username, direct: true })
+    return merged.slice(0, MAX_SUGGESTIONS)
+  }, [term, username, recent, remote])
+
+  const expanded = open && suggestions.length > 0
+
+  const select = (profile) => {
+    setInput('')
+    setOpen(false)
+    setActiveIndex(-1)
+    onSelect(profile)
+  }
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault()
+        setOpen(true)
+        setActiveIndex((index) => Math.min(index + 1, suggestions.length - 1))
+        break
+      case 'ArrowUp':
+        event.preventDefault()
+        setActiveIndex((index) => Math.max(index - 1, -1))
+        break
+      case 'Enter': {
+        event.preventDefault()
+        const choice = suggestions[activeIndex] || (username ? { username } : suggestions[0])
+        if (choice) select(choice)
+        break
+      }
+      case 'Escape':
+        setOpen(false)
+        setActiveIndex(-1)
+        break
+    }
+  }
+
+  return (
+    <div className="search-box">
+      <span aria-hidden="true">🔍</span>
+      <input
+        type="search"
+        placeholder={placeholder ?? t('search.placeholder')}
+        aria-label={t('search.label')}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={expanded}
+        aria-controls={listId}
+        aria-activedescendant={expanded && activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+        value={input}
+        onChange={(event) => {
+          setInput(event.target.value)
+          setOpen(true)
+          setActiveIndex(-1)
+        }}
+        onFocus={() => {
+          setRecent(getRecentProfiles())
+          setOpen(true)
+        }}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+      />
+      <ul
+        id={listId}
+        className="search-suggestions"
+        role="listbox"
+        hidden={!expanded}
+        // Keeps focus in the input so the click registers before onBlur closes the list
+        onMouseDown={(event) => event.preventDefault()}
+      >
+        {suggestions.map((profile, index) => (
+          <li
+            key={profile.username.toLowerCase()}
+            id={`${listId}-${index}`}
+            className={`search-suggestion ${index === activeIndex ? 'active' : ''}`}
+            role="option"
+            aria-selected={index === activeIndex}
+            onClick={() => select(profile)}
+          >
+            {profile.image ? (
+              <img src={profile.image} alt="" className="search-suggestion-image" width="28" height="28" loading="lazy" />
+            ) : (
+              <span className="search-suggestion-image" aria-hidden="true">👤</span>
+            )}
+            <span className="search-suggestion-text">
+              {profile.direct ? (
+                <>{t('search.goTo')} <strong>@{profile.username}</strong></>
+              ) : (
+                <>
+                  <strong>{profile.displayName || profile.username}</strong>
+                  {profile.verified && <span className="verified-badge" role="img" aria-label={t('profile.verified')}></span>}
+                  <span className="search-suggestion-username">@{profile.username}</span>
+                </>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,352 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import './App.css'
+import { openSnapchatContent } from './utils/urlUtils'
+import { useTranslation } from './i18n/locale'
+import { useStory } from './data/hooks'
+import { ITEM_KINDS, getItemKey } from '../../shared/contentItem.js'
+
+const NO_SNAPS = []
+
+// Seconds a snap stays up when its media doesn't say: images, and videos that failed to load
+const DEFAULT_SNAP_SECONDS = 5
+// Presses longer than this (in ms) pause instead of moving on
+const HOLD_DELAY = 200
+
+// Story URLs end in the id or title slug the story API looks them up by
+function storySlug(item) {
+  return item ? getItemKey(item).split('/').pop() : null
+}
+
+function isStory(item) {
+  return item?.kind === ITEM_KINDS.STORY
+}
+
+function preloadImage(url) {
+  if (url) new Image().src = url
+}
+
+/**
+ * Plays the snaps of a story one after another, full screen, like Snapchat:
+ * a progress bar per snap, tap the left third to go back and anywhere else to
+ * go on, hold to pause. After the last snap the creator's next story in
+ * `items` opens, or the viewer closes.
+ * @param {Object} props
+ * @param {Object} props.item - The open story item
+ * @param {Object[]} [props.items] - The tab's items, in grid order
+ * @param {number} [props.index] - Position of `item` in `items`; -1 when it isn't there
+ * @param {() => void} props.onClose
+ * @param {(item: Object) => void} [props.onNavigate] - Opens another story from `items`
+ */
+export default function StoryViewer({ item, items = [], index = -1, onClose, onNavigate }) {
+  const { t, formatDate } = useTranslation()
+  const story = useStory(item.user, storySlug(item))
+  const snaps = story.data?.snaps ?? NO_SNAPS
+
+  // `run` restarts the same snap, e.g. going back from the first one
+  const [position, setPosition] = useState({ snap: 0, run: 0 })
+  const [paused, setPaused] = useState(false)
+  const [held, setHeld] = useState(false)
+  const [hidden, setHidden] = useState(false)
+  const [readyKey, setReadyKey] = useState(null)
+  const [failedKey, setFailedKey] = useState(null)
+
+  const videoRef = useRef(null)
+  const fillRef = useRef(null)
+  const elapsed = useRef(0)
+  const press = useRef(null)
+
+  const snapIndex = Math.min(position.snap, Math.max(0, snaps.length - 1))
+  const snap = snaps[snapIndex] ?? null
+  const snapKey = snap ? `${snapIndex}:${position.run}` : null
+  const failed = failedKey === snapKey
+  // Images, and videos that couldn't be played, run on a timer; videos on their own clock
+  const timed = snap?.type === 'image' || failed
+  const duration = (snap?.duration ?? DEFAULT_SNAP_SECONDS) * 1000
+  const playing = Boolean(snap) && readyKey === snapKey && !paused && !held && !hidden
+
+  const previousStory = index > 0 ? items.slice(0, index).reverse().find(isStory) ?? null : null
+  const nextStory = index >= 0 ? items.slice(index + 1).find(isStory) ?? null : null
+
+  // The next story is looked up ahead, so moving on to it starts straight away
+  const upcoming = useStory(nextStory?.user ?? null, storySlug(nextStory))
+  const nextSnap = snaps[snapIndex + 1] ?? upcoming.data?.snaps[0] ?? null
+
+  useEffect(() => {
+    if (!nextSnap) return
+    preloadImage(nextSnap.type === 'image' ? nextSnap.url : nextSnap.poster)
+  }, [nextSnap])
+
+  const goForward = useCallback(() => {
+    if (snapIndex < snaps.length - 1) {
+      setPosition(({ run }) => ({ snap: snapIndex + 1, run }))
+    } else if (nextStory) {
+      onNavigate?.(nextStory)
+    } else {
+      onClose()
+    }
+  }, [snapIndex, snaps.length, nextStory, onNavigate, onClose])
+
+  const goBack = useCallback(() => {
+    if (snapIndex > 0) {
+      setPosition(({ run }) => ({ snap: snapIndex - 1, run }))
+    } else if (previousStory) {
+      onNavigate?.(previousStory)
+    } else {
+      setPosition(({ run }) => ({ snap: 0, run: run + 1 }))
+    }
+  }, [snapIndex, previousStory, onNavigate])
+
+  // Each snap starts from zero; the bar it filled falls back to its class styles
+  useEffect(() => {
+    elapsed.current = 0
+    const fill = fillRef.current
+    return () => {
+      if (fill) fill.style.transform = ''
+    }
+  }, [snapKey])
+
+  // The bar is drawn straight onto the element each frame rather than through state
+  useEffect(() => {
+    if (!playing) return
+    let frame
+    let last = performance.now()
+
+    const tick = (now) => {
+      let fraction = 0
+      if (timed) {
+        elapsed.current += now - last
+        fraction = elapsed.current / duration
+      } else if (videoRef.current?.duration) {
+        fraction = videoRef.current.currentTime / videoRef.current.duration
+      }
+      last = now
+      if (fillRef.current) fillRef.current.style.transform = `scaleX(${Math.min(1, fraction)})`
+
+      if (timed && fraction >= 1) {
+        goForward()
+        return
+      }
+      frame = requestAnimationFrame(tick)
+    }
+
+    frame = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(frame)
+  }, [playing, timed, duration, goForward])
+
+  useEffect(() => {
+    const video = videoRef.current
+    if (!video || failed) return
+    if (paused || held || hidden) {
+      video.pause()
+    } else {
+      // Refused autoplay leaves the snap paused until the viewer taps play
+      video.play().catch(() => setPaused(true))
+    }
+  }, [snapKey, failed, paused, held, hidden])
+
+  // Nothing plays while the page is in the background
+  useEffect(() => {
+    const handleVisibility = () => setHidden(document.hidden)
+    document.addEventListener('visibilitychange', handleVisibility)
+    return () => document.removeEventListener('visibilitychange', handleVisibility)
+  }, [])
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      switch (event.code) {
+        case 'Escape':
+          onClose()
+          break
+        case 'ArrowLeft':
+          event.preventDefault()
+          goBack()
+          break
+        case 'ArrowRight':
+          event.preventDefault()
+          goForward()
+          break
+        case 'ArrowUp':
+        case 'PageUp':
+          event.preventDefault()
+          if (previousStory) onNavigate?.(previousStory)
+          break
+        case 'ArrowDown':
+        case 'PageDown':
+          event.preventDefault()
+          if (nextStory) onNavigate?.(nextStory)
+          break
+        case 'Space':
+          // Buttons handle Space themselves
+          if (event.target instanceof HTMLButtonElement) break
+          event.preventDefault()
+          setPaused((value) => !value)
+          break
+        default:
+          break
+      }
+    }
+
+    document.addEventListener('keydown', handleKeyDown)
+    document.body.style.overflow = 'hidden'
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown)
+      document.body.style.overflow = 'unset'
+    }
+  }, [onClose, goBack, goForward, previousStory, nextStory, onNavigate])
+
+  useEffect(() => () => clearTimeout(press.current?.timer), [])
+
+  // A short press on the left third goes back and anywhere else goes on; holding pauses
+  const handlePointerDown = (event) => {
+    if (event.button !== 0 || event.target.closest('button')) return
+    const current = { held: false }
+    current.timer = setTimeout(() => {
+      current.held = true
+      setHeld(true)
+    }, HOLD_DELAY)
+    press.current = current
+  }
+  const handlePointerUp = (event) => {
+    const current = press.current
+    press.current = null
+    if (!current) return
+    clearTimeout(current.timer)
+    if (current.held) {
+      setHeld(false)
+      return
+    }
+    const bounds = event.currentTarget.getBoundingClientRect()
+    if (event.clientX - bounds.left < bounds.width / 3) {
+      goBack()
+    } else {
+      goForward()
+    }
+  }
+  const handlePointerCancel = () => {
+    clearTimeout(press.current?.timer)
+    press.current = null
+    setHeld(false)
+  }
+
+  const markReady = () => setReadyKey(snapKey)
+  const markFailed = () => {
+    setFailedKey(snapKey)
+    setReadyKey(snapKey)
+  }
+
+  const title = story.data?.title || item.description
+  const publishedAt = formatDate(snap?.publishedAt)
+
+  const renderSnap = () => {
+    if (!snap) {
+      const unavailable = story.error || story.data
+      return (
+        <div className="story-viewer-status" role={unavailable ? 'alert' : 'status'}>
+          {item.thumbnail && <img src={item.thumbnail} alt="" className="story-viewer-backdrop" />}
+          {unavailable ? (
+            <>
+              <p>{t('story.unavailable')}</p>
+              <div className="story-viewer-actions">
+                <button type="button" onClick={story.refresh}>{t('common.tryAgain')}</button>
+                <button type="button" onClick={() => openSnapchatContent(item.url)} disabled={!item.url}>
+                  {t('modal.viewOnSnapchat')}
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="video-loading-spinner" aria-hidden="true"></div>
+              <span className="sr-only">{t('story.loading')}</span>
+            </>
+          )}
+        </div>
+      )
+    }
+
+    if (snap.type === 'video' && !failed) {
+      return (
+        <video
+          key={snapKey}
+          ref={videoRef}
+          className="story-viewer-media"
+          src={snap.url}
+          poster={snap.poster ?? undefined}
+          muted
+          playsInline
+          preload="auto"
+          onPlaying={markReady}
+          onEnded={goForward}
+          onError={markFailed}
+        />
+      )
+    }
+
+    return (
+      <img
+        key={snapKey}
+        className="story-viewer-media"
+        src={snap.type === 'image' ? snap.url : snap.poster ?? item.thumbnail}
+        alt={title || ''}
+        draggable={false}
+        onLoad={markReady}
+        onError={markFailed}
+      />
+    )
+  }
+
+  return (
+    <div className="story-viewer" role="dialog" aria-modal="true" aria-label={t('story.label', { user: item.user })}>
+      <div
+        className="story-viewer-stage"
+        onPointerDown={handlePointerDown}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        onPointerLeave={handlePointerCancel}
+        onContextMenu={(event) => event.preventDefault()}
+      >
+        {renderSnap()}
+
+        <header className="story-viewer-header">
+          {snaps.length > 0 && (
+            <div className="story-progress" aria-hidden="true">
+              {snaps.map((entry, barIndex) => (
+                <div key={entry.id} className={`story-progress-bar${barIndex < snapIndex ? ' done' : ''}`}>
+                  <div className="story-progress-fill" ref={barIndex === snapIndex ? fillRef : null}></div>
+                </div>
+              ))}
+            </div>
+          )}
+          {snap && (
+            <span className="sr-only" aria-live="polite">
+              {t('story.progress', { current: snapIndex + 1, total: snaps.length })}
+            </span>
+          )}
+          <div className="story-viewer-bar">
+            <div className="story-viewer-info">
+              <h3>{item.user}</h3>
+              {(title || publishedAt) && <span>{[title, publishedAt].filter(Boolean).join(' · ')}</span>}
+            </div>
+            {snap && (
+              <button
+                type="button"
+                className="story-viewer-button"
+                onClick={() => setPaused((value) => !value)}
+                aria-label={t(paused ? 'story.play' : 'story.pause')}
+              >
+                {paused ? '▶' : '❚❚'}
+              </button>
+            )}
+            <button type="button" className="story-viewer-button" onClick={onClose} aria-label={t('modal.close')}>✕</button>
+          </div>
+        </header>
+
+        {/* Pointers tap the stage; these are for keyboards and screen readers */}
+        <button type="button" className="sr-only" onClick={goBack}>{t('story.previousSnap')}</button>
+        <button type="button" className="sr-only" onClick={goForward}>{t('story.nextSnap')}</button>
+
+        {/* The next video starts downloading so it can start at once */}
+        {nextSnap?.type === 'video' && <video src={nextSnap.url} preload="auto" muted hidden />}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,116 @@
+import { useMemo } from 'react'
+import { SORT_KEYS, getHashtags } from '../../shared/contentQuery.js'
+import { useTranslation } from './i18n/locale'
+
+const MIN_VIEW_OPTIONS = [1000, 10000, 100000, 1000000]
+
+/**
+ * Sort and filter controls for a tab grid
+ *
+ * Hashtag and creator suggestions come from the items loaded so far. Changes
+ * are reported as a whole new query; the caller keeps it in the URL.
+ * @param {Object} props
+ * @param {import('../../shared/contentQuery.js').ContentQuery} props.query
+ * @param {Object[]} props.items
+ * @param {(query: Object) => void} props.onChange
+ */
+export default function TabFilters({ query, items, onChange }) {
+  const { t, formatCount } = useTranslation()
+  const { hashtags, creators } = useMemo(() => {
+    const hashtags = new Set(query.tag ? [query.tag] : [])
+    const creators = new Set(query.creator ? [query.creator] : [])
+    for (const item of items) {
+      getHashtags(item).forEach((tag) => hashtags.add(tag))
+      if (item.user) creators.add(item.user.replace(/^@/, '').toLowerCase())
+    }
+    return { hashtags: [...hashtags].sort(), creators: [...creators].sort() }
+  }, [items, query.tag, query.creator])
+
+  const update = (change) => onChange({ ...query, ...change })
+  // A threshold typed into the URL is listed too
+  const minViewOptions = query.minViews && !MIN_VIEW_OPTIONS.includes(query.minViews)
+    ? [...MIN_VIEW_OPTIONS, query.minViews].sort((a, b) => a - b)
+    : MIN_VIEW_OPTIONS
+
+  // Hashtags apply on Enter or when the field loses focus, not on every keystroke
+  const applyTag = (value) => {
+    const tag = value.trim().replace(/^#/, '').toLowerCase() || null
+    if (tag !== query.tag) update({ tag })
+  }
+
+  return (
+    <form
+      className="sort-filter"
+      role="search"
+      aria-label={t('filters.label')}
+      onSubmit={(event) => {
+        event.preventDefault()
+        applyTag(event.currentTarget.elements.tag.value)
+      }}
+    >
+      <label className="filter-field">
+        <span className="sort-label">{t('filters.sortBy')}</span>
+        <select className="filter-select" value={query.sort} onChange={(event) => update({ sort: event.target.value })}>
+          {SORT_KEYS.map((value) => (
+            <option key={value} value={value}>{t(`filters.sort.${value}`)}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="filter-field">
+        <span className="sort-label">{t('filters.hashtag')}</span>
+        <input
+          key={query.tag ?? ''}
+          className="filter-input"
+          name="tag"
+          type="search"
+          list="tab-filter-hashtags"
+          placeholder="#tag"
+          defaultValue={query.tag ? `#${query.tag}` : ''}
+          onBlur={(event) => applyTag(event.target.value)}
+        />
+        <datalist id="tab-filter-hashtags">
+          {hashtags.map((tag) => <option key={tag} value={`#${tag}`} />)}
+        </datalist>
+      </label>
+
+      {creators.length > 1 || query.creator ? (
+        <label className="filter-field">
+          <span className="sort-label">{t('filters.creator')}</span>
+          <select
+            className="filter-select"
+            value={query.creator ?? ''}
+            onChange={(event) => update({ creator: event.target.value || null })}
+          >
+            <option value="">{t('filters.anyone')}</option>
+            {creators.map((creator) => <option key={creator} value={creator}>@{creator}</option>)}
+          </select>
+        </label>
+      ) : null}
+
+      <label className="filter-field">
+        <span className="sort-label">{t('filters.views')}</span>
+        <select
+          className="filter-select"
+          value={query.minViews ?? ''}
+          onChange={(event) => update({ minViews: Number(event.target.value) || null })}
+        >
+          <option value="">{t('filters.any')}</option>
+          {minViewOptions.map((views) => (
+            <option key={views} value={views}>{t('filters.minViews', { formatted: formatCount(views) })}</option>
+          ))}
+        </select>
+      </label>
+
+      {(query.tag || query.creator || query.minViews) && (
+        <button
+          type="button"
+          className="sort-button"
+          onClick={() => onChange({ sort: query.sort, tag: null, creator: null, minViews: null })}
+        >
+          {t('filters.clear')}
+        </button>
+      )}
+    </form>
+  )
+}
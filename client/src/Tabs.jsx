@@ -1,25 +1,131 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import './App.css'
 import ContentModal from './ContentModal'
-import { createUrlSlug, navigateToProfile } from './utils/urlUtils'
+import StoryViewer from './StoryViewer'
+import TabFilters from './TabFilters'
+import { navigateToProfile } from './utils/urlUtils'
+import { TAB_NAMES, buildPath, navigate, useRoute, useSearchParams } from './utils/routes'
+import { useTab, useTabSummary } from './data/hooks'
+import { useTranslation } from './i18n/locale'
+import { ITEM_KINDS, createContentItem, getItemKey } from '../../shared/contentItem.js'
+import { contentQueryParams, isDefaultQuery, parseContentQuery } from '../../shared/contentQuery.js'
+
+const NO_ITEMS = []
+
+// Tabs whose items carry creators, hashtags and view counts to sort and filter by
+const FILTERABLE_TABS = ['stories', 'spotlight', 'tagged']
+
+// Spotlight videos and Stories open at their own URL; Lenses have none
+function modalPath(username, item) {
+  if (item.kind === ITEM_KINDS.SPOTLIGHT) return buildPath({ username, spotlightId: getItemKey(item) })
+  if (item.kind === ITEM_KINDS.STORY) return buildPath({ username, storySlug: getItemKey(item).split('/').pop() })
+  return null
+}
 
 // Loading spinner component
-const LoadingSpinner = ({ tabType }) => (
+const LoadingSpinner = ({ label }) => (
   <div className="loading-container" aria-live="polite">
     <div className="spinner" aria-hidden="true"></div>
-    <span className="sr-only">Loading {tabType} content...</span>
+    <span className="sr-only">{label}</span>
   </div>
 )
 
+// Calls onVisible when scrolled within reach of the end of the grid
+const LoadMoreTrigger = ({ onVisible }) => {
+  const ref = useRef(null)
+
+  useEffect(() => {
+    const element = ref.current
+    if (!element || !('IntersectionObserver' in window)) return
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) onVisible()
+    }, { rootMargin: '400px 0px' })
+    observer.observe(element)
+    return () => observer.disconnect()
+  }, [onVisible])
+
+  return <div ref={ref} className="load-more-trigger" aria-hidden="true" />
+}
+
 export default function Tabs({ username }) {
-  const [items, setItems] = useState([])
-  const [activeTab, setActiveTab] = useState('spotlight') // Default to spotlight which has most content
-  const [availableTabs, setAvailableTabs] = useState(new Set(['stories', 'spotlight', 'lenses', 'tagged', 'related']))
-  const [loading, setLoading] = useState(false)
-  const [showModal, setShowModal] = useState(false)
-  const [activeContent, setActiveContent] = useState(null)
+  const route = useRoute()
+  const { t, formatCount } = useTranslation()
+  const activeTab = route.tab // Defaults to spotlight which has most content
+
+  // Which tabs exist, with counts; embedded by the server renderer on first load
+  const { data: summary, error: summaryError } = useTabSummary(username)
+  const summaries = useMemo(() => new Map((summary ?? []).map((entry) => [entry.tab, entry])), [summary])
+  // Without a summary every tab is offered, as before it existed
+  const availableTabs = useMemo(() => {
+    if (summary) return TAB_NAMES.filter((tab) => summaries.has(tab))
+    return summaryError ? TAB_NAMES : []
+  }, [summary, summaries, summaryError])
+  // Lenses have no route of their own, so their modal is local state
+  const [activeLens, setActiveLens] = useState(null)
   const tabRefs = useRef({})
-  const requestIdRef = useRef(0)
+
+  const setActiveTab = useCallback((tab) => {
+    navigate(buildPath({ username, tab }))
+  }, [username])
+
+  // Sort and filters live in the query string so a sorted view can be shared
+  const searchParams = useSearchParams()
+  const filterable = FILTERABLE_TABS.includes(activeTab)
+  const query = useMemo(() => parseContentQuery(filterable ? searchParams : new URLSearchParams()), [searchParams, filterable])
+  const filtered = Boolean(query.tag || query.creator || query.minViews)
+
+  const setQuery = useCallback((next) => {
+    const search = contentQueryParams(next).toString()
+    navigate(buildPath({ username, tab: activeTab }) + (search ? `?${search}` : ''), { replace: true })
+  }, [username, activeTab])
+
+  // Active tab content comes from the shared data layer, so switching back to a tab is free
+  const {
+    data: tabItems,
+    error: tabError,
+    loading,
+    loadMore,
+    hasMore,
+    loadingMore,
+    loadMoreError
+  } = useTab(username, !summary || summaries.has(activeTab) ? activeTab : null, { query })
+  // The summary's first items fill the grid while the tab loads
+  const preview = isDefaultQuery(query) ? summaries.get(activeTab)?.preview : null
+  const items = tabItems ?? preview ?? NO_ITEMS
+
+  useEffect(() => {
+    if (tabError) console.error(`Error fetching ${activeTab} content:`, tabError)
+  }, [tabError, activeTab])
+
+  // The open Spotlight video or Story comes from the URL, so deep links and back/forward restore it
+  const activeContent = useMemo(() => {
+    if (route.spotlightId) {
+      return items.find((item) => item.kind === ITEM_KINDS.SPOTLIGHT && getItemKey(item) === route.spotlightId) ||
+        createContentItem({
+          kind: ITEM_KINDS.SPOTLIGHT,
+          url: `https://www.snapchat.com/@${username}/spotlight/${route.spotlightId}`,
+          user: username
+        })
+    }
+    if (route.storySlug) {
+      return items.find((item) => item.kind === ITEM_KINDS.STORY && getItemKey(item).split('/').pop() === route.storySlug) ||
+        createContentItem({
+          kind: ITEM_KINDS.STORY,
+          url: `https://www.snapchat.com/@${username}/story/${route.storySlug}`,
+          user: username
+        })
+    }
+    return activeLens
+  }, [route.spotlightId, route.storySlug, items, username, activeLens])
+
+  // The modal steps through the tiles that open in it; profiles open their own page
+  const modalItems = useMemo(() => items.filter((item) => item.kind !== ITEM_KINDS.PROFILE), [items])
+  const activeIndex = activeContent ? modalItems.indexOf(activeContent) : -1
+
+  // Stepping towards the end of what is loaded fetches the next page
+  useEffect(() => {
+    if (activeIndex >= 0 && activeIndex >= modalItems.length - 3 && hasMore && !loadingMore && !loadMoreError) loadMore()
+  }, [activeIndex, modalItems.length, hasMore, loadingMore, loadMoreError, loadMore])
 
   // Handle tile activation (click/keyboard) - opens modal like real Snapchat
   const handleTileActivate = useCallback((item) => {
@@ -32,7 +138,7 @@ export default function Tabs({ username }) {
       return
     }
 
-    if (item.isProfile) {
+    if (item.kind === ITEM_KINDS.PROFILE) {
       // For profile links, navigate within our app
       const username = item.url?.match(/\/add\/([^?]+)/)?.[1]
       if (username) {
@@ -40,652 +146,48 @@ export default function Tabs({ username }) {
       } else {
         console.warn('Could not extract username from profile URL:', item.url)
       }
+    } else if (modalPath(username, item)) {
+      // Open in modal like real Snapchat; the tab is remembered so closing returns to it
+      navigate(modalPath(username, item), { state: { tab: activeTab, modal: true } })
     } else {
-      // For content (Spotlight videos, Stories), open in modal like real Snapchat
-      setActiveContent(item)
-      setShowModal(true)
-    }
-  }, [])
-
-  const handleCloseModal = useCallback(() => {
-    setShowModal(false)
-    setActiveContent(null)
-    
-    // Remove hash from URL
-    const currentUrl = new URL(window.location)
-    currentUrl.hash = ''
-    window.history.replaceState(null, '', currentUrl)
-  }, [])
-
-  const checkAllTabsForContentCallback = useCallback(() => {
-    // Performance-first approach: show static tabs immediately, no validation on initial load
-    const staticTabs = ['stories', 'spotlight', 'lenses', 'tagged', 'related']
-    setAvailableTabs(new Set(staticTabs))
-    
-    // Only validate tabs in background using requestIdleCallback to avoid blocking main thread
-    if ('requestIdleCallback' in window) {
-      requestIdleCallback(async () => {
-        try {
-          // This runs during browser idle time, not during critical rendering
-          const realTabs = await parseTabsFromRealPage()
-          const tabsWithContent = new Set()
-          
-          // Check tabs one by one with delays to avoid blocking
-          for (const tab of realTabs) {
-            // Use setTimeout to yield to main thread between requests
-            await new Promise(resolve => setTimeout(resolve, 50))
-            const hasContent = await checkTabHasContent(tab)
-            if (hasContent) {
-              tabsWithContent.add(tab)
-            }
-          }
-          
-          // Only update if we found different tabs than default
-          if (
-            !staticTabs.every(tab => tabsWithContent.has(tab)) ||
-            tabsWithContent.size !== staticTabs.length
-          ) {
-            setAvailableTabs(tabsWithContent)
-          }
-        } catch (error) {
-          // Silently fail and keep static tabs - performance over perfect accuracy
-          if (import.meta.env.DEV) {
-            console.warn('Background tab validation failed:', error)
-          }
-        }
-      }, { timeout: 5000 })
-    }
-  }, [username]) // eslint-disable-line react-hooks/exhaustive-deps
-
-  const fetchTabContentCallback = useCallback(async (tab) => {
-    const reqId = ++requestIdRef.current
-    // Show loading state immediately for user feedback
-    setLoading(true)
-    
-    // Note: Active tab loads immediately, background tabs can be deferred
-    
-    try {
-      let url, selector, dataMapper
-      
-      switch (tab) {
-        case 'stories':
-          url = `/snap/@${username}?locale=en-US&tab=Stories`
-          // Look for story containers that have both images and titles
-          selector = 'a[href*="/story/"], [data-testid*="story"], div[class*="story"] img, div[class*="Story"] img'
-          dataMapper = (element) => {
-            let storyTitle = ''
-            let thumbnailUrl = null
-            
-            // If it's a link, extract title and look for image
-            if (element.tagName === 'A') {
-              storyTitle = element.textContent?.trim() || ''
-              const img = element.querySelector('img')
-              if (img) {
-                thumbnailUrl = img.src || img.getAttribute('data-src') || img.getAttribute('data-lazy')
-              }
-            }
-            // If it's an image, look for nearby title
-            else if (element.tagName === 'IMG') {
-              thumbnailUrl = element.src || element.getAttribute('data-src') || element.getAttribute('data-lazy')
-              
-              // Look for title in parent containers
-              let container = element.closest('div, a, article')
-              for (let i = 0; i < 3 && container; i++) {
-                const titleElement = container.querySelector('h1, h2, h3, h4, h5, h6, p, span')
-                if (titleElement?.textContent?.trim()) {
-                  storyTitle = titleElement.textContent.trim()
-                  break
-                }
-                container = container.parentElement
-              }
-            }
-            
-            // Fallback: look for any h5 elements (original approach) if no image found
-            if (!thumbnailUrl && element.tagName === 'H5') {
-              storyTitle = element.textContent?.trim() || ''
-            }
-            
-            // Skip empty or very short titles
-            if (!storyTitle || storyTitle.length < 3) {
-              return null
-            }
-            
-            // Filter out common UI elements or sort options
-            if (storyTitle.toLowerCase().includes('recent') || storyTitle.toLowerCase().includes('sort')) {
-              return null
-            }
-            
-            // Generate a fallback thumbnail using a reliable placeholder
-            if (!thumbnailUrl) {
-              // Use a reliable placeholder service instead of potentially non-existent URLs
-              thumbnailUrl = `https://ui-avatars.com/api/?name=${encodeURIComponent(storyTitle.slice(0, 2))}&background=fffc00&color=000&size=200`
-            }
-            
-            // Generate story URL
-            let storyUrl = null
-            if (element.tagName === 'A' && element.href) {
-              storyUrl = element.href
-            } else {
-              // Generate fallback story URL based on story title
-              const storyId = createUrlSlug(storyTitle)
-              storyUrl = `https://www.snapchat.com/@${username}/story/${storyId}`
-            }
-            
-            return {
-              thumbnail: thumbnailUrl,
-              user: username,
-              description: storyTitle,
-              isStory: true,
-              url: storyUrl
-            }
-          }
-          break
-        case 'spotlight':
-          url = `/snap/@${username}?locale=en-US&tab=Spotlight`
-          // Use broader selectors and JSON-LD data for better content capture
-          selector = 'script[type="application/ld+json"], a[href*="/spotlight/"], div[class*="SpotlightResultTile"], div[class*="tile"], article, .video-tile'
-          dataMapper = (element) => {
-            // Try JSON-LD structured data first (most reliable)
-            if (element.tagName === 'SCRIPT') {
-              try {
-                const data = JSON.parse(element.textContent)
-                
-                // Handle single VideoObject
-                if (data['@type'] === 'VideoObject') {
-                  // Debug logging for URL extraction
-                  if (import.meta.env.DEV) {
-                    console.log('VideoObject data:', {
-                      url: data.url,
-                      identifier: data.identifier,
-                      creator: data.creator?.alternateName,
-                      hasUrl: !!data.url
-                    })
-                  }
-                  
-                  return {
-                    thumbnail: data.thumbnailUrl,
-                    user: data.creator?.alternateName || data.creator?.name || username,
-                    description: data.name || data.description,
-                    views: data.interactionStatistic?.find(stat => stat['@type'] === 'InteractionCounter')?.userInteractionCount,
-                    comments: null,
-                    shares: null,
-                    url: data.url || `https://www.snapchat.com/@${data.creator?.alternateName || username}/spotlight/${data.identifier}`
-                  }
-                }
-                
-                // Handle array of VideoObjects (Snapchat's format)
-                if (Array.isArray(data)) {
-                  // Return special marker to indicate this is an array that needs special processing
-                  return { _isVideoArray: true, _videoData: data }
-                }
-                
-                return null
-              } catch {
-                return null
-              }
-            }
-            
-            // Fallback to DOM parsing with improved selectors
-            const linkText = element.textContent?.trim() || ''
-            const numbers = linkText.match(/\d+[kK]?/g) || []
-            const [views, comments, shares] = numbers.slice(0, 3)
-            
-            // Look for images in various possible locations
-            const img = element.querySelector('img') || 
-                       element.closest('div')?.querySelector('img') ||
-                       element.parentElement?.querySelector('img')
-            
-            const user = element.href?.match(/@([^/]+)/)?.[1] || username
-            const description = linkText.replace(/\d+[kK]?\s*/g, '').trim() || 
-                              element.getAttribute('aria-label') ||
-                              element.querySelector('p, span, div')?.textContent?.trim()
-            
-            // Extract URL from the link element
-            const url = element.href || null
-            
-            return {
-              thumbnail: img?.src || img?.getAttribute('data-src') || img?.getAttribute('data-lazy'),
-              user: user,
-              description: description,
-              views: views,
-              comments: comments, 
-              shares: shares,
-              url: url
-            }
-          }
-          break
-        case 'lenses':
-          url = `/snap/@${username}?locale=en-US&tab=Lenses`
-          selector = 'a[href*="/unlock/"]' // Lenses are unlock links
-          dataMapper = (tile) => {
-            // Get the lens unlock URL
-            let lensUrl = tile.href || null
-            
-            // Ensure it's an absolute URL
-            if (lensUrl && !lensUrl.startsWith('http')) {
-              lensUrl = `https://www.snapchat.com${lensUrl}`
-            }
-            
-            // Extract description from various possible elements
-            const description = tile.querySelector('p')?.textContent?.trim() ||
-                              tile.querySelector('span')?.textContent?.trim() ||
-                              tile.getAttribute('aria-label') ||
-                              tile.textContent?.trim() ||
-                              'Lens'
-            
-            // Get thumbnail image
-            const img = tile.querySelector('img')
-            const thumbnail = img?.src || img?.getAttribute('data-src') || img?.getAttribute('data-lazy')
-            
-            return {
-              thumbnail: thumbnail,
-              user: username, // Lenses are created by the profile owner
-              description: description,
-              url: lensUrl
-            }
-          }
-          break
-        case 'tagged':
-          url = `/snap/@${username}?locale=en-US&tab=Tagged`
-          // Use a different approach for tagged content - look for all content that mentions the user
-          selector = 'a[href*="/spotlight/"], script[type="application/ld+json"]'
-          dataMapper = (element) => {
-            // If it's a JSON-LD script, parse the structured data
-            if (element.tagName === 'SCRIPT') {
-              try {
-                const data = JSON.parse(element.textContent)
-                if (data['@type'] === 'VideoObject' && data.keywords && data.keywords.includes('#' + username.replace(/\d+$/, ''))) {
-                  const creatorName = data.creator?.alternateName
-                  const description = data.name || data.description
-                  
-                  return {
-                    thumbnail: data.thumbnailUrl,
-                    user: creatorName,
-                    description: description,
-                    views: null, // JSON-LD doesn't always have view counts
-                    comments: null,
-                    shares: null,
-                    url: data.url || `https://www.snapchat.com/@${creatorName}/spotlight/${data.identifier}`
-                  }
-                }
-                return null
-              } catch {
-                return null
-              }
-            }
-            
-            // Fallback to regular link parsing with improved description extraction
-            const linkText = element.textContent?.trim() || ''
-            const numbers = linkText.match(/\d+[kK]?/g) || []
-            const userName = element.href?.match(/@([^/]+)/)?.[1]
-            
-            // Look for description with hashtags in nearby elements
-            let description = null
-            
-            // Check parent containers for hashtag descriptions
-            let container = element.closest('div')
-            for (let i = 0; i < 3 && container; i++) {
-              const paragraphs = container.querySelectorAll('p')
-              for (const p of paragraphs) {
-                const text = p.textContent?.trim()
-                if (text && (text.includes('#') || text.length > 20)) {
-                  description = text
-                  break
-                }
-              }
-              if (description) break
-              container = container.parentElement
-            }
-            
-            return {
-              thumbnail: element.querySelector('img')?.src,
-              user: userName,
-              description: description,
-              views: numbers[0],
-              comments: numbers[1],
-              shares: numbers[2],
-              url: element.href || null
-            }
-          }
-          break
-        case 'related':
-          url = `/snap/@${username}?locale=en-US`
-          // Look for profile recommendation links in the main page
-          selector = 'a[href*="/add/"]'
-          dataMapper = (element) => {
-            // Extract username from the add link
-            const addLink = element.href
-            const usernameMatch = addLink.match(/\/add\/([^?]+)/)
-            if (!usernameMatch) return null
-            
-            const _relatedUsername = usernameMatch[1]
-            
-            // Extract name and image from the element
-            const nameElement = element.querySelector('h5')
-            const imageElement = element.querySelector('img')
-            const paragraphElement = element.querySelector('p')
-            
-            // Debug logging removed for cleaner production code
-            
-            if (!nameElement) return null
-            
-            // Get thumbnail URL - try to extract working CDN URL from srcset first
-            let thumbnailUrl = null
-            if (imageElement) {
-              // Try to get working URL from srcset (same technique as main profile image)
-              if (imageElement.srcset) {
-                const srcsetUrl = imageElement.srcset.split(' ')[0]
-                if (srcsetUrl && srcsetUrl.startsWith('https://')) {
-                  thumbnailUrl = srcsetUrl
-                }
-              }
-              // Fallback to other image attributes
-              if (!thumbnailUrl) {
-                thumbnailUrl = imageElement.src || imageElement.getAttribute('data-src') || imageElement.getAttribute('data-lazy')
-              }
-            }
-            
-            // If no image found, generate fallback using a reliable avatar service
-            if (!thumbnailUrl || thumbnailUrl === '') {
-              // Use a reliable public avatar service instead of internal Snapchat APIs
-              thumbnailUrl = `https://ui-avatars.com/api/?name=${encodeURIComponent(nameElement.textContent.trim())}&background=random&size=120`
-            }
-            
-            return {
-              thumbnail: thumbnailUrl,
-              user: nameElement.textContent.trim(),
-              description: paragraphElement?.textContent.trim(),
-              isProfile: true,
-              url: addLink
-            }
-          }
-          break
-        default:
-          return
-      }
-
-      const res = await fetch(url)
-      if (!res.ok) {
-        throw new Error(`Failed to fetch ${tab} (${res.status})`)
-      }
-      const html = await res.text()
-      const doc = new DOMParser().parseFromString(html, 'text/html')
-      
-      const elements = [...doc.querySelectorAll(selector)]
-      
-      // Debug logging for Related tab
-      if (tab === 'related' && import.meta.env.DEV) {
-        console.log(`Related tab debug: Found ${elements.length} elements with selector ${selector}`)
-        elements.slice(0, 5).forEach((el, i) => {
-          console.log(`Element ${i}:`, el.href, el.textContent?.slice(0, 50))
-        })
-      }
-      
-      let data = elements.map(dataMapper).filter(item => {
-        if (!item) return false
-        
-        // For profile tiles (Related tab), only require user name (thumbnails optional)
-        if (item.isProfile) {
-          return !!item.user
-        }
-        
-        // For story tiles, only require user and description (no thumbnails)
-        if (item.isStory) {
-          return !!(item.user && item.description)
-        }
-        
-        // For content tiles, be more lenient - allow items with user OR description
-        if (!item.isProfile && !item.isStory) {
-          return !!(item.user || item.description)
-        }
-        
-        return true
-      })
-      
-      // Process video arrays from JSON-LD data (Snapchat's format)
-      const videoArrays = data.filter(item => item?._isVideoArray)
-      if (videoArrays.length > 0) {
-        const processedVideos = []
-        videoArrays.forEach(arrayItem => {
-          arrayItem._videoData.forEach(videoObj => {
-            if (videoObj['@type'] === 'VideoObject') {
-              // Debug logging for video array URL extraction
-              if (import.meta.env.DEV) {
-                console.log('Video array item:', {
-                  url: videoObj.url,
-                  identifier: videoObj.identifier,
-                  creator: videoObj.creator?.alternateName,
-                  hasUrl: !!videoObj.url
-                })
-              }
-              
-              processedVideos.push({
-                thumbnail: videoObj.thumbnailUrl,
-                user: videoObj.creator?.alternateName || videoObj.creator?.name || username,
-                description: videoObj.name || videoObj.description,
-                views: videoObj.interactionStatistic?.find(stat => stat['@type'] === 'InteractionCounter')?.userInteractionCount,
-                comments: null,
-                shares: null,
-                url: videoObj.url || `https://www.snapchat.com/@${videoObj.creator?.alternateName || username}/spotlight/${videoObj.identifier}`
-              })
-            }
-          })
-        })
-        
-        // Replace array markers with processed videos and remove the markers
-        data = data.filter(item => !item?._isVideoArray).concat(processedVideos)
-      }
-      
-      // Debug logging for development
-      if (import.meta.env.DEV) {
-        console.log(`${tab} tab debug:`, {
-          elementsFound: elements.length,
-          validItemsAfterMapping: data.length,
-          sampleItems: data.slice(0, 3),
-          urlsExtracted: data.slice(0, 5).map(item => ({ 
-            description: item.description?.slice(0, 30),
-            url: item.url,
-            hasUrl: !!item.url 
-          }))
-        })
-      }
-      
-      // For Tagged tab, filter out entries that are from the profile owner to show diverse users
-      if (tab === 'tagged') {
-        data = data.filter(item => item.user !== username)
-        // Remove duplicates based on user + description combination
-        const seen = new Set()
-        data = data.filter(item => {
-          const key = `${item.user}:${item.description}`
-          if (seen.has(key)) return false
-          seen.add(key)
-          return true
-        })
-      }
-      
-      if (requestIdRef.current === reqId) {
-        setItems(data)
-      }
-    } catch (error) {
-      console.error(`Error fetching ${tab} content:`, error)
-      // Keep existing items visible on error
-    } finally {
-      if (requestIdRef.current === reqId) {
-        setLoading(false)
-      }
-    }
-  }, [username])
-
-  useEffect(() => {
-    if (!username) return
-    checkAllTabsForContentCallback()
-  }, [username, checkAllTabsForContentCallback])
-
-  useEffect(() => {
-    if (!username || !availableTabs.has(activeTab)) return
-    
-    // Load active tab content immediately for responsiveness
-    fetchTabContentCallback(activeTab)
-  }, [username, activeTab, availableTabs, fetchTabContentCallback])
-
-  async function parseTabsFromRealPage() {
-    try {
-      const res = await fetch(`/snap/@${username}?locale=en-US`)
-      const html = await res.text()
-      const doc = new DOMParser().parseFromString(html, 'text/html')
-      
-      const availableTabs = []
-      
-      // Look for the actual tablist structure used by real Snapchat
-      // Real Snapchat uses: tablist > tab elements with button children containing heading elements
-      const tablist = doc.querySelector('[role="tablist"]')
-      if (tablist) {
-        const tabElements = tablist.querySelectorAll('[role="tab"]')
-        
-        for (const tabElement of tabElements) {
-          // Extract tab name from heading element inside the tab button
-          const heading = tabElement.querySelector('h5, h6, button h5, button h6')
-          const tabText = heading?.textContent?.trim().toLowerCase()
-          
-          if (import.meta.env.DEV) {
-            console.log(`Found tab element with text: "${tabText}"`);
-          }
-          
-          if (tabText === 'stories') availableTabs.push('stories')
-          else if (tabText === 'spotlight') availableTabs.push('spotlight')
-          else if (tabText === 'lenses') availableTabs.push('lenses')
-          else if (tabText === 'tagged') availableTabs.push('tagged')
-          else if (tabText === 'related') availableTabs.push('related')
-        }
-      }
-      
-      // Fallback: if no tablist found, look for tab-specific content
-      if (availableTabs.length === 0) {
-        if (import.meta.env.DEV) {
-          console.log('No tablist found, falling back to content detection');
-        }
-        if (await hasContentForTab('stories')) availableTabs.push('stories')
-        if (await hasContentForTab('spotlight')) availableTabs.push('spotlight')
-        if (await hasContentForTab('lenses')) availableTabs.push('lenses') 
-        if (await hasContentForTab('tagged')) availableTabs.push('tagged')
-        if (await hasContentForTab('related')) availableTabs.push('related')
-      }
-      
-      if (import.meta.env.DEV) {
-        console.log(`Real tabs found for ${username}:`, availableTabs);
-      }
-      return availableTabs
-    } catch (error) {
-      if (import.meta.env.DEV) {
-        console.error('Error parsing real tabs:', error);
-      }
-      return []
+      setActiveLens(item)
     }
-  }
+  }, [username, activeTab])
 
-  async function hasContentForTab(tab) {
-    try {
-      let url, selector
-      
-      switch (tab) {
-        case 'stories':
-          url = `/snap/@${username}?locale=en-US&tab=Stories`
-          selector = 'tabpanel h5, [role="tabpanel"] h5'
-          break
-        case 'spotlight':
-          url = `/snap/@${username}?locale=en-US&tab=Spotlight`
-          selector = 'a[href*="/spotlight/"] img'
-          break
-        case 'lenses':
-          url = `/snap/@${username}?locale=en-US&tab=Lenses`
-          selector = 'a[href*="/unlock/"] img'
-          break
-        case 'tagged':
-          url = `/snap/@${username}?locale=en-US&tab=Tagged`
-          selector = 'a[href*="/spotlight/"] img'
-          break
-        case 'related':
-          url = `/snap/@${username}?locale=en-US`
-          selector = 'a[href*="/add/"] h5'
-          break
-        default:
-          return false
-      }
-
-      const res = await fetch(url)
-      const html = await res.text()
-      const doc = new DOMParser().parseFromString(html, 'text/html')
-      const elements = doc.querySelectorAll(selector)
-      
-      return elements.length > 0
-    } catch {
-      return false
+  // Moving within the modal replaces its URL, so closing still goes back to the grid
+  const handleNavigateModal = useCallback((item) => {
+    const path = modalPath(username, item)
+    if (path) {
+      setActiveLens(null)
+      navigate(path, { replace: true, state: window.history.state })
+    } else {
+      if (route.spotlightId || route.storySlug) navigate(buildPath({ username, tab: activeTab }), { replace: true })
+      setActiveLens(item)
     }
-  }
+  }, [username, activeTab, route.spotlightId, route.storySlug])
 
-  async function checkTabHasContent(tab) {
-    try {
-      // Simple selector-based check for content existence
-      // Since parseTabsFromRealPage already confirmed the tab exists,
-      // we just need to verify it has actual content items
-      let url, selector
-      
-      switch (tab) {
-        case 'stories':
-          url = `/snap/@${username}?locale=en-US&tab=Stories`
-          selector = 'tabpanel h5, [role="tabpanel"] h5'
-          break
-        case 'spotlight':
-          url = `/snap/@${username}?locale=en-US&tab=Spotlight`
-          selector = 'a[href*="/spotlight/"] img'
-          break
-        case 'lenses':
-          url = `/snap/@${username}?locale=en-US&tab=Lenses`
-          selector = 'a[href*="/unlock/"] img'
-          break
-        case 'tagged':
-          url = `/snap/@${username}?locale=en-US&tab=Tagged`
-          selector = 'a[href*="/spotlight/"] img, script[type="application/ld+json"]'
-          break
-        case 'related':
-          url = `/snap/@${username}?locale=en-US`
-          selector = 'a[href*="/add/"] h5'
-          break
-        default:
-          return false
-      }
-
-      const res = await fetch(url)
-      const html = await res.text()
-      const doc = new DOMParser().parseFromString(html, 'text/html')
-      const elements = doc.querySelectorAll(selector)
-      
-      return elements.length > 0
-    } catch (error) {
-      console.error(`Error checking content for ${tab}:`, error)
-      return false
+  const handleCloseModal = useCallback(() => {
+    if (activeLens) {
+      setActiveLens(null)
+    } else if (window.history.state?.modal) {
+      // Opened from the grid: going back restores the previous entry exactly
+      window.history.back()
+    } else {
+      // Opened from a deep link: there is no grid entry to go back to
+      navigate(buildPath({ username, tab: activeTab }), { replace: true })
     }
-  }
+  }, [activeLens, username, activeTab])
 
-  const getTabTitle = (tab) => {
-    const tabTitles = {
-      stories: 'Stories',
-      spotlight: 'Spotlight results',
-      lenses: 'Lenses',
-      tagged: 'Tagged content',
-      related: 'Related content'
-    }
-    return tabTitles[tab]
-  }
+  // The active tab's content as referred to in status messages
+  const content = t(`tabs.content.${activeTab}`)
 
   const handleTabKeyDown = (event, tab) => {
-    const availableTabsArray = Array.from(availableTabs)
-    const currentIndex = availableTabsArray.indexOf(tab)
+    const currentIndex = availableTabs.indexOf(tab)
     
     switch (event.key) {
       case 'ArrowLeft': {
         event.preventDefault()
-        const prevTab = availableTabsArray[currentIndex - 1]
+        const prevTab = availableTabs[currentIndex - 1]
         if (prevTab) {
           setActiveTab(prevTab)
           tabRefs.current[prevTab]?.focus()
@@ -694,7 +196,7 @@ export default function Tabs({ username }) {
       }
       case 'ArrowRight': {
         event.preventDefault()
-        const nextTab = availableTabsArray[currentIndex + 1]
+        const nextTab = availableTabs[currentIndex + 1]
         if (nextTab) {
           setActiveTab(nextTab)
           tabRefs.current[nextTab]?.focus()
@@ -703,7 +205,7 @@ export default function Tabs({ username }) {
       }
       case 'Home': {
         event.preventDefault()
-        const firstTab = availableTabsArray[0]
+        const firstTab = availableTabs[0]
         if (firstTab) {
           setActiveTab(firstTab)
           tabRefs.current[firstTab]?.focus()
@@ -712,7 +214,7 @@ export default function Tabs({ username }) {
       }
       case 'End': {
         event.preventDefault()
-        const lastTab = availableTabsArray[availableTabsArray.length - 1]
+        const lastTab = availableTabs[availableTabs.length - 1]
         if (lastTab) {
           setActiveTab(lastTab)
           tabRefs.current[lastTab]?.focus()
@@ -761,92 +263,32 @@ export default function Tabs({ username }) {
   return (
     <div className="spotlight-content">
       {/* Tab Navigation */}
-      <div className="tab-navigation" role="tablist" aria-label="Profile content tabs">
-        {availableTabs.has('stories') && (
-          <button 
-            ref={el => tabRefs.current['stories'] = el}
-            className={`tab-button ${activeTab === 'stories' ? 'active' : ''}`}
-            onClick={() => setActiveTab('stories')}
-            onKeyDown={(e) => handleTabKeyDown(e, 'stories')}
-            role="tab"
-            aria-selected={activeTab === 'stories'}
-            aria-controls="stories-panel"
-            id="stories-tab"
-            tabIndex={activeTab === 'stories' ? 0 : -1}
-          >
-            Stories
-          </button>
-        )}
-        {availableTabs.has('spotlight') && (
-          <button 
-            ref={el => tabRefs.current['spotlight'] = el}
-            className={`tab-button ${activeTab === 'spotlight' ? 'active' : ''}`}
-            onClick={() => setActiveTab('spotlight')}
-            onKeyDown={(e) => handleTabKeyDown(e, 'spotlight')}
-            role="tab"
-            aria-selected={activeTab === 'spotlight'}
-            aria-controls="spotlight-panel"
-            id="spotlight-tab"
-            tabIndex={activeTab === 'spotlight' ? 0 : -1}
-          >
-            Spotlight
-          </button>
-        )}
-        {availableTabs.has('lenses') && (
-          <button 
-            ref={el => tabRefs.current['lenses'] = el}
-            className={`tab-button ${activeTab === 'lenses' ? 'active' : ''}`}
-            onClick={() => setActiveTab('lenses')}
-            onKeyDown={(e) => handleTabKeyDown(e, 'lenses')}
-            role="tab"
-            aria-selected={activeTab === 'lenses'}
-            aria-controls="lenses-panel"
-            id="lenses-tab"
-            tabIndex={activeTab === 'lenses' ? 0 : -1}
-          >
-            Lenses
-          </button>
-        )}
-        {availableTabs.has('tagged') && (
-          <button 
-            ref={el => tabRefs.current['tagged'] = el}
-            className={`tab-button ${activeTab === 'tagged' ? 'active' : ''}`}
-            onClick={() => setActiveTab('tagged')}
-            onKeyDown={(e) => handleTabKeyDown(e, 'tagged')}
-            role="tab"
-            aria-selected={activeTab === 'tagged'}
-            aria-controls="tagged-panel"
-            id="tagged-tab"
-            tabIndex={activeTab === 'tagged' ? 0 : -1}
-          >
-            Tagged
-          </button>
-        )}
-        {availableTabs.has('related') && (
-          <button 
-            ref={el => tabRefs.current['related'] = el}
-            className={`tab-button ${activeTab === 'related' ? 'active' : ''}`}
-            onClick={() => setActiveTab('related')}
-            onKeyDown={(e) => handleTabKeyDown(e, 'related')}
-            role="tab"
-            aria-selected={activeTab === 'related'}
-            aria-controls="related-panel"
-            id="related-tab"
-            tabIndex={activeTab === 'related' ? 0 : -1}
-          >
-            Related
-          </button>
-        )}
+      <div className="tab-navigation" role="tablist" aria-label={t('tabs.label')}>
+        {availableTabs.map((tab) => {
+          const tabSummary = summaries.get(tab)
+          return (
+            <button 
+              key={tab}
+              ref={el => tabRefs.current[tab] = el}
+              className={`tab-button ${activeTab === tab ? 'active' : ''}`}
+              onClick={() => setActiveTab(tab)}
+              onKeyDown={(e) => handleTabKeyDown(e, tab)}
+              role="tab"
+              aria-selected={activeTab === tab}
+              aria-controls={`${tab}-panel`}
+              id={`${tab}-tab`}
+              tabIndex={activeTab === tab ? 0 : -1}
+            >
+              {t(`tabs.${tab}`)}
+              {tabSummary?.count > 0 && (
+                <span className="tab-count">{formatCount(tabSummary.count)}{tabSummary.more ? '+' : ''}</span>
+              )}
+            </button>
+          )
+        })}
       </div>
 
-      {/* Sort Filter */}
-      <div className="sort-filter">
-        <span>Sort by:</span>
-        <button className="sort-button">
-          Recent
-          <span className="sort-arrow">▼</span>
-        </button>
-      </div>
+      {filterable && <TabFilters query={query} items={items} onChange={setQuery} />}
 
       {/* Content Grid */}
       <div 
@@ -857,72 +299,108 @@ export default function Tabs({ username }) {
       >
         {!loading && items.length === 0 && (
           <div className="empty-message" role="status" aria-live="polite" aria-atomic="true">
-            No {getTabTitle(activeTab).toLowerCase()} available for this profile.
+            {t(filtered ? 'tabs.emptyFiltered' : 'tabs.empty', { content })}
           </div>
         )}
-        {items.map((item, index) => (
-          <article 
-            key={index} 
-            className={`content-tile ${item.isProfile ? 'profile-tile' : ''} ${item.isStory ? 'story-tile' : ''}`} 
-            tabIndex="0" 
-            role="button" 
-            aria-label={item.isProfile ? `View profile of ${item.user}` : item.isStory ? `View story: ${item.description}` : `View content by ${item.user}`}
-            onClick={() => handleTileActivate(item)}
-            onKeyDown={(e) => {
-              if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault()
-                handleTileActivate(item)
-              }
-            }}
-          >
-            {item.thumbnail && (
-              <OptimizedImage
-                src={item.thumbnail} 
-                alt={item.isProfile 
-                  ? `Profile picture of ${item.user}` 
-                  : `Thumbnail image for ${item.description || 'content'} by ${item.user}`
-                } 
-                className={item.isProfile ? "profile-image" : "tile-image"} 
-                loading="lazy"
-                sizes="(max-width: 768px) 33vw, 25vw"
-                width={item.isProfile ? "60" : "280"}
-                height={item.isProfile ? "60" : "200"}
-              />
-            )}
-            {/* Snapchat-style overlay content wrapper - only for non-profile tiles */}
-            {!item.isProfile && (
-              <div className="spotlight-tile-overlay-content-wrapper">
-                <div className="tile-overlay">
-                  {item.views && (
-                    <div className="view-count">
-                      👁 {item.views}
-                    </div>
+        {items.map((item) => {
+          const isProfile = item.kind === ITEM_KINDS.PROFILE
+          const isStory = item.kind === ITEM_KINDS.STORY
+          
+          return (
+            <article 
+              key={item.id} 
+              className={`content-tile ${isProfile ? 'profile-tile' : ''} ${isStory ? 'story-tile' : ''}`} 
+              tabIndex="0" 
+              role="button" 
+              aria-label={isProfile
+                ? t('tile.viewProfile', { user: item.user })
+                : isStory ? t('tile.viewStory', { description: item.description }) : t('tile.viewContent', { user: item.user })}
+              onClick={() => handleTileActivate(item)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                  e.preventDefault()
+                  handleTileActivate(item)
+                }
+              }}
+            >
+              {item.thumbnail && (
+                <OptimizedImage
+                  src={item.thumbnail} 
+                  alt={isProfile 
+                    ? t('tile.profilePicture', { user: item.user })
+                    : t('tile.thumbnail', { description: item.description || t('tile.content'), user: item.user })
+                  } 
+                  className={isProfile ? "profile-image" : "tile-image"} 
+                  loading="lazy"
+                  sizes="(max-width: 768px) 33vw, 25vw"
+                  width={isProfile ? "60" : "280"}
+                  height={isProfile ? "60" : "200"}
+                />
+              )}
+              {/* Snapchat-style overlay content wrapper - only for non-profile tiles */}
+              {!isProfile && (
+                <div className="spotlight-tile-overlay-content-wrapper">
+                  <div className="tile-overlay">
+                    {item.views !== null && (
+                      <div className="view-count">
+                        👁 {formatCount(item.views)}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+              
+              {/* Only show content for profile tiles (Related tab) */}
+              {isProfile && (
+                <div className="tile-content">
+                  {item.user && (
+                    <h4 className="tile-user">{item.user}</h4>
+                  )}
+                  {item.description && (
+                    <p className="tile-description">{item.description}</p>
                   )}
                 </div>
-              </div>
-            )}
-            
-            {/* Only show content for profile tiles (Related tab) */}
-            {item.isProfile && (
-              <div className="tile-content">
-                {item.user && (
-                  <h4 className="tile-user">{item.user}</h4>
-                )}
-                {item.description && (
-                  <p className="tile-description">{item.description}</p>
-                )}
-              </div>
-            )}
-          </article>
-        ))}
+              )}
+            </article>
+          )
+        })}
+        {loadingMore && <LoadingSpinner label={t('tabs.loading', { content })} />}
       </div>
+
+      {/* Infinite scroll: the next page loads as the end of the grid comes into view */}
+      {!loading && hasMore && !loadingMore && !loadMoreError && <LoadMoreTrigger onVisible={loadMore} />}
+      {loadMoreError && (
+        <div className="load-more-error" role="alert">
+          <span>{t('tabs.loadMoreFailed', { content })}</span>
+          <button type="button" className="load-more-button" onClick={loadMore}>{t('common.tryAgain')}</button>
+        </div>
+      )}
+      {!loading && !hasMore && items.length > 0 && (
+        <p className="end-of-results" role="status">
+          {t('tabs.end', { content })}
+        </p>
+      )}
       
-      {/* Content Modal */}
-      <ContentModal 
-        item={activeContent}
-        isOpen={showModal}
-        onClose={handleCloseModal}
-      />
+      {/* Stories play in their own viewer; everything else opens in the content modal */}
+      {activeContent?.kind === ITEM_KINDS.STORY ? (
+        <StoryViewer
+          key={activeContent.id}
+          item={activeContent}
+          items={modalItems}
+          index={activeIndex}
+          onClose={handleCloseModal}
+          onNavigate={handleNavigateModal}
+        />
+      ) : (
+        <ContentModal 
+          item={activeContent}
+          items={modalItems}
+          index={activeIndex}
+          isOpen={Boolean(activeContent)}
+          onClose={handleCloseModal}
+          onNavigate={handleNavigateModal}
+        />
+      )}
     </div>
   )
 }
\ No newline at end of file
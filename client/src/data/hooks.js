@@ -0,0 +1,286 @@
+/**
+ * React hooks over the shared request cache
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { cacheKey, fetchJson, invalidate, peek, subscribe } from './requestCache'
+import { useLocale } from '../i18n/locale'
+import { validateProfile } from '../../../shared/profileModel.js'
+import { validateContentItem } from '../../../shared/contentItem.js'
+import { DEFAULT_QUERY, contentQueryParams } from '../../../shared/contentQuery.js'
+import { isMediaProxyPath } from '../../../shared/mediaProxy.js'
+
+export const profileApiUrl = (username) => `/api/profile/${encodeURIComponent(username)}`
+export const tabSummaryApiUrl = (username) => `${profileApiUrl(username)}/tabs`
+export const spotlightMediaApiUrl = (id) => `/api/spotlight/${encodeURIComponent(id)}/media`
+export const storyApiUrl = (username, slug) => `${profileApiUrl(username)}/stories/${encodeURIComponent(slug)}`
+/**
+ * @param {string} username
+ * @param {string} tab
+ * @param {Object} [options]
+ * @param {string|null} [options.cursor] - `nextCursor` of the previous page
+ * @param {import('../../../shared/contentQuery.js').ContentQuery} [options.query] - Sort and filters
+ * @returns {string}
+ */
+export function tabApiUrl(username, tab, { cursor = null, query = DEFAULT_QUERY } = {}) {
+  const params = contentQueryParams(query)
+  if (cursor) params.set('cursor', cursor)
+  const search = params.toString()
+  return `${profileApiUrl(username)}/tabs/${tab}${search ? `?${search}` : ''}`
+}
+
+/**
+ * @param {string[]} usernames
+ * @returns {string}
+ */
+export function compareApiUrl(usernames) {
+  return `/api/compare?${new URLSearchParams(usernames.map((username) => ['u', username]))}`
+}
+
+const NO_PAGES = []
+
+function selectProfile(profile) {
+  const errors = validateProfile(profile)
+  if (errors.length > 0) {
+    throw new Error(`Invalid profile response: ${errors.join(', ')}`)
+  }
+  return profile
+}
+
+// Invalid items are dropped rather than failing the whole tab
+function selectItems({ tab, items }) {
+  return items.filter((item) => {
+    const errors = validateContentItem(item)
+    if (errors.length > 0 && import.meta.env.DEV) {
+      console.warn(`Skipping invalid ${tab} item:`, errors, item)
+    }
+    return errors.length === 0
+  })
+}
+
+// Each entry either has a profile or says why it could not be loaded
+function selectComparison({ profiles }) {
+  return profiles.map((entry) => entry.profile ? { ...entry, profile: selectProfile(entry.profile) } : entry)
+}
+
+function selectSummary({ tabs }) {
+  return tabs.map((summary) => ({ ...summary, preview: selectItems({ tab: summary.tab, items: summary.preview }) }))
+}
+
+// Sources the browser could not load anyway (not proxied or https, no type) are dropped
+function selectMedia({ id, poster, sources }) {
+  return {
+    id,
+    poster: typeof poster === 'string' ? poster : null,
+    sources: sources.filter((source) => (isMediaProxyPath(source?.url) || /^https:\/\//.test(source?.url)) && typeof source.type === 'string')
+  }
+}
+
+// Snaps the viewer could not show (media not proxied or https) are dropped
+function selectStory({ username, id, title, snaps }) {
+  return {
+    username,
+    id,
+    title: typeof title === 'string' ? title : null,
+    snaps: snaps.filter((snap) => (isMediaProxyPath(snap?.url) || /^https:\/\//.test(snap?.url)) && ['image', 'video'].includes(snap.type))
+  }
+}
+
+function selectPage(body) {
+  return { items: selectItems(body), nextCursor: body.nextCursor ?? null }
+}
+
+/**
+ * Loads a JSON resource through the request cache
+ * @param {string|null} url - Nothing is fetched while null
+ * @param {(body: *) => *} select - Validates/transforms the body; must be stable
+ * @param {string} locale
+ * @returns {{ data: *, error: Error|null, loading: boolean, refresh: () => void }}
+ */
+function useResource(url, select, locale) {
+  const key = url && cacheKey(url, locale)
+  const [state, setState] = useState({ key: null, version: 0, data: undefined, error: null })
+  const [version, setVersion] = useState(0)
+
+  useEffect(() => {
+    if (!url) return
+    let active = true
+
+    fetchJson(url, { locale })
+      .then((body) => {
+        if (active) setState({ key, version, data: select(body), error: null })
+      })
+      .catch((error) => {
+        if (active) setState({ key, version, data: undefined, error })
+      })
+
+    return () => {
+      active = false
+    }
+  }, [url, key, locale, select, version])
+
+  // Refetch when someone invalidates this URL
+  useEffect(() => {
+    if (!url) return
+    return subscribe((urls) => {
+      if (urls.includes(url)) setVersion((current) => current + 1)
+    })
+  }, [url])
+
+  const refresh = useCallback(() => {
+    if (url) invalidate((candidate, candidateLocale) => candidate === url && candidateLocale === locale)
+  }, [url, locale])
+
+  // Cached responses (including data embedded by the server renderer) render on the first pass
+  const current = state.key === key
+  const cached = !current && url ? peek(url, locale) : undefined
+  const initial = useMemo(() => {
+    if (cached === undefined) return undefined
+    try {
+      return select(cached)
+    } catch {
+      return undefined
+    }
+  }, [cached, select])
+
+  if (!current && initial !== undefined) {
+    return { data: initial, error: null, loading: false, refresh }
+  }
+
+  // Data stays visible while the same resource is being refreshed
+  return {
+    data: current ? state.data : undefined,
+    error: current ? state.error : null,
+    loading: Boolean(url) && (!current || state.version !== version),
+    refresh
+  }
+}
+
+/**
+ * @param {string|null} username
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Defaults to the selected locale
+ * @returns {{ data: import('../../../shared/profileModel.js').Profile|undefined, error: Error|null, loading: boolean, refresh: () => void }}
+ */
+export function useProfile(username, { locale } = {}) {
+  const selected = useLocale()
+  return useResource(username ? profileApiUrl(username) : null, selectProfile, locale ?? selected)
+}
+
+/**
+ * Tabs the profile has, each with `count` (items on the first page), `more`
+ * (further pages exist) and `preview` (the first few items)
+ * @param {string|null} username
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Defaults to the selected locale
+ * @returns {{ data: Array<{ tab: string, count: number|null, more: boolean, preview: Object[] }>|undefined,
+ *   error: Error|null, loading: boolean, refresh: () => void }}
+ */
+export function useTabSummary(username, { locale } = {}) {
+  const selected = useLocale()
+  return useResource(username ? tabSummaryApiUrl(username) : null, selectSummary, locale ?? selected)
+}
+
+/**
+ * Several profiles with figures over their Spotlight videos, for the compare view
+ * @param {string[]} usernames - Nothing is fetched while empty
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Defaults to the selected locale
+ * @returns {{ data: Object[]|undefined, error: Error|null, loading: boolean, refresh: () => void }}
+ *   `data` holds `{ username, profile, spotlight, error }` per username (see server/routes/compare.js)
+ */
+export function useComparison(usernames, { locale } = {}) {
+  const selected = useLocale()
+  return useResource(usernames.length > 0 ? compareApiUrl(usernames) : null, selectComparison, locale ?? selected)
+}
+
+/**
+ * Playable sources of a Spotlight video, resolved by the server, plus its poster
+ * @param {string|null} id - Spotlight id; nothing is fetched while null
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Defaults to the selected locale
+ * @returns {{ data: { id: string, poster: string|null, sources: Array<{ url: string, type: string,
+ *   width: number|null, height: number|null }> }|undefined, error: Error|null, loading: boolean, refresh: () => void }}
+ */
+export function useSpotlightMedia(id, { locale } = {}) {
+  const selected = useLocale()
+  return useResource(id ? spotlightMediaApiUrl(id) : null, selectMedia, locale ?? selected)
+}
+
+/**
+ * The snaps of a story, in playing order, resolved by the server
+ * @param {string|null} username
+ * @param {string|null} slug - Last segment of the story item's URL; nothing is fetched while null
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Defaults to the selected locale
+ * @returns {{ data: { username: string, id: string, title: string|null, snaps: Array<{ id: string,
+ *   type: 'image'|'video', url: string, poster: string|null, duration: number|null }> }|undefined,
+ *   error: Error|null, loading: boolean, refresh: () => void }} `duration` is in seconds; null for videos
+ */
+export function useStory(username, slug, { locale } = {}) {
+  const selected = useLocale()
+  return useResource(username && slug ? storyApiUrl(username, slug) : null, selectStory, locale ?? selected)
+}
+
+/**
+ * Tab items, loaded a page at a time. The first page comes through the request
+ * cache like any resource; `loadMore()` appends the page after the last one.
+ * @param {string|null} username
+ * @param {string|null} tab - Lower-case tab name; nothing is fetched while null
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Defaults to the selected locale
+ * @param {import('../../../shared/contentQuery.js').ContentQuery} [options.query] - Sort and filters, applied by the API
+ * @returns {{ data: Object[]|undefined, error: Error|null, loading: boolean, refresh: () => void,
+ *   loadMore: () => void, hasMore: boolean, loadingMore: boolean, loadMoreError: Error|null }}
+ */
+export function useTab(username, tab, { locale: requestedLocale, query = DEFAULT_QUERY } = {}) {
+  const selected = useLocale()
+  const locale = requestedLocale ?? selected
+  const firstUrl = username && tab ? tabApiUrl(username, tab, { query }) : null
+  const first = useResource(firstUrl, selectPage, locale)
+  // Later pages belong to the first page they continue; a refresh or another tab starts over
+  const [more, setMore] = useState({ base: null, pages: NO_PAGES, loading: false, error: null })
+  const requested = useRef(null)
+
+  const base = first.data
+  const pages = more.base === base ? more.pages : NO_PAGES
+  const last = pages.length > 0 ? pages[pages.length - 1] : base
+  const cursor = last?.nextCursor ?? null
+
+  const loadMore = useCallback(() => {
+    if (!cursor || (requested.current?.base === base && requested.current.cursor === cursor)) return
+    requested.current = { base, cursor }
+
+    setMore((current) => current.base === base
+      ? { ...current, loading: true, error: null }
+      : { base, pages: NO_PAGES, loading: true, error: null })
+
+    // Results for a first page that has since been replaced are dropped
+    const settle = (change) => setMore((current) => current.base === base ? { ...current, ...change(current) } : current)
+
+    fetchJson(tabApiUrl(username, tab, { cursor, query }), { locale })
+      .then((body) => settle((current) => ({ pages: [...current.pages, selectPage(body)], loading: false })))
+      .catch((error) => {
+        // Allow retrying the same cursor
+        requested.current = null
+        settle(() => ({ loading: false, error }))
+      })
+  }, [base, cursor, username, tab, query, locale])
+
+  const data = useMemo(() => {
+    if (!base) return undefined
+    return pages.length === 0 ? base.items : [base, ...pages].flatMap((page) => page.items)
+  }, [base, pages])
+
+  const current = more.base === base
+  return {
+    data,
+    error: first.error,
+    loading: first.loading,
+    refresh: first.refresh,
+    loadMore,
+    hasMore: Boolean(cursor),
+    loadingMore: current && more.loading,
+    loadMoreError: current ? more.error : null
+  }
+}
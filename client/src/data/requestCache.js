@@ -0,0 +1,135 @@
+/**
+ * Client-side request cache shared by every component
+ *
+ * Responses are kept in memory keyed by locale + URL, and concurrent requests
+ * for the same key share one fetch.
+ */
+
+import { DEFAULT_LOCALE } from '../../../shared/locales.js'
+
+export { DEFAULT_LOCALE }
+
+// How long a successful response is reused before it is fetched again
+const DEFAULT_TTL = 5 * 60 * 1000
+
+const entries = new Map()
+const listeners = new Set()
+
+/**
+ * @param {string} url
+ * @param {string} [locale]
+ * @returns {string} Cache key for the URL in the given locale
+ */
+export function cacheKey(url, locale = DEFAULT_LOCALE) {
+  return `${locale} ${url}`
+}
+
+async function load(url, locale) {
+  const res = await fetch(url, { headers: { 'Accept-Language': locale } })
+  const body = await res.json().catch(() => null)
+  if (!res.ok) {
+    const error = new Error(body?.error?.message || `Request for ${url} failed (${res.status})`)
+    error.status = res.status
+    error.code = body?.error?.code
+    throw error
+  }
+  return body
+}
+
+/**
+ * Fetches a JSON URL through the cache
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.locale]
+ * @param {number} [options.ttl] - Milliseconds to reuse the response
+ * @returns {Promise<*>} Parsed JSON
+ */
+export function fetchJson(url, { locale = DEFAULT_LOCALE, ttl = DEFAULT_TTL } = {}) {
+  const key = cacheKey(url, locale)
+  const entry = entries.get(key)
+
+  if (entry && (entry.pending || Date.now() < entry.expiresAt)) {
+    return entry.promise
+  }
+
+  const next = { pending: true, expiresAt: 0 }
+  next.promise = load(url, locale).then(
+    (value) => {
+      next.pending = false
+      next.value = value
+      next.expiresAt = Date.now() + ttl
+      return value
+    },
+    (error) => {
+      // Failures are not cached so the next caller retries
+      if (entries.get(key) === next) entries.delete(key)
+      throw error
+    }
+  )
+  entries.set(key, next)
+
+  return next.promise
+}
+
+/**
+ * Stores a value as if it had been fetched, e.g. data embedded by the server renderer
+ * @param {string} url
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {string} [options.locale]
+ * @param {number} [options.ttl]
+ */
+export function prime(url, value, { locale = DEFAULT_LOCALE, ttl = DEFAULT_TTL } = {}) {
+  entries.set(cacheKey(url, locale), {
+    pending: false,
+    value,
+    promise: Promise.resolve(value),
+    expiresAt: Date.now() + ttl
+  })
+}
+
+/**
+ * Returns a cached, unexpired value without fetching
+ * @param {string} url
+ * @param {string} [locale]
+ * @returns {*} The value, or undefined when nothing usable is cached
+ */
+export function peek(url, locale = DEFAULT_LOCALE) {
+  const entry = entries.get(cacheKey(url, locale))
+  return entry && !entry.pending && Date.now() < entry.expiresAt ? entry.value : undefined
+}
+
+/**
+ * Drops cached responses and notifies subscribers so mounted hooks refetch
+ * @param {string|((url: string, locale: string) => boolean)} [match] - URL prefix
+ *   or predicate; omit to clear everything
+ */
+export function invalidate(match) {
+  const removed = new Set()
+
+  for (const key of [...entries.keys()]) {
+    const separator = key.indexOf(' ')
+    const locale = key.slice(0, separator)
+    const url = key.slice(separator + 1)
+    const matches = match === undefined ||
+      (typeof match === 'function' ? match(url, locale) : url.startsWith(match))
+
+    if (matches) {
+      entries.delete(key)
+      removed.add(url)
+    }
+  }
+
+  if (removed.size > 0) {
+    listeners.forEach((listener) => listener([...removed]))
+  }
+}
+
+/**
+ * @param {(urls: string[]) => void} listener - Called with the invalidated URLs
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
@@ -0,0 +1,41 @@
+import { StrictMode } from 'react'
+import { renderToString } from 'react-dom/server'
+import App from './App.jsx'
+import { profileApiUrl, tabSummaryApiUrl } from './data/hooks'
+import { invalidate, prime } from './data/requestCache'
+import { setServerLocation } from './utils/routes'
+import { DEFAULT_LOCALE, setServerLocale } from './i18n/locale'
+
+/**
+ * Renders the app for a profile path on the server
+ *
+ * The profile is primed into the request cache so the first render shows it
+ * instead of a loading state; the browser primes the same data from
+ * window.__SNAP_DATA__ before hydrating, so both renders match.
+ * @param {string} path - Path and query string, e.g. "/@moonlightbae/stories?sort=views"
+ * @param {Object} [data] - The same object is embedded as window.__SNAP_DATA__
+ * @param {string} [data.locale] - Locale the page is rendered in
+ * @param {string} [data.username] - Username as written in the path
+ * @param {Object} [data.profile] - Profile model from the API
+ * @param {Object[]} [data.tabs] - Tab summary from the API
+ * @returns {string} HTML for the #root element
+ */
+export function render(path, { locale = DEFAULT_LOCALE, username, profile, tabs } = {}) {
+  setServerLocation(path)
+  setServerLocale(locale)
+  if (username && profile) prime(profileApiUrl(username), profile, { locale })
+  if (username && tabs) prime(tabSummaryApiUrl(username), { username, tabs }, { locale })
+
+  try {
+    return renderToString(
+      <StrictMode>
+        <App />
+      </StrictMode>,
+    )
+  } finally {
+    // The module is shared by every request
+    invalidate()
+    setServerLocation(null)
+    setServerLocale(null)
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * The selected locale and translation helpers
+ *
+ * The locale is chosen in the footer's language selector and remembered in
+ * localStorage plus a cookie, so the server renders the next page in it too.
+ * Without a choice the browser's languages decide. API requests send it as
+ * Accept-Language (see data/requestCache.js), which the server passes on to
+ * Snapchat and folds into its cache keys.
+ */
+
+import { useMemo, useSyncExternalStore } from 'react'
+import { MESSAGES } from './messages'
+import { formatCount, formatDate } from '../utils/formatUtils'
+import {
+  DEFAULT_LOCALE,
+  LOCALE_COOKIE,
+  SUPPORTED_LOCALES,
+  matchLocale,
+  negotiateLocale
+} from '../../../shared/locales.js'
+
+export { DEFAULT_LOCALE, SUPPORTED_LOCALES }
+
+const STORAGE_KEY = 'snap-clone:locale'
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60
+
+const listeners = new Set()
+let currentLocale = DEFAULT_LOCALE
+// Set by the server renderer for the duration of a render
+let serverLocale = null
+
+function storedLocale() {
+  try {
+    return matchLocale(window.localStorage.getItem(STORAGE_KEY))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Picks the starting locale before the first render
+ * @param {string} [rendered] - Locale the server rendered the page in; hydration has to match it
+ */
+export function initLocale(rendered) {
+  currentLocale = matchLocale(rendered) || storedLocale() || negotiateLocale(navigator.languages || []) || DEFAULT_LOCALE
+  document.documentElement.lang = currentLocale
+}
+
+/**
+ * Switches the UI and API requests to another locale and remembers the choice
+ * @param {string} locale - Supported locale code
+ */
+export function setLocale(locale) {
+  const next = matchLocale(locale)
+  if (!next || next === currentLocale) return
+
+  currentLocale = next
+  document.documentElement.lang = next
+  document.cookie = `${LOCALE_COOKIE}=${next}; path=/; max-age=${COOKIE_MAX_AGE}; samesite=lax`
+  try {
+    window.localStorage.setItem(STORAGE_KEY, next)
+  } catch {
+    // The cookie still carries the choice
+  }
+  listeners.forEach((listener) => listener())
+}
+
+/**
+ * Sets the locale useLocale() reports while rendering on the server
+ * @param {string|null} locale
+ */
+export function setServerLocale(locale) {
+  serverLocale = locale
+}
+
+function subscribe(callback) {
+  listeners.add(callback)
+  return () => listeners.delete(callback)
+}
+
+const getSnapshot = () => currentLocale
+const getServerSnapshot = () => serverLocale ?? currentLocale
+
+/**
+ * @returns {string} Selected locale code, e.g. "fr-FR"
+ */
+export function useLocale() {
+  return useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot)
+}
+
+function lookup(locale, key) {
+  const language = locale.split('-')[0]
+  return MESSAGES[locale]?.[key] ?? MESSAGES[language]?.[key] ?? MESSAGES.en[key]
+}
+
+/**
+ * Looks up a UI string and fills in its `{name}` placeholders
+ * @param {string} locale
+ * @param {string} key - Key of the catalog in messages.js
+ * @param {Object} [params] - Placeholder values; `count` also selects the plural form
+ * @returns {string} The translation, or the key itself when no catalog has it
+ */
+export function translate(locale, key, params = {}) {
+  let message = lookup(locale, key)
+  if (message === undefined) {
+    if (import.meta.env.DEV) console.warn(`Missing translation: ${key}`)
+    return key
+  }
+  if (typeof message === 'object') {
+    message = message[new Intl.PluralRules(locale).select(Number(params.count) || 0)] ?? message.other
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => name in params ? String(params[name]) : placeholder)
+}
+
+/**
+ * Translation and formatting bound to the selected locale
+ * @returns {{ locale: string, t: (key: string, params?: Object) => string,
+ *   formatCount: (count: number|string) => string|null, formatDate: (value: Date|string|number, options?: Object) => string|null }}
+ */
+export function useTranslation() {
+  const locale = useLocale()
+  return useMemo(() => ({
+    locale,
+    t: (key, params) => translate(locale, key, params),
+    formatCount: (count) => formatCount(count, locale),
+    formatDate: (value, options) => formatDate(value, locale, options)
+  }), [locale])
+}
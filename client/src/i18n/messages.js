@@ -0,0 +1,534 @@
+/**
+ * Translation catalog for the clone's own UI strings
+ *
+ * Catalogs are keyed by language; a locale falls back to its language and then
+ * to English, so `en-GB` only differs from `en-US` in number and date formats.
+ * `{name}` placeholders are filled in by translate(); messages with `one`/`other`
+ * forms are picked by the `count` parameter (Intl.PluralRules).
+ *
+ * Content scraped from Snapchat (bios, captions, categories) is not translated
+ * here; the API requests it in the selected locale instead.
+ */
+
+export const MESSAGES = {
+  en: {
+    'landing.prompt': 'Search for a profile by username or Snapchat link, or open one by its path, e.g. {example}',
+    'profile.loading': 'Loading…',
+    'profile.error': 'Error loading profile.',
+    'profile.share': 'Share',
+    'profile.compare': 'Compare',
+    'profile.followers': { one: '{formatted} follower', other: '{formatted} followers' },
+    'profile.verified': 'Verified',
+    'profile.picture': 'Profile picture',
+    'profile.snapcode': 'Snapcode for {username}',
+    'common.tryAgain': 'Try again',
+    'common.loadingContent': 'Loading content...',
+
+    'login.title': 'Log in to Snapchat',
+    'login.subtitle': 'Chat, Snap, and video call your friends. Watch Stories and Spotlight, all from your computer.',
+    'login.username': 'Username or email address',
+    'login.usePhone': 'Use phone number instead',
+    'login.submit': 'Log in',
+    'login.getApp': 'Looking for the app?',
+    'login.getAppLink': 'Get it here.',
+
+    'nav.stories': 'Stories',
+    'nav.spotlight': 'Spotlight',
+    'nav.chat': 'Chat',
+    'nav.lenses': 'Lenses',
+    'nav.download': 'Download',
+
+    'search.placeholder': 'Search',
+    'search.label': 'Search profiles by username or Snapchat link',
+    'search.goTo': 'Go to',
+
+    'tabs.label': 'Profile content tabs',
+    'tabs.stories': 'Stories',
+    'tabs.spotlight': 'Spotlight',
+    'tabs.lenses': 'Lenses',
+    'tabs.tagged': 'Tagged',
+    'tabs.related': 'Related',
+    // How each tab's content is referred to mid-sentence
+    'tabs.content.stories': 'stories',
+    'tabs.content.spotlight': 'spotlight results',
+    'tabs.content.lenses': 'lenses',
+    'tabs.content.tagged': 'tagged content',
+    'tabs.content.related': 'related content',
+    'tabs.empty': 'No {content} available for this profile.',
+    'tabs.emptyFiltered': 'No {content} match these filters.',
+    'tabs.loading': 'Loading {content}...',
+    'tabs.loadMoreFailed': 'Couldn\'t load more {content}.',
+    'tabs.end': 'You\'ve reached the end of {content}.',
+
+    'tile.viewProfile': 'View profile of {user}',
+    'tile.viewStory': 'View story: {description}',
+    'tile.viewContent': 'View content by {user}',
+    'tile.profilePicture': 'Profile picture of {user}',
+    'tile.thumbnail': 'Thumbnail image for {description} by {user}',
+    'tile.content': 'content',
+
+    'filters.label': 'Sort and filter content',
+    'filters.sortBy': 'Sort by:',
+    'filters.sort.recent': 'Recent',
+    'filters.sort.views': 'Most viewed',
+    'filters.sort.newest': 'Newest',
+    'filters.sort.oldest': 'Oldest',
+    'filters.sort.shares': 'Most shared',
+    'filters.hashtag': 'Hashtag',
+    'filters.creator': 'Creator',
+    'filters.anyone': 'Anyone',
+    'filters.views': 'Views',
+    'filters.any': 'Any',
+    'filters.minViews': '{formatted}+',
+    'filters.clear': 'Clear filters',
+
+    'compare.title': 'Compare profiles',
+    'compare.add': 'Add a profile',
+    'compare.empty': 'Add up to {max} profiles to compare them side by side.',
+    'compare.error': 'Error loading profiles.',
+    'compare.unavailable': 'Couldn\'t load this profile.',
+    'compare.remove': 'Remove @{username}',
+    'compare.subscribers': 'Subscribers',
+    'compare.category': 'Category',
+    'compare.bio': 'Bio',
+    'compare.spotlights': 'Spotlights',
+    'compare.totalViews': 'Total views',
+    'compare.medianViews': 'Median views',
+    'compare.lastPosted': 'Last posted',
+    'compare.postsLast30Days': 'Posts in the last 30 days',
+    'compare.activity': 'Weekly posts',
+    'compare.activityLabel': 'Posts per week over the last {weeks} weeks: {counts}',
+    'compare.tabs': 'Tabs',
+
+    'modal.close': 'Close',
+    'modal.content': 'Content',
+    'modal.loadingVideo': 'Loading video...',
+    'modal.next': 'Next',
+    'modal.previous': 'Previous',
+    'modal.videoUnavailable': 'Video unavailable',
+    'modal.formatUnsupported': 'This video\'s format can\'t be played in your browser',
+    'modal.quality': 'Video quality',
+    'modal.qualityAuto': 'Auto',
+    'modal.qualityAutoActive': 'Auto ({quality})',
+    'modal.viewOnSnapchat': 'View on Snapchat',
+    'modal.watchOnSnapchat': 'Watch on Snapchat',
+
+    'story.label': 'Story by {user}',
+    'story.loading': 'Loading story...',
+    'story.unavailable': 'This story isn\'t available',
+    'story.progress': 'Snap {current} of {total}',
+    'story.pause': 'Pause',
+    'story.play': 'Play',
+    'story.previousSnap': 'Previous snap',
+    'story.nextSnap': 'Next snap',
+
+    'footer.company': 'Company',
+    'footer.careers': 'Careers',
+    'footer.news': 'News',
+    'footer.community': 'Community',
+    'footer.support': 'Support',
+    'footer.guidelines': 'Community Guidelines',
+    'footer.safety': 'Safety Center',
+    'footer.advertising': 'Advertising',
+    'footer.buyAds': 'Buy Ads',
+    'footer.adPolicies': 'Advertising Policies',
+    'footer.politicalAds': 'Political Ads Library',
+    'footer.legal': 'Legal',
+    'footer.privacyCenter': 'Privacy Center',
+    'footer.privacyChoices': 'Your Privacy Choices',
+    'footer.cookies': 'Cookie Policy',
+    'footer.privacyPolicy': 'Privacy Policy',
+    'footer.terms': 'Terms of Service',
+    'footer.language': 'Language'
+  },
+
+  es: {
+    'landing.prompt': 'Busca un perfil por nombre de usuario o enlace de Snapchat, o ábrelo por su ruta, p. ej. {example}',
+    'profile.loading': 'Cargando…',
+    'profile.error': 'Error al cargar el perfil.',
+    'profile.share': 'Compartir',
+    'profile.compare': 'Comparar',
+    'profile.followers': { one: '{formatted} seguidor', other: '{formatted} seguidores' },
+    'profile.verified': 'Verificado',
+    'profile.picture': 'Foto de perfil',
+    'profile.snapcode': 'Snapcode de {username}',
+    'common.tryAgain': 'Reintentar',
+    'common.loadingContent': 'Cargando contenido...',
+
+    'login.title': 'Inicia sesión en Snapchat',
+    'login.subtitle': 'Chatea, envía Snaps y haz videollamadas con tus amigos. Mira Historias y Spotlight, todo desde tu ordenador.',
+    'login.username': 'Nombre de usuario o correo electrónico',
+    'login.usePhone': 'Usar número de teléfono',
+    'login.submit': 'Iniciar sesión',
+    'login.getApp': '¿Buscas la aplicación?',
+    'login.getAppLink': 'Descárgala aquí.',
+
+    'nav.stories': 'Historias',
+    'nav.spotlight': 'Spotlight',
+    'nav.chat': 'Chat',
+    'nav.lenses': 'Lentes',
+    'nav.download': 'Descargar',
+
+    'search.placeholder': 'Buscar',
+    'search.label': 'Buscar perfiles por nombre de usuario o enlace de Snapchat',
+    'search.goTo': 'Ir a',
+
+    'tabs.label': 'Pestañas de contenido del perfil',
+    'tabs.stories': 'Historias',
+    'tabs.spotlight': 'Spotlight',
+    'tabs.lenses': 'Lentes',
+    'tabs.tagged': 'Etiquetado',
+    'tabs.related': 'Relacionados',
+    'tabs.content.stories': 'historias',
+    'tabs.content.spotlight': 'resultados de Spotlight',
+    'tabs.content.lenses': 'lentes',
+    'tabs.content.tagged': 'contenido etiquetado',
+    'tabs.content.related': 'contenido relacionado',
+    'tabs.empty': 'No hay {content} disponible para este perfil.',
+    'tabs.emptyFiltered': 'Ningún resultado de {content} coincide con estos filtros.',
+    'tabs.loading': 'Cargando {content}...',
+    'tabs.loadMoreFailed': 'No se pudo cargar más {content}.',
+    'tabs.end': 'Has llegado al final de {content}.',
+
+    'tile.viewProfile': 'Ver el perfil de {user}',
+    'tile.viewStory': 'Ver historia: {description}',
+    'tile.viewContent': 'Ver contenido de {user}',
+    'tile.profilePicture': 'Foto de perfil de {user}',
+    'tile.thumbnail': 'Miniatura de {description} de {user}',
+    'tile.content': 'contenido',
+
+    'filters.label': 'Ordenar y filtrar contenido',
+    'filters.sortBy': 'Ordenar por:',
+    'filters.sort.recent': 'Recientes',
+    'filters.sort.views': 'Más vistos',
+    'filters.sort.newest': 'Más nuevos',
+    'filters.sort.oldest': 'Más antiguos',
+    'filters.sort.shares': 'Más compartidos',
+    'filters.hashtag': 'Hashtag',
+    'filters.creator': 'Creador',
+    'filters.anyone': 'Cualquiera',
+    'filters.views': 'Visualizaciones',
+    'filters.any': 'Cualquiera',
+    'filters.minViews': '{formatted}+',
+    'filters.clear': 'Borrar filtros',
+
+    'compare.title': 'Comparar perfiles',
+    'compare.add': 'Añadir un perfil',
+    'compare.empty': 'Añade hasta {max} perfiles para compararlos uno al lado del otro.',
+    'compare.error': 'Error al cargar los perfiles.',
+    'compare.unavailable': 'No se pudo cargar este perfil.',
+    'compare.remove': 'Quitar a @{username}',
+    'compare.subscribers': 'Suscriptores',
+    'compare.category': 'Categoría',
+    'compare.bio': 'Biografía',
+    'compare.spotlights': 'Spotlights',
+    'compare.totalViews': 'Visualizaciones totales',
+    'compare.medianViews': 'Mediana de visualizaciones',
+    'compare.lastPosted': 'Última publicación',
+    'compare.postsLast30Days': 'Publicaciones en los últimos 30 días',
+    'compare.activity': 'Publicaciones por semana',
+    'compare.activityLabel': 'Publicaciones por semana en las últimas {weeks} semanas: {counts}',
+    'compare.tabs': 'Pestañas',
+
+    'modal.close': 'Cerrar',
+    'modal.content': 'Contenido',
+    'modal.loadingVideo': 'Cargando vídeo...',
+    'modal.next': 'Siguiente',
+    'modal.previous': 'Anterior',
+    'modal.videoUnavailable': 'Vídeo no disponible',
+    'modal.formatUnsupported': 'Tu navegador no puede reproducir el formato de este vídeo',
+    'modal.quality': 'Calidad del vídeo',
+    'modal.qualityAuto': 'Automática',
+    'modal.qualityAutoActive': 'Automática ({quality})',
+    'modal.viewOnSnapchat': 'Ver en Snapchat',
+    'modal.watchOnSnapchat': 'Ver en Snapchat',
+
+    'story.label': 'Historia de {user}',
+    'story.loading': 'Cargando historia...',
+    'story.unavailable': 'Esta historia no está disponible',
+    'story.progress': 'Snap {current} de {total}',
+    'story.pause': 'Pausar',
+    'story.play': 'Reproducir',
+    'story.previousSnap': 'Snap anterior',
+    'story.nextSnap': 'Snap siguiente',
+
+    'footer.company': 'Empresa',
+    'footer.careers': 'Empleo',
+    'footer.news': 'Noticias',
+    'footer.community': 'Comunidad',
+    'footer.support': 'Ayuda',
+    'footer.guidelines': 'Normas de la comunidad',
+    'footer.safety': 'Centro de seguridad',
+    'footer.advertising': 'Publicidad',
+    'footer.buyAds': 'Comprar anuncios',
+    'footer.adPolicies': 'Políticas de publicidad',
+    'footer.politicalAds': 'Biblioteca de anuncios políticos',
+    'footer.legal': 'Legal',
+    'footer.privacyCenter': 'Centro de privacidad',
+    'footer.privacyChoices': 'Tus opciones de privacidad',
+    'footer.cookies': 'Política de cookies',
+    'footer.privacyPolicy': 'Política de privacidad',
+    'footer.terms': 'Condiciones del servicio',
+    'footer.language': 'Idioma'
+  },
+
+  fr: {
+    'landing.prompt': 'Recherchez un profil par nom d\'utilisateur ou lien Snapchat, ou ouvrez-le par son chemin, p. ex. {example}',
+    'profile.loading': 'Chargement…',
+    'profile.error': 'Erreur lors du chargement du profil.',
+    'profile.share': 'Partager',
+    'profile.compare': 'Comparer',
+    'profile.followers': { one: '{formatted} abonné', other: '{formatted} abonnés' },
+    'profile.verified': 'Vérifié',
+    'profile.picture': 'Photo de profil',
+    'profile.snapcode': 'Snapcode de {username}',
+    'common.tryAgain': 'Réessayer',
+    'common.loadingContent': 'Chargement du contenu...',
+
+    'login.title': 'Se connecter à Snapchat',
+    'login.subtitle': 'Discutez, envoyez des Snaps et passez des appels vidéo avec vos amis. Regardez les Stories et Spotlight, depuis votre ordinateur.',
+    'login.username': 'Nom d\'utilisateur ou adresse e-mail',
+    'login.usePhone': 'Utiliser un numéro de téléphone',
+    'login.submit': 'Se connecter',
+    'login.getApp': 'Vous cherchez l\'application ?',
+    'login.getAppLink': 'Téléchargez-la ici.',
+
+    'nav.stories': 'Stories',
+    'nav.spotlight': 'Spotlight',
+    'nav.chat': 'Chat',
+    'nav.lenses': 'Lenses',
+    'nav.download': 'Télécharger',
+
+    'search.placeholder': 'Rechercher',
+    'search.label': 'Rechercher des profils par nom d\'utilisateur ou lien Snapchat',
+    'search.goTo': 'Aller à',
+
+    'tabs.label': 'Onglets du profil',
+    'tabs.stories': 'Stories',
+    'tabs.spotlight': 'Spotlight',
+    'tabs.lenses': 'Lenses',
+    'tabs.tagged': 'Identifié',
+    'tabs.related': 'Similaires',
+    'tabs.content.stories': 'Stories',
+    'tabs.content.spotlight': 'résultats Spotlight',
+    'tabs.content.lenses': 'Lenses',
+    'tabs.content.tagged': 'contenus identifiés',
+    'tabs.content.related': 'contenus similaires',
+    'tabs.empty': 'Aucun élément ({content}) disponible pour ce profil.',
+    'tabs.emptyFiltered': 'Aucun élément ({content}) ne correspond à ces filtres.',
+    'tabs.loading': 'Chargement ({content})...',
+    'tabs.loadMoreFailed': 'Impossible de charger plus d\'éléments ({content}).',
+    'tabs.end': 'Vous avez tout vu ({content}).',
+
+    'tile.viewProfile': 'Voir le profil de {user}',
+    'tile.viewStory': 'Voir la Story : {description}',
+    'tile.viewContent': 'Voir le contenu de {user}',
+    'tile.profilePicture': 'Photo de profil de {user}',
+    'tile.thumbnail': 'Miniature de {description} par {user}',
+    'tile.content': 'contenu',
+
+    'filters.label': 'Trier et filtrer le contenu',
+    'filters.sortBy': 'Trier par :',
+    'filters.sort.recent': 'Récents',
+    'filters.sort.views': 'Les plus vus',
+    'filters.sort.newest': 'Plus récents',
+    'filters.sort.oldest': 'Plus anciens',
+    'filters.sort.shares': 'Les plus partagés',
+    'filters.hashtag': 'Hashtag',
+    'filters.creator': 'Créateur',
+    'filters.anyone': 'Tous',
+    'filters.views': 'Vues',
+    'filters.any': 'Toutes',
+    'filters.minViews': '{formatted}+',
+    'filters.clear': 'Effacer les filtres',
+
+    'compare.title': 'Comparer des profils',
+    'compare.add': 'Ajouter un profil',
+    'compare.empty': 'Ajoutez jusqu\'à {max} profils pour les comparer côte à côte.',
+    'compare.error': 'Erreur lors du chargement des profils.',
+    'compare.unavailable': 'Impossible de charger ce profil.',
+    'compare.remove': 'Retirer @{username}',
+    'compare.subscribers': 'Abonnés',
+    'compare.category': 'Catégorie',
+    'compare.bio': 'Bio',
+    'compare.spotlights': 'Spotlights',
+    'compare.totalViews': 'Vues totales',
+    'compare.medianViews': 'Vues médianes',
+    'compare.lastPosted': 'Dernière publication',
+    'compare.postsLast30Days': 'Publications des 30 derniers jours',
+    'compare.activity': 'Publications par semaine',
+    'compare.activityLabel': 'Publications par semaine sur les {weeks} dernières semaines : {counts}',
+    'compare.tabs': 'Onglets',
+
+    'modal.close': 'Fermer',
+    'modal.content': 'Contenu',
+    'modal.loadingVideo': 'Chargement de la vidéo...',
+    'modal.next': 'Suivant',
+    'modal.previous': 'Précédent',
+    'modal.videoUnavailable': 'Vidéo indisponible',
+    'modal.formatUnsupported': 'Votre navigateur ne peut pas lire le format de cette vidéo',
+    'modal.quality': 'Qualité vidéo',
+    'modal.qualityAuto': 'Auto',
+    'modal.qualityAutoActive': 'Auto ({quality})',
+    'modal.viewOnSnapchat': 'Voir sur Snapchat',
+    'modal.watchOnSnapchat': 'Regarder sur Snapchat',
+
+    'story.label': 'Story de {user}',
+    'story.loading': 'Chargement de la story...',
+    'story.unavailable': 'Cette story n\'est pas disponible',
+    'story.progress': 'Snap {current} sur {total}',
+    'story.pause': 'Pause',
+    'story.play': 'Lecture',
+    'story.previousSnap': 'Snap précédent',
+    'story.nextSnap': 'Snap suivant',
+
+    'footer.company': 'Entreprise',
+    'footer.careers': 'Carrières',
+    'footer.news': 'Actualités',
+    'footer.community': 'Communauté',
+    'footer.support': 'Assistance',
+    'footer.guidelines': 'Règles communautaires',
+    'footer.safety': 'Centre de sécurité',
+    'footer.advertising': 'Publicité',
+    'footer.buyAds': 'Acheter des publicités',
+    'footer.adPolicies': 'Politiques publicitaires',
+    'footer.politicalAds': 'Bibliothèque des publicités politiques',
+    'footer.legal': 'Mentions légales',
+    'footer.privacyCenter': 'Centre de confidentialité',
+    'footer.privacyChoices': 'Vos choix en matière de confidentialité',
+    'footer.cookies': 'Politique relative aux cookies',
+    'footer.privacyPolicy': 'Politique de confidentialité',
+    'footer.terms': 'Conditions d\'utilisation',
+    'footer.language': 'Langue'
+  },
+
+  de: {
+    'landing.prompt': 'Suche ein Profil nach Benutzername oder Snapchat-Link oder öffne es über seinen Pfad, z. B. {example}',
+    'profile.loading': 'Wird geladen…',
+    'profile.error': 'Fehler beim Laden des Profils.',
+    'profile.share': 'Teilen',
+    'profile.compare': 'Vergleichen',
+    'profile.followers': { one: '{formatted} Follower', other: '{formatted} Follower' },
+    'profile.verified': 'Verifiziert',
+    'profile.picture': 'Profilbild',
+    'profile.snapcode': 'Snapcode von {username}',
+    'common.tryAgain': 'Erneut versuchen',
+    'common.loadingContent': 'Inhalte werden geladen...',
+
+    'login.title': 'Bei Snapchat anmelden',
+    'login.subtitle': 'Chatte, snappe und führe Videoanrufe mit deinen Freunden. Sieh dir Storys und Spotlight an – alles auf deinem Computer.',
+    'login.username': 'Benutzername oder E-Mail-Adresse',
+    'login.usePhone': 'Stattdessen Telefonnummer verwenden',
+    'login.submit': 'Anmelden',
+    'login.getApp': 'Suchst du die App?',
+    'login.getAppLink': 'Hier herunterladen.',
+
+    'nav.stories': 'Storys',
+    'nav.spotlight': 'Spotlight',
+    'nav.chat': 'Chat',
+    'nav.lenses': 'Linsen',
+    'nav.download': 'Herunterladen',
+
+    'search.placeholder': 'Suchen',
+    'search.label': 'Profile nach Benutzername oder Snapchat-Link suchen',
+    'search.goTo': 'Gehe zu',
+
+    'tabs.label': 'Profilinhalte',
+    'tabs.stories': 'Storys',
+    'tabs.spotlight': 'Spotlight',
+    'tabs.lenses': 'Linsen',
+    'tabs.tagged': 'Markiert',
+    'tabs.related': 'Ähnlich',
+    'tabs.content.stories': 'Storys',
+    'tabs.content.spotlight': 'Spotlight-Ergebnisse',
+    'tabs.content.lenses': 'Linsen',
+    'tabs.content.tagged': 'markierten Inhalte',
+    'tabs.content.related': 'ähnlichen Inhalte',
+    'tabs.empty': 'Für dieses Profil sind keine {content} verfügbar.',
+    'tabs.emptyFiltered': 'Keine {content} entsprechen diesen Filtern.',
+    'tabs.loading': '{content} werden geladen...',
+    'tabs.loadMoreFailed': 'Weitere {content} konnten nicht geladen werden.',
+    'tabs.end': 'Du hast alle {content} gesehen.',
+
+    'tile.viewProfile': 'Profil von {user} ansehen',
+    'tile.viewStory': 'Story ansehen: {description}',
+    'tile.viewContent': 'Inhalt von {user} ansehen',
+    'tile.profilePicture': 'Profilbild von {user}',
+    'tile.thumbnail': 'Vorschaubild für {description} von {user}',
+    'tile.content': 'Inhalt',
+
+    'filters.label': 'Inhalte sortieren und filtern',
+    'filters.sortBy': 'Sortieren nach:',
+    'filters.sort.recent': 'Aktuell',
+    'filters.sort.views': 'Meistgesehen',
+    'filters.sort.newest': 'Neueste',
+    'filters.sort.oldest': 'Älteste',
+    'filters.sort.shares': 'Meistgeteilt',
+    'filters.hashtag': 'Hashtag',
+    'filters.creator': 'Ersteller',
+    'filters.anyone': 'Alle',
+    'filters.views': 'Aufrufe',
+    'filters.any': 'Beliebig',
+    'filters.minViews': '{formatted}+',
+    'filters.clear': 'Filter zurücksetzen',
+
+    'compare.title': 'Profile vergleichen',
+    'compare.add': 'Profil hinzufügen',
+    'compare.empty': 'Füge bis zu {max} Profile hinzu, um sie nebeneinander zu vergleichen.',
+    'compare.error': 'Fehler beim Laden der Profile.',
+    'compare.unavailable': 'Dieses Profil konnte nicht geladen werden.',
+    'compare.remove': '@{username} entfernen',
+    'compare.subscribers': 'Abonnenten',
+    'compare.category': 'Kategorie',
+    'compare.bio': 'Bio',
+    'compare.spotlights': 'Spotlights',
+    'compare.totalViews': 'Aufrufe gesamt',
+    'compare.medianViews': 'Median der Aufrufe',
+    'compare.lastPosted': 'Zuletzt gepostet',
+    'compare.postsLast30Days': 'Beiträge in den letzten 30 Tagen',
+    'compare.activity': 'Beiträge pro Woche',
+    'compare.activityLabel': 'Beiträge pro Woche in den letzten {weeks} Wochen: {counts}',
+    'compare.tabs': 'Tabs',
+
+    'modal.close': 'Schließen',
+    'modal.content': 'Inhalt',
+    'modal.loadingVideo': 'Video wird geladen...',
+    'modal.next': 'Weiter',
+    'modal.previous': 'Zurück',
+    'modal.videoUnavailable': 'Video nicht verfügbar',
+    'modal.formatUnsupported': 'Dein Browser kann das Format dieses Videos nicht abspielen',
+    'modal.quality': 'Videoqualität',
+    'modal.qualityAuto': 'Automatisch',
+    'modal.qualityAutoActive': 'Automatisch ({quality})',
+    'modal.viewOnSnapchat': 'Auf Snapchat ansehen',
+    'modal.watchOnSnapchat': 'Auf Snapchat ansehen',
+
+    'story.label': 'Story von {user}',
+    'story.loading': 'Story wird geladen...',
+    'story.unavailable': 'Diese Story ist nicht verfügbar',
+    'story.progress': 'Snap {current} von {total}',
+    'story.pause': 'Pausieren',
+    'story.play': 'Abspielen',
+    'story.previousSnap': 'Vorheriger Snap',
+    'story.nextSnap': 'Nächster Snap',
+
+    'footer.company': 'Unternehmen',
+    'footer.careers': 'Karriere',
+    'footer.news': 'Neuigkeiten',
+    'footer.community': 'Community',
+    'footer.support': 'Support',
+    'footer.guidelines': 'Community-Richtlinien',
+    'footer.safety': 'Sicherheitscenter',
+    'footer.advertising': 'Werbung',
+    'footer.buyAds': 'Anzeigen kaufen',
+    'footer.adPolicies': 'Werberichtlinien',
+    'footer.politicalAds': 'Bibliothek politischer Anzeigen',
+    'footer.legal': 'Rechtliches',
+    'footer.privacyCenter': 'Datenschutzcenter',
+    'footer.privacyChoices': 'Deine Datenschutzoptionen',
+    'footer.cookies': 'Cookie-Richtlinie',
+    'footer.privacyPolicy': 'Datenschutzerklärung',
+    'footer.terms': 'Servicebestimmungen',
+    'footer.language': 'Sprache'
+  }
+}
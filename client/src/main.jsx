@@ -1,10 +1,30 @@
 import { StrictMode } from 'react'
-import { createRoot } from 'react-dom/client'
+import { createRoot, hydrateRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { redirectLegacyUrl } from './utils/routes'
+import { profileApiUrl, tabSummaryApiUrl } from './data/hooks'
+import { prime } from './data/requestCache'
+import { initLocale } from './i18n/locale'
 
-createRoot(document.getElementById('root')).render(
+// Old ?username= links and #spotlight/ hashes become path routes before the first render
+const redirected = redirectLegacyUrl()
+
+// Data the server rendered the page with; priming it makes the first client render match
+const { locale, username, profile, tabs } = window.__SNAP_DATA__ || {}
+initLocale(locale)
+if (username && profile) prime(profileApiUrl(username), profile, { locale })
+if (username && tabs) prime(tabSummaryApiUrl(username), { username, tabs }, { locale })
+
+const root = document.getElementById('root')
+const app = (
   <StrictMode>
     <App />
-  </StrictMode>,
+  </StrictMode>
 )
+
+if (root.hasChildNodes() && !redirected) {
+  hydrateRoot(root, app)
+} else {
+  createRoot(root).render(app)
+}
@@ -0,0 +1,392 @@
+/**
+ * HLS playlists and DASH manifests read into one presentation model for the
+ * MSE player (mediaPlayer.js)
+ *
+ * Only fragmented MP4 (CMAF) media is supported: those segments can be
+ * appended to a SourceBuffer as they are. MPEG-TS segments would need
+ * transmuxing and encrypted streams a CDM, so both are reported as
+ * unsupported and the modal falls back to another source.
+ *
+ * @typedef {Object} Segment
+ * @property {string} url - Absolute URL
+ * @property {number} duration - Seconds; 0 for initialization segments
+ * @property {[number, number]|null} range - Inclusive byte range within the URL
+ *
+ * @typedef {Object} Rendition
+ * @property {string} id
+ * @property {number} bandwidth - Bits per second
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {string} mimeType - Including codecs, as MediaSource.isTypeSupported() expects
+ * @property {Segment|null} init - Initialization segment; null when every segment is self-contained
+ * @property {Segment[]|null} segments - null until loadSegments() read an HLS media playlist
+ * @property {string|null} playlistUrl - HLS media playlist
+ *
+ * @typedef {Object} Presentation
+ * @property {Rendition[]} video - Lowest bandwidth first
+ * @property {Rendition|null} audio - Separate audio track, when the video renditions carry none
+ */
+
+export const HLS_TYPE = 'application/vnd.apple.mpegurl'
+export const DASH_TYPE = 'application/dash+xml'
+
+// Used when a playlist doesn't name its codecs: H.264 baseline, muxed with AAC unless audio is separate
+const DEFAULT_CODECS = { video: 'avc1.42E01E,mp4a.40.2', videoOnly: 'avc1.42E01E', audio: 'mp4a.40.2' }
+const AUDIO_CODEC = /^(mp4a|ac-3|ec-3|opus|flac)/i
+
+export class UnsupportedStreamError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'UnsupportedStreamError'
+  }
+}
+
+export function isAdaptiveType(type) {
+  return type === HLS_TYPE || type === DASH_TYPE
+}
+
+function resolveUrl(value, base) {
+  return new URL(value, base).toString()
+}
+
+function mimeType(kind, codecs) {
+  return `${kind}/mp4; codecs="${codecs || DEFAULT_CODECS[kind]}"`
+}
+
+// Splits "avc1.64001f,mp4a.40.2" into the video and audio codecs
+function splitCodecs(codecs) {
+  const list = (codecs || '').split(',').map((codec) => codec.trim()).filter(Boolean)
+  return {
+    video: list.filter((codec) => !AUDIO_CODEC.test(codec)).join(','),
+    audio: list.filter((codec) => AUDIO_CODEC.test(codec)).join(',')
+  }
+}
+
+// ============================================================================
+// HLS
+// ============================================================================
+
+/**
+ * Reads an HLS attribute list, e.g. `BANDWIDTH=800000,CODECS="avc1.4d401f,mp4a.40.2"`
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+export function parseAttributes(text) {
+  const attributes = {}
+  for (const [, name, quoted, plain] of text.matchAll(/([A-Z0-9-]+)=(?:"([^"]*)"|([^,]*))/g)) {
+    attributes[name] = quoted ?? plain
+  }
+  return attributes
+}
+
+// "length@offset"; without an offset the range continues where the previous one ended
+function parseByteRange(value, previousEnd) {
+  const [length, offset] = value.split('@').map(Number)
+  const start = Number.isFinite(offset) ? offset : previousEnd + 1
+  return [start, start + length - 1]
+}
+
+/**
+ * @param {string} text - Playlist body
+ * @param {string} baseUrl - URL the playlist was loaded from
+ * @returns {{ type: 'master', variants: Object[], audioGroups: Object<string, Object[]> }
+ *   | { type: 'media', init: Segment|null, segments: Segment[], encrypted: boolean }}
+ */
+export function parseHlsPlaylist(text, baseUrl) {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean)
+  if (lines[0] !== '#EXTM3U') throw new UnsupportedStreamError('Not an HLS playlist')
+
+  if (lines.some((line) => line.startsWith('#EXT-X-STREAM-INF:'))) {
+    const variants = []
+    const audioGroups = {}
+    let pending = null
+
+    for (const line of lines) {
+      if (line.startsWith('#EXT-X-STREAM-INF:')) {
+        pending = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length))
+      } else if (line.startsWith('#EXT-X-MEDIA:')) {
+        const media = parseAttributes(line.slice('#EXT-X-MEDIA:'.length))
+        if (media.TYPE === 'AUDIO' && media.URI) {
+          (audioGroups[media['GROUP-ID']] ??= []).push({ url: resolveUrl(media.URI, baseUrl), default: media.DEFAULT === 'YES' })
+        }
+      } else if (!line.startsWith('#') && pending) {
+        const [width, height] = (pending.RESOLUTION || '').split('x').map(Number)
+        variants.push({
+          url: resolveUrl(line, baseUrl),
+          bandwidth: Number(pending['AVERAGE-BANDWIDTH'] || pending.BANDWIDTH) || 0,
+          width: width || null,
+          height: height || null,
+          codecs: pending.CODECS || null,
+          audio: pending.AUDIO || null
+        })
+        pending = null
+      }
+    }
+    return { type: 'master', variants, audioGroups }
+  }
+
+  const segments = []
+  let init = null
+  let duration = 0
+  let range = null
+  let lastEnd = -1
+  let encrypted = false
+
+  for (const line of lines) {
+    if (line.startsWith('#EXT-X-MAP:')) {
+      const map = parseAttributes(line.slice('#EXT-X-MAP:'.length))
+      init = { url: resolveUrl(map.URI, baseUrl), duration: 0, range: map.BYTERANGE ? parseByteRange(map.BYTERANGE, -1) : null }
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      encrypted = parseAttributes(line.slice('#EXT-X-KEY:'.length)).METHOD !== 'NONE'
+    } else if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length)) || 0
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      range = parseByteRange(line.slice('#EXT-X-BYTERANGE:'.length), lastEnd)
+      lastEnd = range[1]
+    } else if (!line.startsWith('#')) {
+      segments.push({ url: resolveUrl(line, baseUrl), duration, range })
+      range = null
+    }
+  }
+  return { type: 'media', init, segments, encrypted }
+}
+
+function checkMediaPlaylist(playlist) {
+  if (playlist.encrypted) throw new UnsupportedStreamError('Encrypted HLS is not supported')
+  // Without a map the segments are MPEG-TS, which MSE can't take as is
+  if (!playlist.init) throw new UnsupportedStreamError('HLS without fragmented MP4 segments is not supported')
+  if (playlist.segments.length === 0) throw new UnsupportedStreamError('Empty HLS playlist')
+  return playlist
+}
+
+async function loadHls(url, fetchText) {
+  const playlist = parseHlsPlaylist(await fetchText(url), url)
+
+  if (playlist.type === 'media') {
+    const { init, segments } = checkMediaPlaylist(playlist)
+    return {
+      video: [{ id: 'default', bandwidth: 0, width: null, height: null, mimeType: mimeType('video'), init, segments, playlistUrl: url }],
+      audio: null
+    }
+  }
+
+  let audio = null
+  const video = playlist.variants.map((variant, index) => {
+    const codecs = splitCodecs(variant.codecs)
+    const group = variant.audio && playlist.audioGroups[variant.audio]
+    if (group && !audio) {
+      const track = group.find((entry) => entry.default) || group[0]
+      audio = { id: 'audio', bandwidth: 0, width: null, height: null, mimeType: mimeType('audio', codecs.audio), init: null, segments: null, playlistUrl: track.url }
+    }
+    return {
+      id: String(index),
+      bandwidth: variant.bandwidth,
+      width: variant.width,
+      height: variant.height,
+      // Muxed renditions carry their audio codec too
+      mimeType: mimeType('video', group ? codecs.video || DEFAULT_CODECS.videoOnly : variant.codecs),
+      init: null,
+      segments: null,
+      playlistUrl: variant.url
+    }
+  })
+  return { video, audio }
+}
+
+/**
+ * Reads the media playlist of an HLS rendition the first time it is needed
+ * @param {Rendition} rendition
+ * @param {(url: string) => Promise<string>} fetchText
+ * @returns {Promise<Rendition>} The same rendition, with `init` and `segments` set
+ */
+export async function loadSegments(rendition, fetchText) {
+  if (rendition.segments) return rendition
+  const playlist = parseHlsPlaylist(await fetchText(rendition.playlistUrl), rendition.playlistUrl)
+  if (playlist.type !== 'media') throw new UnsupportedStreamError('Nested HLS master playlists are not supported')
+
+  const { init, segments } = checkMediaPlaylist(playlist)
+  rendition.init = init
+  rendition.segments = segments
+  return rendition
+}
+
+// ============================================================================
+// DASH
+// ============================================================================
+
+// ISO 8601 durations such as "PT1M3.5S"
+export function parseDuration(value) {
+  const match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value || '')
+  if (!match) return null
+  const [days, hours, minutes, seconds] = match.slice(1).map((part) => Number(part) || 0)
+  return ((days * 24 + hours) * 60 + minutes) * 60 + seconds
+}
+
+function child(element, name) {
+  return [...(element?.children || [])].find((node) => node.localName === name) || null
+}
+
+function children(element, name) {
+  return [...(element?.children || [])].filter((node) => node.localName === name)
+}
+
+function parseRange(value) {
+  if (!value) return null
+  const [start, end] = value.split('-').map(Number)
+  return [start, end]
+}
+
+// Fills in $RepresentationID$, $Number%05d$, $Time$, $Bandwidth$ and $$
+function fillTemplate(template, values) {
+  return template.replace(/\$(RepresentationID|Number|Time|Bandwidth)?(?:%0(\d+)d)?\$/g, (match, name, width) => {
+    if (!name) return '$'
+    const value = String(values[name])
+    return width ? value.padStart(Number(width), '0') : value
+  })
+}
+
+// Representation attributes override the AdaptationSet's
+function templateAttributes(...elements) {
+  const attributes = {}
+  for (const element of elements) {
+    for (const { name, value } of element?.attributes || []) attributes[name] = value
+  }
+  return attributes
+}
+
+function templateSegments(templates, representation, baseUrl, totalDuration) {
+  const attributes = templateAttributes(...templates)
+  const timescale = Number(attributes.timescale) || 1
+  const startNumber = Number(attributes.startNumber ?? 1)
+  const values = { RepresentationID: representation.getAttribute('id'), Bandwidth: representation.getAttribute('bandwidth') }
+  const segments = []
+
+  const timeline = templates.map((template) => child(template, 'SegmentTimeline')).filter(Boolean).pop()
+  if (timeline) {
+    let time = 0
+    let number = startNumber
+    for (const entry of children(timeline, 'S')) {
+      if (entry.hasAttribute('t')) time = Number(entry.getAttribute('t'))
+      const duration = Number(entry.getAttribute('d'))
+      for (let repeat = Number(entry.getAttribute('r') || 0); repeat >= 0; repeat--) {
+        segments.push({ url: resolveUrl(fillTemplate(attributes.media, { ...values, Number: number, Time: time }), baseUrl), duration: duration / timescale, range: null })
+        time += duration
+        number++
+      }
+    }
+  } else {
+    const duration = Number(attributes.duration) / timescale
+    if (!duration || !totalDuration) throw new UnsupportedStreamError('DASH template without segment durations')
+    const count = Math.ceil(totalDuration / duration)
+    for (let index = 0; index < count; index++) {
+      const number = startNumber + index
+      segments.push({
+        url: resolveUrl(fillTemplate(attributes.media, { ...values, Number: number, Time: Math.round(index * duration * timescale) }), baseUrl),
+        duration: Math.min(duration, totalDuration - index * duration),
+        range: null
+      })
+    }
+  }
+
+  const init = attributes.initialization
+    ? { url: resolveUrl(fillTemplate(attributes.initialization, values), baseUrl), duration: 0, range: null }
+    : null
+  return { init, segments }
+}
+
+function listSegments(list, baseUrl) {
+  const timescale = Number(list.getAttribute('timescale')) || 1
+  const duration = Number(list.getAttribute('duration')) / timescale || 0
+  const initialization = child(list, 'Initialization')
+
+  return {
+    init: initialization && {
+      url: resolveUrl(initialization.getAttribute('sourceURL') || baseUrl, baseUrl),
+      duration: 0,
+      range: parseRange(initialization.getAttribute('range'))
+    },
+    segments: children(list, 'SegmentURL').map((segment) => ({
+      url: resolveUrl(segment.getAttribute('media') || baseUrl, baseUrl),
+      duration,
+      range: parseRange(segment.getAttribute('mediaRange'))
+    }))
+  }
+}
+
+function baseUrlOf(element, parentUrl) {
+  const base = child(element, 'BaseURL')?.textContent.trim()
+  return base ? resolveUrl(base, parentUrl) : parentUrl
+}
+
+/**
+ * Reads the first Period of a static DASH manifest
+ * @param {string} text - MPD document
+ * @param {string} url - URL the manifest was loaded from
+ * @returns {Presentation}
+ */
+export function parseDashManifest(text, url) {
+  const mpd = new DOMParser().parseFromString(text, 'application/xml').documentElement
+  if (mpd?.localName !== 'MPD') throw new UnsupportedStreamError('Not a DASH manifest')
+  if (mpd.getAttribute('type') === 'dynamic') throw new UnsupportedStreamError('Live DASH is not supported')
+
+  const period = child(mpd, 'Period')
+  const totalDuration = parseDuration(period?.getAttribute('duration')) ?? parseDuration(mpd.getAttribute('mediaPresentationDuration'))
+  const periodUrl = baseUrlOf(period, baseUrlOf(mpd, url))
+  const tracks = { video: [], audio: [] }
+
+  for (const set of children(period, 'AdaptationSet')) {
+    if (child(set, 'ContentProtection')) continue
+    const setUrl = baseUrlOf(set, periodUrl)
+
+    for (const representation of children(set, 'Representation')) {
+      const attribute = (name) => representation.getAttribute(name) || set.getAttribute(name)
+      const type = attribute('mimeType') || ''
+      const kind = set.getAttribute('contentType') || type.split('/')[0]
+      if ((kind !== 'video' && kind !== 'audio') || (type && !type.endsWith('/mp4'))) continue
+
+      const representationUrl = baseUrlOf(representation, setUrl)
+      const templates = [child(set, 'SegmentTemplate'), child(representation, 'SegmentTemplate')].filter(Boolean)
+      const list = child(representation, 'SegmentList') || child(set, 'SegmentList')
+      // A plain file (SegmentBase) is appended whole: it starts with its own moov box
+      const { init, segments } = templates.length > 0
+        ? templateSegments(templates, representation, representationUrl, totalDuration)
+        : list
+          ? listSegments(list, representationUrl)
+          : { init: null, segments: [{ url: representationUrl, duration: totalDuration || 0, range: null }] }
+
+      tracks[kind].push({
+        id: representation.getAttribute('id') || String(tracks[kind].length),
+        bandwidth: Number(representation.getAttribute('bandwidth')) || 0,
+        width: Number(attribute('width')) || null,
+        height: Number(attribute('height')) || null,
+        mimeType: mimeType(kind, attribute('codecs')),
+        init,
+        segments,
+        playlistUrl: null
+      })
+    }
+  }
+
+  return {
+    video: tracks.video,
+    // The richest audio representation; the video quality is what viewers pick
+    audio: tracks.audio.sort((a, b) => b.bandwidth - a.bandwidth)[0] || null
+  }
+}
+
+/**
+ * Loads an adaptive source into a presentation
+ * @param {{ url: string, type: string }} source - HLS or DASH source from the media API
+ * @param {(url: string) => Promise<string>} fetchText
+ * @returns {Promise<Presentation>}
+ * @throws {UnsupportedStreamError} When nothing in it can be played through MSE
+ */
+export async function loadPresentation(source, fetchText) {
+  const presentation = source.type === HLS_TYPE
+    ? await loadHls(source.url, fetchText)
+    : parseDashManifest(await fetchText(source.url), source.url)
+
+  if (presentation.video.length === 0) throw new UnsupportedStreamError('No video renditions')
+  presentation.video.sort((a, b) => a.bandwidth - b.bandwidth)
+  return presentation
+}
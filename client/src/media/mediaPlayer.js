@@ -0,0 +1,313 @@
+/**
+ * Adaptive streaming through Media Source Extensions
+ *
+ * Plays a presentation from manifests.js on a <video> element: segments are
+ * fetched ahead of the playhead and appended to one SourceBuffer per track.
+ * The video rendition follows the measured throughput unless a quality has
+ * been picked, in which case the buffer ahead is dropped so the change shows
+ * within a second or so.
+ */
+
+import { UnsupportedStreamError, loadSegments } from './manifests'
+
+// Seconds buffered ahead of the playhead
+const BUFFER_AHEAD = 30
+// Seconds kept behind the playhead when the buffer is full
+const BUFFER_BEHIND = 10
+// Share of the measured throughput a rendition's bandwidth may use
+const BANDWIDTH_SAFETY = 0.8
+const INITIAL_ESTIMATE = 2_000_000
+const RETRIES = 2
+
+export function isMseSupported() {
+  return typeof window !== 'undefined' && 'MediaSource' in window && typeof MediaSource.isTypeSupported === 'function'
+}
+
+async function fetchResponse(url, { range = null, signal } = {}) {
+  let lastError
+  for (let attempt = 0; attempt <= RETRIES; attempt++) {
+    try {
+      const response = await fetch(url, {
+        headers: range ? { Range: `bytes=${range[0]}-${range[1]}` } : {},
+        signal
+      })
+      if (response.ok) return response
+      lastError = new Error(`HTTP ${response.status} for ${url}`)
+      // Missing or forbidden media won't come back on a retry
+      if (response.status < 500) break
+    } catch (error) {
+      if (error.name === 'AbortError') throw error
+      lastError = error
+    }
+  }
+  throw lastError
+}
+
+/**
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+export async function fetchText(url) {
+  return (await fetchResponse(url)).text()
+}
+
+function once(target, event) {
+  return new Promise((resolve) => target.addEventListener(event, resolve, { once: true }))
+}
+
+// Resolves when the buffer has taken the change; appends and removes can't overlap
+function update(buffer, change) {
+  return new Promise((resolve, reject) => {
+    const settle = (callback) => {
+      buffer.removeEventListener('updateend', done)
+      buffer.removeEventListener('error', failed)
+      callback()
+    }
+    const done = () => settle(resolve)
+    const failed = () => settle(() => reject(new Error('SourceBuffer update failed')))
+    buffer.addEventListener('updateend', done)
+    buffer.addEventListener('error', failed)
+    try {
+      change()
+    } catch (error) {
+      // e.g. QuotaExceededError, thrown before any event
+      settle(() => reject(error))
+    }
+  })
+}
+
+// End of the buffered range containing `time`, or `time` itself when it isn't buffered
+function bufferedEnd(buffer, time) {
+  const { buffered } = buffer
+  for (let index = 0; index < buffered.length; index++) {
+    if (time >= buffered.start(index) - 0.1 && time <= buffered.end(index)) return buffered.end(index)
+  }
+  return time
+}
+
+// Segment start times in seconds, computed once per rendition
+const startTimes = new WeakMap()
+
+function segmentIndexAt(rendition, time) {
+  let starts = startTimes.get(rendition)
+  if (!starts) {
+    let start = 0
+    starts = rendition.segments.map((segment) => {
+      const current = start
+      start += segment.duration
+      return current
+    })
+    startTimes.set(rendition, starts)
+  }
+
+  // Last segment starting at or before `time` (small tolerance for rounding in manifests)
+  let index = 0
+  while (index + 1 < starts.length && starts[index + 1] <= time + 0.05) index++
+  return index
+}
+
+/**
+ * @typedef {Object} Quality
+ * @property {string} id
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {number} bandwidth
+ */
+
+/**
+ * Starts playing a presentation on a video element
+ * @param {HTMLVideoElement} video
+ * @param {import('./manifests').Presentation} presentation
+ * @param {Object} [options]
+ * @param {(id: string) => void} [options.onRendition] - The video rendition being buffered changed
+ * @param {(error: Error) => void} [options.onError] - Playback can't continue
+ * @returns {Promise<{ qualities: Quality[], setQuality: (id: string|null) => void, destroy: () => void }>}
+ * @throws {UnsupportedStreamError} When the browser can't decode any rendition
+ */
+export async function createMediaPlayer(video, presentation, { onRendition = () => {}, onError = () => {} } = {}) {
+  let renditions = presentation.video.filter((rendition) => MediaSource.isTypeSupported(rendition.mimeType))
+  if (renditions.length === 0) throw new UnsupportedStreamError('No rendition in a format this browser can decode')
+  if (presentation.audio && !MediaSource.isTypeSupported(presentation.audio.mimeType)) {
+    throw new UnsupportedStreamError('Audio format not supported')
+  }
+  // Without changeType() a SourceBuffer keeps the codecs it was created with
+  if (typeof SourceBuffer !== 'undefined' && !SourceBuffer.prototype.changeType) {
+    renditions = renditions.filter((rendition) => rendition.mimeType === renditions[0].mimeType)
+  }
+
+  let estimate = INITIAL_ESTIMATE
+  let selected = null
+  let destroyed = false
+
+  const pickRendition = () => {
+    if (selected) return renditions.find((rendition) => rendition.id === selected)
+    const affordable = renditions.filter((rendition) => rendition.bandwidth <= estimate * BANDWIDTH_SAFETY)
+    return affordable[affordable.length - 1] || renditions[0]
+  }
+
+  const first = await loadSegments(pickRendition(), fetchText)
+  const audio = presentation.audio && await loadSegments(presentation.audio, fetchText)
+
+  const mediaSource = new MediaSource()
+  const objectUrl = URL.createObjectURL(mediaSource)
+  video.src = objectUrl
+  await once(mediaSource, 'sourceopen')
+
+  mediaSource.duration = first.segments.reduce((total, segment) => total + segment.duration, 0)
+
+  const createTrack = (rendition) => ({
+    rendition,
+    buffer: mediaSource.addSourceBuffer(rendition.mimeType),
+    mimeType: rendition.mimeType,
+    next: 0,
+    // Rendition whose initialization segment the buffer holds
+    initialized: null,
+    loading: false,
+    flush: false,
+    controller: null
+  })
+  const tracks = [createTrack(first)]
+  if (audio) tracks.push(createTrack(audio))
+  const [videoTrack] = tracks
+
+  const fail = (error) => {
+    if (destroyed) return
+    destroy()
+    onError(error)
+  }
+
+  const endIfComplete = () => {
+    const complete = tracks.every((track) => track.next >= track.rendition.segments.length && !track.buffer.updating)
+    if (complete && mediaSource.readyState === 'open') mediaSource.endOfStream()
+  }
+
+  async function load(track, segment) {
+    track.controller = new AbortController()
+    const started = performance.now()
+    const bytes = await (await fetchResponse(segment.url, { range: segment.range, signal: track.controller.signal })).arrayBuffer()
+    if (track === videoTrack && segment.duration > 0) {
+      const seconds = Math.max((performance.now() - started) / 1000, 0.001)
+      estimate = 0.7 * estimate + 0.3 * (bytes.byteLength * 8 / seconds)
+    }
+    return bytes
+  }
+
+  async function append(track, bytes) {
+    try {
+      await update(track.buffer, () => track.buffer.appendBuffer(bytes))
+    } catch (error) {
+      if (error.name !== 'QuotaExceededError') throw error
+      // Make room behind the playhead and try once more
+      const behind = video.currentTime - BUFFER_BEHIND
+      if (behind <= 0) throw error
+      await update(track.buffer, () => track.buffer.remove(0, behind))
+      await update(track.buffer, () => track.buffer.appendBuffer(bytes))
+    }
+  }
+
+  async function switchRendition(track, rendition) {
+    await loadSegments(rendition, fetchText)
+    if (rendition.mimeType !== track.mimeType) {
+      track.buffer.changeType(rendition.mimeType)
+      track.mimeType = rendition.mimeType
+    }
+    track.rendition = rendition
+    onRendition(rendition.id)
+  }
+
+  async function pump(track) {
+    if (destroyed || track.loading) return
+    track.loading = true
+
+    try {
+      const time = video.currentTime
+      if (track.flush) {
+        // A picked quality replaces what was buffered beyond the next second
+        track.flush = false
+        const keep = Math.min(time + 1, mediaSource.duration)
+        if (keep < mediaSource.duration) await update(track.buffer, () => track.buffer.remove(keep, mediaSource.duration))
+        track.next = segmentIndexAt(track.rendition, bufferedEnd(track.buffer, time))
+      }
+
+      const end = bufferedEnd(track.buffer, time)
+      if (end - time >= BUFFER_AHEAD) return
+
+      if (track === videoTrack) {
+        const wanted = pickRendition()
+        if (wanted !== track.rendition) {
+          await switchRendition(track, wanted)
+          track.next = segmentIndexAt(wanted, end)
+        }
+      }
+
+      const { rendition } = track
+      const segment = rendition.segments[track.next]
+      if (!segment) {
+        endIfComplete()
+        return
+      }
+
+      if (rendition.init && track.initialized !== rendition) {
+        await append(track, await load(track, rendition.init))
+        track.initialized = rendition
+      }
+      const index = track.next
+      const bytes = await load(track, segment)
+      // A seek while the segment was loading moved the track elsewhere
+      if (track.next === index && !destroyed) {
+        await append(track, bytes)
+        track.next = index + 1
+      }
+    } catch (error) {
+      // Aborted loads belong to a seek, which wants the track to carry on from its new position
+      if (error.name !== 'AbortError') {
+        fail(error)
+        return
+      }
+    } finally {
+      track.loading = false
+      track.controller = null
+    }
+
+    pump(track)
+  }
+
+  const pumpAll = () => tracks.forEach(pump)
+
+  const handleSeeking = () => {
+    for (const track of tracks) {
+      if (bufferedEnd(track.buffer, video.currentTime) > video.currentTime) continue
+      track.controller?.abort()
+      track.next = segmentIndexAt(track.rendition, video.currentTime)
+    }
+    pumpAll()
+  }
+
+  video.addEventListener('timeupdate', pumpAll)
+  video.addEventListener('seeking', handleSeeking)
+
+  function destroy() {
+    if (destroyed) return
+    destroyed = true
+    video.removeEventListener('timeupdate', pumpAll)
+    video.removeEventListener('seeking', handleSeeking)
+    tracks.forEach((track) => track.controller?.abort())
+    video.removeAttribute('src')
+    video.load()
+    URL.revokeObjectURL(objectUrl)
+  }
+
+  onRendition(first.id)
+  pumpAll()
+
+  return {
+    qualities: renditions.map(({ id, width, height, bandwidth }) => ({ id, width, height, bandwidth })),
+    /** @param {string|null} id - Rendition to stay on; null follows the throughput */
+    setQuality(id) {
+      selected = id
+      if (id && id !== videoTrack.rendition.id) videoTrack.flush = true
+      pump(videoTrack)
+    },
+    destroy
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Picks and plays the best source a browser can handle on a <video> element
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { HLS_TYPE, UnsupportedStreamError, isAdaptiveType, loadPresentation } from './manifests'
+import { createMediaPlayer, fetchText, isMseSupported } from './mediaPlayer'
+
+/**
+ * Ways to play the sources, in the order they are tried: adaptive streams
+ * through MSE (or Safari's native HLS), then progressive files
+ * @param {Array<{ url: string, type: string }>} sources - Best first, as the media API returns them
+ * @param {HTMLVideoElement} video
+ * @returns {Array<{ mode: 'mse'|'native', source: Object }>}
+ */
+export function playbackCandidates(sources, video) {
+  const adaptive = []
+  const progressive = []
+
+  for (const source of sources) {
+    if (isAdaptiveType(source.type)) {
+      if (isMseSupported()) adaptive.push({ mode: 'mse', source })
+      if (source.type === HLS_TYPE && video.canPlayType(HLS_TYPE)) adaptive.push({ mode: 'native', source })
+    } else if (video.canPlayType(source.type)) {
+      progressive.push({ mode: 'native', source })
+    }
+  }
+  return [...adaptive, ...progressive]
+}
+
+const IDLE = { sources: null, attempt: 0, status: 'idle', qualities: [], active: null }
+
+/**
+ * @param {{ current: HTMLVideoElement|null }} videoRef - The element must be mounted while sources are set
+ * @param {Array<{ url: string, type: string }>|null} sources
+ * @returns {{
+ *   status: 'idle'|'loading'|'ready'|'unsupported'|'failed',
+ *   qualities: import('./mediaPlayer').Quality[], active: string|null, quality: string|null,
+ *   setQuality: (id: string|null) => void, retry: () => void
+ * }} `unsupported`: no source is in a format this browser plays; `failed`: every playable one failed to load.
+ *   `qualities` is only filled for adaptive streams; `active` is the rendition being buffered.
+ */
+export function useVideoPlayback(videoRef, sources) {
+  const [attempt, setAttempt] = useState(0)
+  const [state, setState] = useState(IDLE)
+  const [quality, setQualityState] = useState({ sources: null, id: null })
+  const player = useRef(null)
+
+  useEffect(() => {
+    const video = videoRef.current
+    if (!video || !sources?.length) return
+
+    const candidates = playbackCandidates(sources, video)
+    const report = (change) => setState((current) => current.sources === sources && current.attempt === attempt
+      ? { ...current, ...change }
+      : { ...IDLE, sources, attempt, ...change })
+
+    if (candidates.length === 0) {
+      report({ status: 'unsupported' })
+      return
+    }
+
+    let cancelled = false
+    let index = -1
+    // Whether a source failed for another reason than its format
+    let failed = false
+
+    const tryNext = (error) => {
+      player.current?.destroy()
+      player.current = null
+      if (cancelled) return
+      if (error && !(error instanceof UnsupportedStreamError)) failed = true
+      if (error && import.meta.env.DEV) console.warn('Video source failed:', error)
+
+      index++
+      const candidate = candidates[index]
+      if (!candidate) {
+        report({ status: failed ? 'failed' : 'unsupported', qualities: [], active: null })
+        return
+      }
+      report({ status: 'loading', qualities: [], active: null })
+
+      if (candidate.mode === 'native') {
+        video.src = candidate.source.url
+        video.load()
+        return
+      }
+
+      const current = index
+      // Manifests resolve their segment URLs against the source, which may be a media proxy path
+      const source = { ...candidate.source, url: new URL(candidate.source.url, window.location.href).href }
+      loadPresentation(source, fetchText)
+        .then((presentation) => createMediaPlayer(video, presentation, {
+          onRendition: (id) => !cancelled && report({ active: id }),
+          onError: (failure) => current === index && tryNext(failure)
+        }))
+        .then((created) => {
+          if (cancelled || current !== index) {
+            created.destroy()
+            return
+          }
+          player.current = created
+          report({ qualities: created.qualities })
+        })
+        .catch((failure) => current === index && tryNext(failure))
+    }
+
+    // Media errors on the element (decoding, a progressive file that won't load) move on too
+    const handleError = () => {
+      if (video.error) tryNext(new Error(video.error.message || `Media error ${video.error.code}`))
+    }
+    const handleCanPlay = () => report({ status: 'ready' })
+
+    video.addEventListener('error', handleError)
+    video.addEventListener('canplay', handleCanPlay)
+    tryNext(null)
+
+    return () => {
+      cancelled = true
+      video.removeEventListener('error', handleError)
+      video.removeEventListener('canplay', handleCanPlay)
+      player.current?.destroy()
+      player.current = null
+    }
+  }, [videoRef, sources, attempt])
+
+  const current = state.sources === sources && state.attempt === attempt ? state : IDLE
+  const selectedQuality = quality.sources === sources ? quality.id : null
+
+  const setQuality = useCallback((id) => {
+    setQualityState({ sources, id })
+    player.current?.setQuality(id)
+  }, [sources])
+
+  const retry = useCallback(() => {
+    setQualityState({ sources: null, id: null })
+    setAttempt((value) => value + 1)
+  }, [])
+
+  return {
+    status: sources?.length ? (current.status === 'idle' ? 'loading' : current.status) : 'idle',
+    qualities: current.qualities,
+    active: current.active,
+    quality: selectedQuality,
+    setQuality,
+    retry
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Utility functions for displaying numbers and dates in the selected locale
+ */
+
+import { DEFAULT_LOCALE } from '../../../shared/locales.js'
+
+// Intl formatters are costly to create and every tile formats a count
+const formatters = new Map()
+
+function getFormatter(type, locale, options) {
+  const key = `${type} ${locale} ${JSON.stringify(options)}`
+  if (!formatters.has(key)) {
+    formatters.set(key, type === 'number' ? new Intl.NumberFormat(locale, options) : new Intl.DateTimeFormat(locale, options))
+  }
+  return formatters.get(key)
+}
+
+/**
+ * Formats a counter compactly (e.g. 12743200 -> "13M" in en-US, "13 M" in fr-FR)
+ * @param {number|string} count - The count to format
+ * @param {string} [locale]
+ * @returns {string|null} Formatted count, or null when the count is missing
+ */
+export function formatCount(count, locale = DEFAULT_LOCALE) {
+  if (count === null || count === undefined || count === '') return null
+
+  const value = parseInt(count)
+  if (Number.isNaN(value)) return null
+
+  return getFormatter('number', locale, { notation: 'compact' }).format(value)
+}
+
+/**
+ * Formats a date (e.g. "Aug 15, 2025" in en-US, "15 août 2025" in fr-FR)
+ * @param {Date|string|number} value
+ * @param {string} [locale]
+ * @param {Intl.DateTimeFormatOptions} [options]
+ * @returns {string|null} Formatted date, or null when the value is not a date
+ */
+export function formatDate(value, locale = DEFAULT_LOCALE, options = { dateStyle: 'medium' }) {
+  if (value === null || value === undefined || value === '') return null
+
+  const date = value instanceof Date ? value : new Date(value)
+  if (Number.isNaN(date.getTime())) return null
+
+  return getFormatter('date', locale, options).format(date)
+}
@@ -0,0 +1,43 @@
+/**
+ * Profiles the user has opened, kept in localStorage for search suggestions
+ */
+
+const STORAGE_KEY = 'snap-clone:recent-profiles'
+const MAX_RECENT = 20
+
+/**
+ * @returns {Array<{ username: string, displayName: string|null, image: string|null, verified: boolean }>}
+ *   Most recently visited first
+ */
+export function getRecentProfiles() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(stored) ? stored.filter((entry) => typeof entry?.username === 'string') : []
+  } catch {
+    // Storage can be unavailable (private mode) or hold something unreadable
+    return []
+  }
+}
+
+/**
+ * Moves a profile to the front of the recent list
+ * @param {import('../../../shared/profileModel.js').Profile} profile
+ */
+export function rememberProfile(profile) {
+  if (!profile?.username) return
+
+  const entry = {
+    username: profile.username,
+    displayName: profile.displayName || null,
+    image: profile.images?.profilePicture || profile.image || null,
+    verified: profile.verified === true
+  }
+  const id = entry.username.toLowerCase()
+  const recent = [entry, ...getRecentProfiles().filter((item) => item.username.toLowerCase() !== id)]
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(recent.slice(0, MAX_RECENT)))
+  } catch {
+    // Full or unavailable storage only costs suggestions
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Path-based routing for profile pages
+ *
+ * Routes:
+ *   /@:username                  profile, default tab
+ *   /@:username/:tab             profile on a tab
+ *   /@:username/spotlight/:id    Spotlight video open in the modal
+ *   /@:username/story/:slug      Story open in the modal
+ *   /compare?u=a&u=b             profiles side by side
+ *
+ * Tab views keep their sort and filters in the query string (see shared/contentQuery.js).
+ */
+
+import { useMemo, useSyncExternalStore } from 'react'
+
+export const TAB_NAMES = ['stories', 'spotlight', 'lenses', 'tagged', 'related']
+export const DEFAULT_TAB = 'spotlight'
+
+// Fired after navigate(); pushState/replaceState don't emit popstate themselves
+const ROUTE_CHANGE_EVENT = 'routechange'
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment)
+  } catch {
+    return segment
+  }
+}
+
+/**
+ * Parses a path into route state
+ * @param {string} pathname
+ * @param {Object} [state] - history.state; remembers which tab a modal was opened from
+ * @returns {{ username: string|null, tab: string, spotlightId: string|null, storySlug: string|null, compare: boolean }}
+ */
+export function parseRoute(pathname, state = null) {
+  const route = { username: null, tab: DEFAULT_TAB, spotlightId: null, storySlug: null, compare: false }
+  const [first, second, third] = pathname.split('/').filter(Boolean).map(decodeSegment)
+
+  if (first === 'compare' && !second) {
+    route.compare = true
+    return route
+  }
+
+  if (!first?.startsWith('@') || first.length === 1) return route
+  route.username = first.slice(1)
+
+  if (second === 'spotlight' && third) {
+    route.spotlightId = third
+    route.tab = state?.tab || 'spotlight'
+  } else if (second === 'story' && third) {
+    route.storySlug = third
+    route.tab = state?.tab || 'stories'
+  } else if (TAB_NAMES.includes(second)) {
+    route.tab = second
+  }
+
+  return route
+}
+
+/**
+ * Builds the path for a route
+ * @param {{ username: string, tab?: string, spotlightId?: string, storySlug?: string }} route
+ * @returns {string}
+ */
+export function buildPath({ username, tab, spotlightId, storySlug }) {
+  if (!username) return '/'
+
+  const base = `/@${encodeURIComponent(username)}`
+  if (spotlightId) return `${base}/spotlight/${encodeURIComponent(spotlightId)}`
+  if (storySlug) return `${base}/story/${encodeURIComponent(storySlug)}`
+  if (tab && tab !== DEFAULT_TAB) return `${base}/${tab}`
+  return base
+}
+
+/**
+ * Builds the compare view's path; the usernames stay in the order given
+ * @param {string[]} usernames
+ * @returns {string}
+ */
+export function buildComparePath(usernames) {
+  const params = new URLSearchParams(usernames.map((username) => ['u', username]))
+  return `/compare${usernames.length > 0 ? `?${params}` : ''}`
+}
+
+/**
+ * Changes the URL without reloading and notifies useRoute() subscribers
+ * @param {string} path
+ * @param {Object} [options]
+ * @param {boolean} [options.replace] - Replace the current history entry instead of pushing
+ * @param {Object} [options.state] - Stored as history.state
+ */
+export function navigate(path, { replace = false, state = null } = {}) {
+  const url = new URL(path, window.location.origin)
+  if (url.pathname + url.search + url.hash === window.location.pathname + window.location.search + window.location.hash) {
+    return
+  }
+
+  window.history[replace ? 'replaceState' : 'pushState'](state, '', url)
+  window.dispatchEvent(new Event(ROUTE_CHANGE_EVENT))
+}
+
+/**
+ * Rewrites pre-routing URLs in place: `?username=x` and the `#spotlight/<id>` /
+ * `#story/<user>/<slug>` hashes the modal used to write.
+ * @returns {boolean} Whether the URL was rewritten
+ */
+export function redirectLegacyUrl() {
+  const { pathname, search, hash } = window.location
+  const params = new URLSearchParams(search)
+  const username = params.get('username') || parseRoute(pathname).username
+  if (!username) return false
+
+  const [kind, ...key] = hash.replace(/^#/, '').split('/')
+  const route = { username, tab: parseRoute(pathname).tab }
+  if (kind === 'spotlight' && key.length > 0) route.spotlightId = key.join('/')
+  if (kind === 'story' && key.length > 0) route.storySlug = key[key.length - 1]
+
+  if (!params.has('username') && !route.spotlightId && !route.storySlug) return false
+
+  params.delete('username')
+  const query = params.toString()
+  window.history.replaceState(null, '', buildPath(route) + (query ? `?${query}` : ''))
+  return true
+}
+
+function subscribe(callback) {
+  window.addEventListener('popstate', callback)
+  window.addEventListener(ROUTE_CHANGE_EVENT, callback)
+  return () => {
+    window.removeEventListener('popstate', callback)
+    window.removeEventListener(ROUTE_CHANGE_EVENT, callback)
+  }
+}
+
+const getSnapshot = () => window.location.pathname
+const getSearchSnapshot = () => window.location.search
+
+// Set by the server renderer; during hydration the browser location is used
+let serverLocation = null
+
+/**
+ * Sets the location useRoute() and useSearchParams() report while rendering on the server
+ * @param {string|null} path - Path with optional query string, e.g. "/@user?sort=views"
+ */
+export function setServerLocation(path) {
+  serverLocation = path === null ? null : new URL(path, 'http://localhost')
+}
+
+const getServerSnapshot = () => serverLocation?.pathname ?? window.location.pathname
+const getServerSearchSnapshot = () => serverLocation?.search ?? window.location.search
+
+/**
+ * Current route, updated on navigate() and on browser back/forward
+ * @returns {ReturnType<typeof parseRoute>}
+ */
+export function useRoute() {
+  const pathname = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot)
+  return useMemo(() => parseRoute(pathname, typeof window === 'undefined' ? null : window.history.state), [pathname])
+}
+
+/**
+ * Current query string, e.g. the sort and filters of a tab
+ * @returns {URLSearchParams}
+ */
+export function useSearchParams() {
+  const search = useSyncExternalStore(subscribe, getSearchSnapshot, getServerSearchSnapshot)
+  return useMemo(() => new URLSearchParams(search), [search])
+}
@@ -2,40 +2,26 @@
  * Utility functions for URL generation and navigation
  */
 
-/**
- * Creates a URL-safe slug from a title string
- * @param {string} title - The title to convert to a slug
- * @param {number} maxLength - Maximum length of the generated slug (default: 50)
- * @returns {string} URL-safe slug
- */
-export function createUrlSlug(title, maxLength = 50) {
-  if (!title) return 'untitled'
-  
-  return title
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, '-')  // Replace non-alphanumeric with dashes
-    .replace(/-+/g, '-')         // Replace multiple dashes with single dash
-    .replace(/^-|-$/g, '')       // Remove leading/trailing dashes
-    .slice(0, maxLength)         // Limit length
-    || 'untitled'                // Fallback if empty after processing
-}
+import { buildPath, navigate } from './routes'
 
 /**
- * Navigates to a username profile using URL parameters (SPA-friendly)
+ * Navigates to a username profile (SPA-friendly, adds a history entry)
  * @param {string} username - The username to navigate to
  */
 export function navigateToProfile(username) {
   if (!username) return
-  
-  // Use SPA-friendly navigation instead of window.location.href
-  const url = new URL(window.location)
-  url.searchParams.set('username', username)
-  window.history.pushState({}, '', url.toString())
-  
-  // Trigger a custom event to notify components of the navigation
-  window.dispatchEvent(new CustomEvent('profile-navigation', { 
-    detail: { username } 
-  }))
+  navigate(buildPath({ username }))
+}
+
+/**
+ * Click handler for in-app links: navigates without a reload, but leaves
+ * modified clicks (new tab or window) to the browser
+ * @param {MouseEvent} event
+ */
+export function followLink(event) {
+  if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return
+  event.preventDefault()
+  navigate(event.currentTarget.getAttribute('href'))
 }
 
 /**
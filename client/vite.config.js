@@ -2,19 +2,38 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
-export default defineConfig({
+export default defineConfig(({ isSsrBuild }) => ({
   plugins: [react()],
   server: {
+    // Allow importing the schema modules in ../shared
+    fs: {
+      allow: ['..'],
+    },
     proxy: {
-      '/snap': {
-        target: 'https://www.snapchat.com',
+      '/api': {
+        target: 'http://localhost:3001',
+        changeOrigin: true,
+      },
+      // Snapchat images and videos go through the API server's media proxy
+      '/media/': {
+        target: 'http://localhost:3001',
+        changeOrigin: true,
+      },
+      // Sitemaps are generated by the API server from its cache
+      '^/sitemaps?[./]': {
+        target: 'http://localhost:3001',
         changeOrigin: true,
-        secure: true,
-        rewrite: (path) => path.replace(/^\/snap/, ''),
       },
     },
   },
-  build: {
+  // The API server imports dist-ssr/entry-server.js and has no node_modules of its own
+  ssr: {
+    noExternal: true,
+  },
+  build: isSsrBuild ? {
+    // Server entry keeps a stable name so the API server can import it
+    copyPublicDir: false,
+  } : {
     target: 'es2015',
     rollupOptions: {
       output: {
@@ -24,4 +43,4 @@ export default defineConfig({
       }
     }
   }
-})
+}))
@@ -14,8 +14,8 @@ if [ -z "$PROJECT_ID" ]; then
     exit 1
 fi
 
-if [ ! -d "client" ]; then
-    echo "Error: 'client' directory does not exist in the current working directory."
+if [ ! -d "client" ] || [ ! -d "shared" ]; then
+    echo "Error: run this script from the repository root ('client' and 'shared' are built together)."
     exit 1
 fi
 
@@ -31,7 +31,6 @@ fi
 
 echo "Building and deploying to Cloud Run..."
 
-cd client
 gcloud builds submit . --tag "$IMAGE_TAG"
 
 if [ $? -ne 0 ]; then
@@ -44,8 +43,8 @@ gcloud run deploy "$SERVICE_NAME" \
     --platform managed \
     --region="$REGION" \
     --allow-unauthenticated \
-    --memory=512Mi \
-    --port=80
+    --memory=1Gi \
+    --port=8080
 
 if [ $? -ne 0 ]; then
     echo "Deployment failed. Aborting."
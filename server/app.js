@@ -0,0 +1,76 @@
+import Router from './lib/Router.js';
+import { HttpError, sendError } from './lib/http.js';
+import { ScraperError } from './services/errors.js';
+import registerHealthRoutes from './routes/health.js';
+import registerProfileRoutes from './routes/profile.js';
+import registerSelectorRoutes from './routes/selectors.js';
+import registerSitemapRoutes from './routes/sitemap.js';
+import registerSearchRoutes from './routes/search.js';
+import registerCompareRoutes from './routes/compare.js';
+import registerMediaRoutes from './routes/media.js';
+import registerPageRoutes from './routes/pages.js';
+import SitemapBuilder from './services/SitemapBuilder.js';
+import ProfileSearch from './services/ProfileSearch.js';
+import MediaResolver from './services/MediaResolver.js';
+import MediaProxy from './services/MediaProxy.js';
+import StoryResolver from './services/StoryResolver.js';
+
+/**
+ * Builds the request listener for the API server.
+ * Dependencies are injected so tests and scripts can supply their own scraper.
+ * With a `renderer` (services/PageRenderer.js) the built client is served too.
+ */
+export function createApp({
+  scraper,
+  renderer = null,
+  sitemaps = new SitemapBuilder({ cache: scraper.cache }),
+  search = new ProfileSearch({ cache: scraper.cache }),
+  media = new MediaResolver({ scraper }),
+  proxy = new MediaProxy(),
+  stories = new StoryResolver({ scraper })
+}) {
+  const router = new Router();
+  registerHealthRoutes(router, { scraper });
+  registerProfileRoutes(router, { scraper });
+  registerSelectorRoutes(router, { scraper });
+  registerSitemapRoutes(router, { sitemaps });
+  registerSearchRoutes(router, { search });
+  registerCompareRoutes(router, { scraper });
+  registerMediaRoutes(router, { media, proxy, stories });
+  if (renderer) registerPageRoutes(router, { scraper, renderer });
+
+  return async function handleRequest(req, res) {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+      let match;
+      try {
+        match = router.match(req.method, url.pathname);
+      } catch (error) {
+        if (error instanceof URIError) {
+          throw new HttpError(400, 'bad_request', 'Malformed URL');
+        }
+        throw error;
+      }
+
+      if (!match) {
+        throw new HttpError(404, 'not_found', `No route for ${url.pathname}`);
+      }
+      if (match.allowed) {
+        res.setHeader('Allow', match.allowed.join(', '));
+        throw new HttpError(405, 'method_not_allowed', `${req.method} not allowed`);
+      }
+
+      await match.handler(req, res, { params: match.params, query: url.searchParams });
+    } catch (error) {
+      if (!(error instanceof HttpError || error instanceof ScraperError)) {
+        console.error(`Unhandled error for ${req.method} ${req.url}:`, error);
+      }
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      sendError(res, error);
+    }
+  };
+}
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import SnapchatScraper from '../services/SnapchatScraper.js';
+import FixtureStore from '../services/FixtureStore.js';
+import TieredCache from '../services/cache/TieredCache.js';
+import MemoryCache from '../services/cache/MemoryCache.js';
+import SelectorRegistry from '../services/SelectorRegistry.js';
+import DriftDetector, { pageTypeForUrl } from '../services/DriftDetector.js';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES, matchLocale } from '../../shared/locales.js';
+
+// The CLI must always hit the network (or the fixtures), never the shared disk cache
+const createMemoryCache = () => new TieredCache({ tiers: [new MemoryCache()] });
+
+const USAGE = `Usage:
+  snap-clone capture <username> [--tabs] [--locale <locale>] [--out <dir>]
+      Record the profile page (and with --tabs every tab page) into the fixture corpus.
+  snap-clone scrape <username> [--tab <tab>] [--locale <locale>] [--replay] [--out <dir>]
+      Print parsed profile or tab JSON; --replay reads captured fixtures instead of the network.
+      --locale requests Snapchat's pages in one of ${SUPPORTED_LOCALES.map(({ code }) => code).join(', ')}.
+  snap-clone baseline [<username>...] [--out <dir>]
+      Rebuild server/config/drift-baseline.json from the page structure of the fixture corpus
+      (limited to the given accounts, e.g. to leave out fixtures of retired markup).`;
+
+function parseLocale(value) {
+  if (value === undefined) return DEFAULT_LOCALE;
+  const locale = matchLocale(value);
+  if (!locale) throw new Error(`Unsupported locale "${value}"`);
+  return locale;
+}
+
+async function capture(username, { tabs, locale, out }) {
+  const store = new FixtureStore(out);
+  const scraper = new SnapchatScraper({
+    cache: createMemoryCache(),
+    fetch: store.createRecordingFetch((...args) => fetch(...args), {
+      username,
+      onCapture: ({ url, status, path }) => console.log(`${status} ${url}\n    -> ${path}`)
+    })
+  });
+
+  // Go through the scraper so the captured URLs are exactly the ones it requests
+  const options = { locale: parseLocale(locale) };
+  await scraper.fetchProfile(username, options);
+  if (tabs) {
+    for (const tab of SnapchatScraper.TABS) {
+      await scraper.fetchTabContent(username, tab, options);
+    }
+  }
+
+  console.log(`\nRun \`UPDATE_GOLDEN=1 node --test server/tests\` to record golden outputs.`);
+}
+
+async function scrape(username, { tab, locale, replay, out }) {
+  const scraper = new SnapchatScraper({
+    cache: createMemoryCache(),
+    fetch: replay ? new FixtureStore(out).createReplayFetch() : undefined
+  });
+
+  const options = { locale: parseLocale(locale) };
+  let result;
+  if (tab) {
+    const tabName = SnapchatScraper.TABS.find((name) => name.toLowerCase() === tab.toLowerCase());
+    if (!tabName) throw new Error(`Unknown tab "${tab}"; expected one of ${SnapchatScraper.TABS.join(', ')}`);
+    result = await scraper.fetchTabContent(username, tabName, options);
+  } else {
+    result = await scraper.fetchProfile(username, options);
+  }
+
+  console.log(JSON.stringify(result, null, 2));
+}
+
+function baseline(usernames, { out }) {
+  const drift = new DriftDetector({ selectors: new SelectorRegistry() });
+  const fingerprints = [];
+
+  for (const { html, meta } of new FixtureStore(out).entries()) {
+    if (meta.status !== 200) continue;
+    if (usernames.length > 0 && !usernames.includes(meta.username)) continue;
+    fingerprints.push(drift.fingerprint(pageTypeForUrl(meta.url), html));
+  }
+
+  const file = drift.writeBaseline(fingerprints);
+  const pageTypes = Object.entries(drift.baselines).map(([pageType, { samples }]) => `${pageType} (${samples})`);
+  console.log(`Wrote ${file}\n    ${pageTypes.join(', ')}`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      tabs: { type: 'boolean', default: false },
+      tab: { type: 'string' },
+      locale: { type: 'string' },
+      replay: { type: 'boolean', default: false },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const [command, rawUsername] = positionals;
+  const username = rawUsername?.replace(/^@/, '');
+
+  if (command === 'baseline' && !values.help) {
+    return baseline(positionals.slice(1).map((name) => name.replace(/^@/, '')), values);
+  }
+  if (values.help || !command || !username) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  switch (command) {
+    case 'capture':
+      return capture(username, values);
+    case 'scrape':
+      return scrape(username, values);
+    default:
+      console.error(`Unknown command "${command}"\n\n${USAGE}`);
+      process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,35 @@
+import { createServer } from 'http';
+import { createApp } from './app.js';
+import SnapchatScraper from './services/SnapchatScraper.js';
+import FixtureStore from './services/FixtureStore.js';
+import TieredCache from './services/cache/TieredCache.js';
+import MemoryCache from './services/cache/MemoryCache.js';
+import PageRenderer from './services/PageRenderer.js';
+
+const PORT = Number(process.env.PORT) || 3001;
+
+// `--replay` serves captured fixtures instead of live Snapchat pages
+const replay = process.argv.includes('--replay') || process.env.SNAP_REPLAY === '1';
+// Replayed pages stay out of the disk cache that live instances share
+const scraper = new SnapchatScraper(replay ? {
+  fetch: new FixtureStore(process.env.SNAP_FIXTURES_DIR).createReplayFetch(),
+  cache: new TieredCache({ tiers: [new MemoryCache()] })
+} : {});
+// Selector edits in server/config/selectors.json apply without a redeploy
+scraper.selectors.watch();
+
+// Profile pages are server-rendered once the client has been built (`npm run build` in client/)
+const renderer = new PageRenderer();
+const pages = renderer.available;
+
+const server = createServer(createApp({ scraper, renderer: pages ? renderer : null }));
+
+server.listen(PORT, () => {
+  console.log(`API server listening on http://localhost:${PORT}${replay ? ' (replaying fixtures)' : ''}`);
+  console.log(pages ? `Serving pages from ${renderer.staticDir}` : 'Client build not found; serving the API only');
+});
+
+// Cloud Run sends SIGTERM before stopping an instance
+process.on('SIGTERM', () => {
+  server.close(() => process.exit(0));
+});
@@ -0,0 +1,64 @@
+/**
+ * Minimal path router for the API server.
+ * Patterns use `:name` segments, e.g. `/api/profile/:username/tabs/:tab`;
+ * a segment may start with a literal prefix, e.g. `/@:username`. A final
+ * `*name` segment matches the rest of the path, slashes included.
+ */
+class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  get(pattern, handler) {
+    return this.add('GET', pattern, handler);
+  }
+
+  add(method, pattern, handler) {
+    const keys = [];
+    const source = pattern
+      .split('/')
+      .map((segment) => {
+        if (segment.startsWith('*')) {
+          keys.push(segment.slice(1));
+          return '(.+)';
+        }
+        const colon = segment.indexOf(':');
+        const literal = (colon === -1 ? segment : segment.slice(0, colon)).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (colon === -1) return literal;
+        keys.push(segment.slice(colon + 1));
+        return `${literal}([^/]+)`;
+      })
+      .join('/');
+
+    this.routes.push({ method, regex: new RegExp(`^${source}/?$`), keys, handler });
+    return this;
+  }
+
+  /**
+   * Returns `{ handler, params }` for the first matching route, `{ allowed }`
+   * when the path exists for other methods only, or null when nothing matches.
+   */
+  match(method, pathname) {
+    const allowed = [];
+
+    for (const route of this.routes) {
+      const match = route.regex.exec(pathname);
+      if (!match) continue;
+
+      if (route.method !== method && !(method === 'HEAD' && route.method === 'GET')) {
+        allowed.push(route.method);
+        continue;
+      }
+
+      const params = {};
+      route.keys.forEach((key, i) => {
+        params[key] = decodeURIComponent(match[i + 1]);
+      });
+      return { handler: route.handler, params };
+    }
+
+    return allowed.length > 0 ? { allowed } : null;
+  }
+}
+
+export default Router;
@@ -0,0 +1,84 @@
+import { RateLimitedError, ScraperError } from '../services/errors.js';
+import { DEFAULT_LOCALE, LOCALE_COOKIE, matchLocale, negotiateLocale } from '../../shared/locales.js';
+
+/**
+ * Small helpers shared by the API route handlers.
+ */
+
+export class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers
+  });
+  res.end(payload);
+}
+
+export function sendError(res, error) {
+  const known = error instanceof HttpError || error instanceof ScraperError;
+  const status = known ? error.status : 500;
+  const code = known ? error.code : 'internal_error';
+  const message = known ? error.message : 'Internal server error';
+
+  const headers = {};
+  if (error instanceof RateLimitedError && error.retryAfter !== null) {
+    headers['Retry-After'] = String(error.retryAfter);
+  }
+
+  sendJson(res, status, { error: { code, message } }, headers);
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Locale a request is served in: `?locale=` first, then (for pages) the cookie
+ * the language selector sets, then the Accept-Language header.
+ * @param {import('http').IncomingMessage} req
+ * @param {URLSearchParams} query
+ * @param {Object} [options]
+ * @param {boolean} [options.page] - Reads the cookie, and ignores an unsupported
+ *   `?locale=` instead of rejecting the request
+ * @returns {string} Supported locale code (shared/locales.js)
+ */
+export function requestLocale(req, query, { page = false } = {}) {
+  const requested = query.get('locale');
+  if (requested !== null) {
+    const locale = matchLocale(requested);
+    if (locale) return locale;
+    if (!page) throw new HttpError(400, 'invalid_locale', `Unsupported locale: ${requested}`);
+  }
+
+  const preferred = page ? matchLocale(readCookie(req, LOCALE_COOKIE)) : null;
+  return preferred || negotiateLocale(req.headers['accept-language'] || '') || DEFAULT_LOCALE;
+}
+
+export function sendHtml(res, status, html, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Length': Buffer.byteLength(html),
+    ...headers
+  });
+  res.end(html);
+}
@@ -0,0 +1,46 @@
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import { extname, resolve, sep } from 'path';
+import { pipeline } from 'stream/promises';
+import { HttpError } from './http.js';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.woff2': 'font/woff2'
+};
+
+/**
+ * Streams `relativePath` from `root`, answering 404 for anything missing or
+ * outside it. Hashed build assets can be marked `immutable`.
+ */
+export async function sendFile(req, res, root, relativePath, { immutable = false } = {}) {
+  const base = resolve(root);
+  const path = resolve(base, `.${sep}${relativePath}`);
+
+  const info = path.startsWith(base + sep) ? await stat(path).catch(() => null) : null;
+  if (!info?.isFile()) {
+    throw new HttpError(404, 'not_found', `No file ${relativePath}`);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[extname(path).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': info.size,
+    'Last-Modified': info.mtime.toUTCString(),
+    'Cache-Control': immutable ? 'public, max-age=31536000, immutable' : 'public, max-age=3600'
+  });
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+
+  await pipeline(createReadStream(path), res);
+}
@@ -0,0 +1,76 @@
+import { HttpError, requestLocale, sendJson } from '../lib/http.js';
+import { ScraperError } from '../services/errors.js';
+import { summarizeContent } from '../../shared/contentStats.js';
+import { proxyProfileMedia } from '../../shared/mediaProxy.js';
+import { localeHeaders, parseUsername } from './profile.js';
+
+// Columns the compare view can lay out side by side
+export const MAX_COMPARED = 4;
+
+// Upstream failures belong to one profile; anything else is a bug and fails the request
+function upstreamFailure(error) {
+  if (!(error instanceof ScraperError)) throw error;
+  return { code: error.code, message: error.message };
+}
+
+/**
+ * Loads each profile with figures over its Spotlight videos. Profiles are
+ * fetched in parallel, and one that fails is reported in its own entry
+ * instead of failing the comparison.
+ * @param {import('../services/SnapchatScraper.js').default} scraper
+ * @param {string[]} usernames
+ * @param {Object} [options]
+ * @param {string} [options.locale]
+ * @param {number} [options.now] - Reference time for posting activity
+ * @returns {Promise<Object[]>} `{ username, profile, spotlight, error }` per username;
+ *   `spotlight` is null when the tab could not be read, `profile` when the account could not
+ */
+export async function compareProfiles(scraper, usernames, { locale, now = Date.now() } = {}) {
+  return Promise.all(usernames.map(async (username) => {
+    const [profile, spotlight] = await Promise.allSettled([
+      scraper.fetchProfile(username, { locale }),
+      scraper.fetchAllTabItems(username, 'Spotlight', { locale })
+    ]);
+
+    if (profile.status === 'rejected') {
+      return { username, profile: null, spotlight: null, error: upstreamFailure(profile.reason) };
+    }
+    // A failed tab only leaves out the figures, unless the failure is a bug
+    if (spotlight.status === 'rejected' && !(spotlight.reason instanceof ScraperError)) {
+      throw spotlight.reason;
+    }
+
+    return {
+      username: profile.value.username || username,
+      profile: { ...profile.value, username: profile.value.username || username },
+      spotlight: spotlight.status === 'fulfilled' ? summarizeContent(spotlight.value, { now }) : null,
+      error: null
+    };
+  }));
+}
+
+export default function registerCompareRoutes(router, { scraper }) {
+  // `?u=a&u=b&u=c` in the order given; repeated usernames are shown once
+  router.get('/api/compare', async (req, res, { query }) => {
+    const seen = new Set();
+    const usernames = query.getAll('u').map(parseUsername).filter((username) => {
+      const id = username.toLowerCase();
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+
+    if (usernames.length === 0) {
+      throw new HttpError(400, 'missing_usernames', 'At least one u is required');
+    }
+    if (usernames.length > MAX_COMPARED) {
+      throw new HttpError(400, 'too_many_profiles', `At most ${MAX_COMPARED} profiles can be compared`);
+    }
+
+    const locale = requestLocale(req, query);
+    const profiles = await compareProfiles(scraper, usernames, { locale });
+    sendJson(res, 200, {
+      profiles: profiles.map((entry) => entry.profile ? { ...entry, profile: proxyProfileMedia(entry.profile) } : entry)
+    }, localeHeaders(locale));
+  });
+}
@@ -0,0 +1,25 @@
+import { sendJson } from '../lib/http.js';
+
+export default function registerHealthRoutes(router, { scraper }) {
+  router.get('/api/health', async (req, res) => {
+    const upstream = await scraper.healthCheck();
+    const drift = scraper.drift.report();
+
+    sendJson(res, upstream ? 200 : 503, {
+      status: upstream ? 'ok' : 'degraded',
+      upstream,
+      uptime: Math.round(process.uptime()),
+      cache: scraper.cache.stats(),
+      drift: { status: drift.status, severity: drift.severity }
+    }, {
+      'Cache-Control': 'no-store'
+    });
+  });
+
+  // Latest page structure comparison for each page type
+  router.get('/api/health/drift', async (req, res) => {
+    sendJson(res, 200, scraper.drift.report(), {
+      'Cache-Control': 'no-store'
+    });
+  });
+}
@@ -0,0 +1,77 @@
+import { pipeline } from 'stream/promises';
+import { HttpError, requestLocale, sendJson } from '../lib/http.js';
+import { SPOTLIGHT_ID_PATTERN } from '../services/MediaResolver.js';
+import { STORY_SLUG_PATTERN } from '../services/StoryResolver.js';
+import { localeHeaders, parseUsername } from './profile.js';
+import { proxyMediaUrl, upstreamMediaUrl } from '../../shared/mediaProxy.js';
+
+function parseSpotlightId(value) {
+  if (!SPOTLIGHT_ID_PATTERN.test(value)) {
+    throw new HttpError(400, 'invalid_id', `Invalid Spotlight id: ${value}`);
+  }
+  return value;
+}
+
+function parseStorySlug(value) {
+  if (!STORY_SLUG_PATTERN.test(value)) {
+    throw new HttpError(400, 'invalid_slug', `Invalid story: ${value}`);
+  }
+  return value;
+}
+
+export default function registerMediaRoutes(router, { media, proxy, stories }) {
+  // Playable sources of a Spotlight video, best first, plus its poster image
+  router.get('/api/spotlight/:id/media', async (req, res, { params }) => {
+    const id = parseSpotlightId(params.id);
+    const { poster, sources, ...rest } = await media.resolveSpotlight(id);
+
+    // Shorter than the server cache, as the signed media URLs expire
+    sendJson(res, 200, {
+      ...rest,
+      poster: proxyMediaUrl(poster),
+      sources: sources.map((source) => ({ ...source, url: proxyMediaUrl(source.url) }))
+    }, {
+      'Cache-Control': 'public, max-age=300'
+    });
+  });
+
+  // The snaps of a story in playing order; `:slug` is the last segment of the story item's URL
+  router.get('/api/profile/:username/stories/:slug', async (req, res, { params, query }) => {
+    const username = parseUsername(params.username);
+    const slug = parseStorySlug(params.slug);
+    const locale = requestLocale(req, query);
+    const story = await stories.resolveStory(username, slug, { locale });
+
+    sendJson(res, 200, {
+      ...story,
+      snaps: story.snaps.map((snap) => ({ ...snap, url: proxyMediaUrl(snap.url), poster: proxyMediaUrl(snap.poster) }))
+    }, localeHeaders(locale));
+  });
+
+  // Snapchat media fetched on the browser's behalf: `/media/<host>/<path>?<query>` (shared/mediaProxy.js)
+  router.get('/media/*path', async (req, res) => {
+    const { pathname, search } = new URL(req.url, 'http://localhost');
+    const url = upstreamMediaUrl(pathname + search);
+    if (!url) {
+      throw new HttpError(403, 'forbidden_host', 'Only Snapchat media can be proxied');
+    }
+
+    // Browsers drop media requests all the time when seeking; the CDN request goes with them
+    const closed = new AbortController();
+    res.on('close', () => closed.abort());
+
+    const { status, headers, body } = await proxy.request(url, {
+      range: req.headers.range,
+      head: req.method === 'HEAD',
+      signal: closed.signal
+    });
+    res.writeHead(status, headers);
+    if (!body) {
+      res.end();
+      return;
+    }
+    await pipeline(body, res).catch((error) => {
+      if (!closed.signal.aborted) throw error;
+    });
+  });
+}
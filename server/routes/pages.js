@@ -0,0 +1,111 @@
+import { requestLocale, sendHtml } from '../lib/http.js';
+import { sendFile } from '../lib/static.js';
+import { NotFoundError } from '../services/errors.js';
+import { TAB_NAMES, parseUsername, proxySummaryMedia } from './profile.js';
+import { proxyProfileMedia } from '../../shared/mediaProxy.js';
+
+// Client routes rendered on the server (see client/src/utils/routes.js)
+const PROFILE_PAGES = [
+  '/@:username',
+  '/@:username/:tab',
+  '/@:username/spotlight/:id',
+  '/@:username/story/:slug'
+];
+
+// The tab a profile opens on has no path of its own (`/@:username`)
+const DEFAULT_TAB = 'spotlight';
+
+// Pages follow the language selector's cookie as well as Accept-Language
+function pageHeaders(locale, cacheControl) {
+  return { 'Cache-Control': cacheControl, 'Content-Language': locale, 'Vary': 'Accept-Language, Cookie' };
+}
+
+/**
+ * Serves the built client: profile pages rendered with their metadata and
+ * data embedded, plus the static files Vite emitted. Registered after the API
+ * routes so `/:file` doesn't shadow them.
+ */
+export default function registerPageRoutes(router, { scraper, renderer }) {
+  async function renderProfilePage(req, res, { params, query }) {
+    const { pathname, search } = new URL(req.url, 'http://localhost');
+    const locale = requestLocale(req, query, { page: true });
+
+    const sendNotFound = async () => {
+      const html = await renderer.render({ pathname, locale, notFound: true });
+      sendHtml(res, 404, html, pageHeaders(locale, 'no-store'));
+    };
+
+    // Other second segments would be endless duplicates of the profile page
+    if (params.tab !== undefined && !TAB_NAMES.includes(params.tab)) {
+      await sendNotFound();
+      return;
+    }
+
+    let username;
+    try {
+      username = parseUsername(params.username);
+    } catch {
+      await sendNotFound();
+      return;
+    }
+
+    // The tab bar renders from the summary; without it the client asks for it after hydrating
+    const tabs = scraper.fetchTabSummary(username, { locale }).catch((error) => {
+      if (!(error instanceof NotFoundError)) console.error(`Tab summary failed for ${username}:`, error.message);
+      return null;
+    });
+
+    let profile;
+    try {
+      profile = await scraper.fetchProfile(username, { locale });
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        await sendNotFound();
+        return;
+      }
+      // The client retries the profile request itself
+      console.error(`Profile page render failed for ${username}:`, error.message);
+      const html = await renderer.render({ pathname, search, locale });
+      sendHtml(res, 200, html, pageHeaders(locale, 'no-store'));
+      return;
+    }
+
+    const summary = await tabs;
+    const rest = params.tab === DEFAULT_TAB ? '' : pathname.split('/').slice(2).join('/');
+    const canonicalPath = `/@${encodeURIComponent(profile.username || username)}${rest ? `/${rest}` : ''}`;
+    const html = await renderer.render({
+      pathname,
+      search,
+      canonicalPath,
+      locale,
+      username: params.username,
+      // Rendered images load through the media proxy like the API's
+      profile: proxyProfileMedia({ ...profile, username: profile.username || username }),
+      tabs: summary && proxySummaryMedia(summary)
+    });
+
+    sendHtml(res, 200, html, pageHeaders(locale, 'public, max-age=300'));
+  }
+
+  PROFILE_PAGES.forEach((pattern) => router.get(pattern, renderProfilePage));
+
+  // Pages without embedded data; the client loads what they show
+  async function renderShell(req, res, { query }) {
+    const { pathname, search } = new URL(req.url, 'http://localhost');
+    const locale = requestLocale(req, query, { page: true });
+    const html = await renderer.render({ pathname, search, locale });
+    sendHtml(res, 200, html, pageHeaders(locale, 'no-cache'));
+  }
+
+  router.get('/', renderShell);
+  router.get('/compare', renderShell);
+
+  // Vite content-hashes everything under assets/
+  router.get('/assets/:file', async (req, res, { params }) => {
+    await sendFile(req, res, renderer.staticDir, `assets/${params.file}`, { immutable: true });
+  });
+
+  router.get('/:file', async (req, res, { params }) => {
+    await sendFile(req, res, renderer.staticDir, params.file);
+  });
+}
@@ -0,0 +1,132 @@
+import { HttpError, requestLocale, sendJson } from '../lib/http.js';
+import { applyContentQuery, isDefaultQuery, parseContentQuery } from '../../shared/contentQuery.js';
+import { USERNAME_PATTERN } from '../../shared/username.js';
+import { proxyItemMedia, proxyProfileMedia } from '../../shared/mediaProxy.js';
+
+// Tab names as they appear in the Snapchat `?tab=` query parameter
+const TABS = {
+  stories: 'Stories',
+  spotlight: 'Spotlight',
+  lenses: 'Lenses',
+  tagged: 'Tagged',
+  related: 'Related'
+};
+
+// Tabs as they appear in client paths (`/@:username/:tab`, see client/src/utils/routes.js)
+export const TAB_NAMES = Object.keys(TABS);
+
+export function parseUsername(value) {
+  const username = String(value || '').replace(/^@/, '');
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new HttpError(400, 'invalid_username', `Invalid username: ${value}`);
+  }
+  return username;
+}
+
+// Page size for tab items; clients may ask for up to MAX_LIMIT
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 60;
+
+// Cursors are opaque to clients: the upstream continuation token plus an offset into that page
+export function encodeCursor({ page, offset }) {
+  return Buffer.from(JSON.stringify([page, offset])).toString('base64url');
+}
+
+export function decodeCursor(value) {
+  if (value === null) return { page: null, offset: 0 };
+  try {
+    const [page, offset] = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if ((page === null || typeof page === 'string') && Number.isInteger(offset) && offset >= 0) {
+      return { page, offset };
+    }
+  } catch {
+    // Falls through to the error below
+  }
+  throw new HttpError(400, 'invalid_cursor', 'Invalid cursor');
+}
+
+function parseLimit(value) {
+  if (value === null) return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, 'invalid_limit', `limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+function parseQuery(searchParams) {
+  try {
+    return parseContentQuery(searchParams, { strict: true });
+  } catch (error) {
+    throw new HttpError(400, 'invalid_query', error.message);
+  }
+}
+
+function parseTab(value) {
+  const tab = TABS[String(value).toLowerCase()];
+  if (!tab) {
+    throw new HttpError(404, 'unknown_tab', `Unknown tab: ${value}`);
+  }
+  return tab;
+}
+
+// Responses depend on the locale, which may come from the header rather than the URL
+export function localeHeaders(locale) {
+  return {
+    'Cache-Control': 'public, max-age=300',
+    'Content-Language': locale,
+    'Vary': 'Accept-Language'
+  };
+}
+
+// Preview thumbnails of a tab summary (SnapchatScraper#fetchTabSummary) go through the media proxy
+export function proxySummaryMedia(tabs) {
+  return tabs.map((summary) => ({ ...summary, preview: summary.preview.map(proxyItemMedia) }));
+}
+
+export default function registerProfileRoutes(router, { scraper }) {
+  // `?locale=` or Accept-Language selects the language Snapchat is asked for (shared/locales.js)
+  router.get('/api/profile/:username', async (req, res, { params, query }) => {
+    const username = parseUsername(params.username);
+    const locale = requestLocale(req, query);
+    const profile = await scraper.fetchProfile(username, { locale });
+
+    sendJson(res, 200, proxyProfileMedia({ ...profile, username: profile.username || username }), localeHeaders(locale));
+  });
+
+  // Tabs the profile has, with item counts and the first few items, for the tab bar
+  router.get('/api/profile/:username/tabs', async (req, res, { params, query }) => {
+    const username = parseUsername(params.username);
+    const locale = requestLocale(req, query);
+    const tabs = await scraper.fetchTabSummary(username, { locale });
+
+    sendJson(res, 200, { username, tabs: proxySummaryMedia(tabs) }, localeHeaders(locale));
+  });
+
+  // `?cursor=` continues where the previous response's `nextCursor` left off; null means the end.
+  // `sort`, `tag`, `creator` and `minViews` (shared/contentQuery.js) apply across the whole tab.
+  router.get('/api/profile/:username/tabs/:tab', async (req, res, { params, query }) => {
+    const username = parseUsername(params.username);
+    const tab = parseTab(params.tab);
+    const { page, offset } = decodeCursor(query.get('cursor'));
+    const limit = parseLimit(query.get('limit'));
+    const contentQuery = parseQuery(query);
+    const locale = requestLocale(req, query);
+
+    let items;
+    let next;
+    if (isDefaultQuery(contentQuery)) {
+      ({ items, next } = await scraper.fetchTabItems(username, tab, { page, offset, limit, locale }));
+    } else {
+      // Sorted and filtered views page through the full result by offset
+      if (page !== null) {
+        throw new HttpError(400, 'invalid_cursor', 'Cursor belongs to an unsorted listing');
+      }
+      const results = applyContentQuery(await scraper.fetchAllTabItems(username, tab, { locale }), contentQuery);
+      items = results.slice(offset, offset + limit);
+      next = offset + limit < results.length ? { page: null, offset: offset + limit } : null;
+    }
+
+    sendJson(res, 200, { username, tab: tab.toLowerCase(), items: items.map(proxyItemMedia), nextCursor: next && encodeCursor(next) }, localeHeaders(locale));
+  });
+}
@@ -0,0 +1,24 @@
+import { HttpError, sendJson } from '../lib/http.js';
+import { normalizeUsername } from '../../shared/username.js';
+import { proxyMediaUrl } from '../../shared/mediaProxy.js';
+
+const MAX_LIMIT = 20;
+
+export default function registerSearchRoutes(router, { search }) {
+  // `username` is the query read as a username or Snapchat link, whether or not it is cached
+  router.get('/api/search', async (req, res, { query }) => {
+    const q = (query.get('q') || '').trim();
+    if (!q) {
+      throw new HttpError(400, 'missing_query', 'q is required');
+    }
+    const limit = Math.min(Math.max(Math.trunc(Number(query.get('limit'))) || 8, 1), MAX_LIMIT);
+
+    sendJson(res, 200, {
+      query: q,
+      username: normalizeUsername(q),
+      results: (await search.search(q, { limit })).map((result) => ({ ...result, image: proxyMediaUrl(result.image) }))
+    }, {
+      'Cache-Control': 'public, max-age=60'
+    });
+  });
+}
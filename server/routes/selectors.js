@@ -0,0 +1,10 @@
+import { sendJson } from '../lib/http.js';
+
+export default function registerSelectorRoutes(router, { scraper }) {
+  // Which fallback matched for each selector group since the config was loaded
+  router.get('/api/selectors/health', async (req, res) => {
+    sendJson(res, 200, scraper.selectors.report(), {
+      'Cache-Control': 'no-store'
+    });
+  });
+}
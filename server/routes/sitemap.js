@@ -0,0 +1,25 @@
+import { HttpError } from '../lib/http.js';
+
+function sendXml(res, xml) {
+  res.writeHead(200, {
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Content-Length': Buffer.byteLength(xml),
+    'Cache-Control': 'public, max-age=3600'
+  });
+  res.end(xml);
+}
+
+export default function registerSitemapRoutes(router, { sitemaps }) {
+  // Index of the numbered sitemap files below
+  router.get('/sitemap.xml', async (req, res) => {
+    sendXml(res, await sitemaps.index());
+  });
+
+  router.get('/sitemaps/:file', async (req, res, { params }) => {
+    const xml = await sitemaps.sitemap(params.file);
+    if (!xml) {
+      throw new HttpError(404, 'not_found', `No sitemap ${params.file}`);
+    }
+    sendXml(res, xml);
+  });
+}
@@ -0,0 +1,293 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { basename } from 'path';
+import { fileURLToPath } from 'url';
+import cheerio from 'cheerio';
+
+export const DEFAULT_BASELINE_FILE = process.env.SNAP_DRIFT_BASELINE_FILE ||
+  fileURLToPath(new URL('../config/drift-baseline.json', import.meta.url));
+
+export const SEVERITIES = ['none', 'info', 'warning', 'critical'];
+
+// Selector groups whose match counts are tracked as "tiles"
+const TILE_GROUPS = ['spotlight.links', 'stories.cards', 'lenses.links', 'related.links'];
+
+// __NEXT_DATA__ is walked to this depth; keyed maps deeper down vary per profile
+const MAX_PATH_DEPTH = 6;
+const MAX_PATHS = 500;
+
+// Share of baseline paths that must disappear before it counts as a restructure
+const CRITICAL_PATH_LOSS = 0.5;
+
+const HISTORY_SIZE = 20;
+
+/**
+ * Classifies a Snapchat URL as one of the page types fingerprints are kept for:
+ * `profile`, a lower-case tab name (`spotlight`, `stories`, ...) or `spotlight-video`.
+ */
+export function pageTypeForUrl(value) {
+  const url = new URL(value, 'https://www.snapchat.com');
+  if (/\/spotlight\/[^/]+/.test(url.pathname)) return 'spotlight-video';
+
+  const tab = url.searchParams.get('tab');
+  return tab ? tab.toLowerCase() : 'profile';
+}
+
+/** Lists object key paths (arrays collapse to `[]`) down to MAX_PATH_DEPTH. */
+export function collectPaths(value, prefix = '', depth = 0, paths = new Set()) {
+  if (depth >= MAX_PATH_DEPTH || paths.size >= MAX_PATHS || value === null || typeof value !== 'object') {
+    return paths;
+  }
+
+  if (Array.isArray(value)) {
+    const path = `${prefix}[]`;
+    paths.add(path);
+    value.forEach((entry) => collectPaths(entry, path, depth + 1, paths));
+    return paths;
+  }
+
+  for (const [key, entry] of Object.entries(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    paths.add(path);
+    collectPaths(entry, path, depth + 1, paths);
+  }
+  return paths;
+}
+
+function jsonLdTypes(data, types = new Set()) {
+  if (Array.isArray(data)) {
+    data.forEach((entry) => jsonLdTypes(entry, types));
+  } else if (data && typeof data === 'object') {
+    [].concat(data['@type'] || []).forEach((type) => types.add(type));
+    if (data['@graph']) jsonLdTypes(data['@graph'], types);
+  }
+  return types;
+}
+
+/**
+ * Merges fingerprints of the same page type into a baseline. Only structure
+ * every sample shares is expected, so optional profile fields don't raise drift.
+ */
+export function buildBaselines(fingerprints) {
+  const baselines = {};
+
+  for (const fingerprint of fingerprints) {
+    const baseline = baselines[fingerprint.pageType];
+    if (!baseline) {
+      baselines[fingerprint.pageType] = {
+        samples: 1,
+        nextData: fingerprint.nextData.present,
+        nextDataPaths: fingerprint.nextData.paths,
+        jsonLdTypes: fingerprint.jsonLdTypes,
+        tablist: fingerprint.tablist.present,
+        tiles: { ...fingerprint.tiles }
+      };
+      continue;
+    }
+
+    baseline.samples++;
+    baseline.nextData = baseline.nextData && fingerprint.nextData.present;
+    baseline.nextDataPaths = baseline.nextDataPaths.filter((path) => fingerprint.nextData.paths.includes(path));
+    baseline.jsonLdTypes = baseline.jsonLdTypes.filter((type) => fingerprint.jsonLdTypes.includes(type));
+    baseline.tablist = baseline.tablist && fingerprint.tablist.present;
+    for (const group of TILE_GROUPS) {
+      baseline.tiles[group] = Math.min(baseline.tiles[group], fingerprint.tiles[group]);
+    }
+  }
+
+  return baselines;
+}
+
+/**
+ * Lists the structural differences between a fingerprint and its baseline,
+ * each with a severity, plus the overall (highest) severity.
+ */
+export function compareFingerprint(fingerprint, baseline) {
+  const changes = [];
+  const add = (severity, code, message, details) => changes.push({ severity, code, message, ...details });
+
+  if (baseline.nextData && !fingerprint.nextData.present) {
+    add('critical', 'next_data_missing', '__NEXT_DATA__ script is gone');
+  } else if (fingerprint.nextData.present && !fingerprint.nextData.valid) {
+    add('critical', 'next_data_invalid', '__NEXT_DATA__ is not valid JSON');
+  } else if (fingerprint.nextData.present) {
+    const missing = baseline.nextDataPaths.filter((path) => !fingerprint.nextData.paths.includes(path));
+    const added = fingerprint.nextData.paths.filter((path) => !baseline.nextDataPaths.includes(path));
+
+    if (missing.length > 0) {
+      const restructured = missing.length / baseline.nextDataPaths.length >= CRITICAL_PATH_LOSS;
+      add(restructured ? 'critical' : 'warning', 'next_data_paths_missing',
+        `${missing.length} of ${baseline.nextDataPaths.length} __NEXT_DATA__ paths are missing`, { paths: missing });
+    }
+    if (added.length > 0) {
+      add('info', 'next_data_paths_added', `${added.length} new __NEXT_DATA__ paths`, { paths: added });
+    }
+  }
+
+  const missingTypes = baseline.jsonLdTypes.filter((type) => !fingerprint.jsonLdTypes.includes(type));
+  const addedTypes = fingerprint.jsonLdTypes.filter((type) => !baseline.jsonLdTypes.includes(type));
+  if (missingTypes.length > 0) {
+    add('warning', 'json_ld_types_missing', `JSON-LD types missing: ${missingTypes.join(', ')}`, { types: missingTypes });
+  }
+  if (addedTypes.length > 0) {
+    add('info', 'json_ld_types_added', `New JSON-LD types: ${addedTypes.join(', ')}`, { types: addedTypes });
+  }
+
+  if (baseline.tablist && !fingerprint.tablist.present) {
+    add('critical', 'tablist_missing', 'role="tablist" is gone, tab detection will fail');
+  }
+
+  const expectedTiles = TILE_GROUPS.filter((group) => baseline.tiles[group] > 0);
+  const emptyTiles = expectedTiles.filter((group) => fingerprint.tiles[group] === 0);
+  // Only a warning: an account can legitimately have nothing on a tab
+  if (emptyTiles.length > 0) {
+    add('warning', 'tiles_missing', `No tiles matched for ${emptyTiles.join(', ')}`, { groups: emptyTiles });
+  }
+
+  const severity = changes.reduce(
+    (highest, change) => SEVERITIES.indexOf(change.severity) > SEVERITIES.indexOf(highest) ? change.severity : highest,
+    'none'
+  );
+
+  return { severity, changes };
+}
+
+/**
+ * Keeps a structural fingerprint of each Snapchat page type and compares every
+ * fresh fetch against a baseline (`server/config/drift-baseline.json`), so a
+ * markup change shows up as a drift report instead of an empty grid.
+ *
+ * Page types without a stored baseline adopt their first fingerprint.
+ */
+class DriftDetector {
+  /**
+   * @param {Object} [options]
+   * @param {SelectorRegistry} options.selectors - Provides the tile selector groups
+   * @param {string} [options.file] - Baseline file; ignored when `baselines` is given
+   * @param {Object} [options.baselines] - Baselines keyed by page type
+   * @param {(report: Object) => void} [options.onDrift] - Called when a page's drift report changes to warning or worse
+   */
+  constructor({ selectors, file = DEFAULT_BASELINE_FILE, baselines, onDrift } = {}) {
+    this.selectors = selectors;
+    this.file = baselines ? null : file;
+    this.baselines = baselines || (existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')).pageTypes : {});
+    this.learned = new Set();
+    this.onDrift = onDrift;
+    this.latest = new Map();
+    this.history = [];
+  }
+
+  fingerprint(pageType, html) {
+    const $ = cheerio.load(html);
+
+    const nextData = { present: false, valid: false, paths: [] };
+    const script = $('script#__NEXT_DATA__').first();
+    if (script.length > 0) {
+      nextData.present = true;
+      try {
+        nextData.paths = [...collectPaths(JSON.parse(script.text()))].sort();
+        nextData.valid = true;
+      } catch {
+        // Reported as next_data_invalid
+      }
+    }
+
+    const types = new Set();
+    $('script[type="application/ld+json"]').each((_, element) => {
+      try {
+        jsonLdTypes(JSON.parse($(element).text()), types);
+      } catch {
+        types.add('(invalid)');
+      }
+    });
+
+    const tablist = $('[role="tablist"]').first();
+    const tabs = tablist.find('[role="tab"]')
+      .map((_, element) => $(element).text().trim().toLowerCase())
+      .get()
+      .filter(Boolean);
+
+    // Counted directly rather than through first()/all() so selector health stats stay untouched
+    const tiles = Object.fromEntries(TILE_GROUPS.map((group) => [
+      group,
+      $(this.selectors.list(group).join(', ')).length
+    ]));
+
+    return {
+      pageType,
+      nextData,
+      jsonLdTypes: [...types].sort(),
+      tablist: { present: tablist.length > 0, tabs },
+      tiles
+    };
+  }
+
+  /**
+   * Fingerprints a freshly fetched page and compares it with the baseline.
+   * @param {string} url - Page URL, used to determine the page type
+   * @param {string} html
+   */
+  check(url, html) {
+    const pageType = pageTypeForUrl(url);
+    const fingerprint = this.fingerprint(pageType, html);
+
+    if (!this.baselines[pageType]) {
+      this.baselines[pageType] = buildBaselines([fingerprint])[pageType];
+      this.learned.add(pageType);
+    }
+
+    const { severity, changes } = compareFingerprint(fingerprint, this.baselines[pageType]);
+    const report = { pageType, url, severity, changes, checkedAt: new Date().toISOString() };
+
+    const previous = this.latest.get(pageType);
+    this.latest.set(pageType, report);
+    this.history.push({ pageType, url, severity, checkedAt: report.checkedAt });
+    if (this.history.length > HISTORY_SIZE) this.history.shift();
+
+    // Alert once per distinct change set, not on every fetch of a drifted page
+    const signature = JSON.stringify(changes.map((change) => change.code));
+    const previousSignature = previous && JSON.stringify(previous.changes.map((change) => change.code));
+    if (SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf('warning') && signature !== previousSignature) {
+      console.warn(`Page structure drift (${severity}) on ${pageType} ${url}:`,
+        changes.map((change) => change.message).join('; '));
+      this.onDrift?.(report);
+    }
+
+    return report;
+  }
+
+  /** Stores the given fingerprints as the new baseline file. */
+  writeBaseline(fingerprints, file = this.file || DEFAULT_BASELINE_FILE) {
+    this.baselines = buildBaselines(fingerprints);
+    this.learned.clear();
+
+    const content = {
+      generatedAt: new Date().toISOString(),
+      selectorsVersion: this.selectors.version,
+      pageTypes: this.baselines
+    };
+    writeFileSync(file, JSON.stringify(content, null, 2) + '\n');
+    return file;
+  }
+
+  report() {
+    const pageTypes = {};
+    for (const [pageType, report] of this.latest) {
+      pageTypes[pageType] = { ...report, learnedBaseline: this.learned.has(pageType) };
+    }
+
+    const worst = [...this.latest.values()].reduce(
+      (highest, report) => Math.max(highest, SEVERITIES.indexOf(report.severity)),
+      0
+    );
+
+    return {
+      status: worst >= SEVERITIES.indexOf('warning') ? 'drift' : 'ok',
+      severity: SEVERITIES[worst],
+      baseline: this.file ? basename(this.file) : 'inline',
+      pageTypes,
+      recent: [...this.history].reverse()
+    };
+  }
+}
+
+export default DriftDetector;
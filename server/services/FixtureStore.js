@@ -0,0 +1,193 @@
+import { mkdirSync, readdirSync, readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_LOCALE } from '../../shared/locales.js';
+
+export const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('../tests/fixtures', import.meta.url));
+
+// Query parameters that identify the viewer or the share rather than the page
+const TRACKING_PARAMS = [
+  /^share_id$/i,
+  /^sid$/i,
+  /^sc_referrer$/i,
+  /^sc_ua$/i,
+  /^sender_web_id$/i,
+  /^device_type$/i,
+  /^device_id$/i,
+  /^link_source$/i,
+  /^utm_/i,
+  /^fbclid$/i,
+  /^gclid$/i,
+  /^_sc/i
+];
+
+/**
+ * Removes tracking query parameters from a URL; returns the input unchanged
+ * when it is not a parseable absolute or root-relative URL.
+ */
+export function stripTrackingParams(value) {
+  let url;
+  try {
+    url = new URL(value, 'https://www.snapchat.com');
+  } catch {
+    return value;
+  }
+
+  const keys = [...url.searchParams.keys()];
+  const tracked = keys.filter((key) => TRACKING_PARAMS.some((pattern) => pattern.test(key)));
+  if (tracked.length === 0) return value;
+
+  tracked.forEach((key) => url.searchParams.delete(key));
+  return value.startsWith('/') ? url.pathname + url.search + url.hash : url.toString();
+}
+
+/**
+ * Strips tracking parameters from every URL in a captured page and drops
+ * values that only make sense for the capturing session.
+ */
+export function sanitizeHtml(html) {
+  return html
+    .replace(/(https?:\/\/[^\s"'<>]+|\/(?:add|unlock|@)[^\s"'<>]*)/g, (match) => {
+      // Attribute values keep their HTML-escaped ampersands, inline JSON does not
+      const escaped = match.includes('&amp;');
+      const decoded = escaped ? match.replace(/&amp;/g, '&') : match;
+      const cleaned = stripTrackingParams(decoded);
+      if (cleaned === decoded) return match;
+      return escaped ? cleaned.replace(/&/g, '&amp;') : cleaned;
+    })
+    .replace(/"(sessionId|deviceId|viewerId|csrfToken|cookie)":"[^"]*"/gi, '"$1":"REDACTED"');
+}
+
+// Compares URLs independent of query parameter order
+function normalizeUrl(value) {
+  const url = new URL(value);
+  url.searchParams.sort();
+  return url.toString();
+}
+
+/**
+ * Reads and writes captured Snapchat pages as test fixtures.
+ *
+ * Layout: `<dir>/<username>/<page>.html` plus `<page>.meta.json` with the
+ * source URL, username, tab, locale, HTTP status and capture time. Pages
+ * captured in a locale other than the default are named `<page>.<locale>`.
+ */
+class FixtureStore {
+  constructor(dir = DEFAULT_FIXTURES_DIR) {
+    this.dir = dir;
+    this.index = null;
+  }
+
+  write({ username, tab, url, status, html }) {
+    // Pages in other locales sit next to the default ones instead of replacing them
+    const locale = new URL(url).searchParams.get('locale') || DEFAULT_LOCALE;
+    const page = `${tab ? tab.toLowerCase() : 'profile'}${locale === DEFAULT_LOCALE ? '' : `.${locale}`}`;
+    const folder = join(this.dir, username);
+    mkdirSync(folder, { recursive: true });
+
+    const meta = {
+      url: stripTrackingParams(url),
+      username,
+      tab: tab || null,
+      locale,
+      status,
+      capturedAt: new Date().toISOString(),
+      sanitized: true
+    };
+
+    writeFileSync(join(folder, `${page}.html`), sanitizeHtml(html));
+    writeFileSync(join(folder, `${page}.meta.json`), JSON.stringify(meta, null, 2) + '\n');
+    this.index = null;
+
+    return join(folder, `${page}.html`);
+  }
+
+  /** Returns `{ html, meta }` for a captured URL, or null when none exists. */
+  read(url) {
+    if (!this.index) this.index = this.buildIndex(this.dir);
+
+    const base = this.index.get(normalizeUrl(url));
+    if (!base) return null;
+
+    return {
+      html: readFileSync(`${base}.html`, 'utf8'),
+      meta: JSON.parse(readFileSync(`${base}.meta.json`, 'utf8'))
+    };
+  }
+
+  /** Yields `{ html, meta }` for every captured page. */
+  *entries() {
+    if (!this.index) this.index = this.buildIndex(this.dir);
+
+    for (const base of this.index.values()) {
+      yield {
+        html: readFileSync(`${base}.html`, 'utf8'),
+        meta: JSON.parse(readFileSync(`${base}.meta.json`, 'utf8'))
+      };
+    }
+  }
+
+  buildIndex(dir, index = new Map()) {
+    if (!existsSync(dir)) return index;
+
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        this.buildIndex(path, index);
+      } else if (entry.name.endsWith('.meta.json')) {
+        const meta = JSON.parse(readFileSync(path, 'utf8'));
+        index.set(normalizeUrl(meta.url), path.slice(0, -'.meta.json'.length));
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * fetch-compatible function that serves captured pages instead of hitting
+   * the network. Unknown URLs answer 404 so callers fail the same way they
+   * would for a missing profile.
+   */
+  createReplayFetch() {
+    return async (url) => {
+      const fixture = this.read(String(url));
+      if (!fixture) {
+        return new Response('', { status: 404, statusText: 'Not captured' });
+      }
+      return new Response(fixture.html, {
+        status: fixture.meta.status,
+        headers: { 'Content-Type': 'text/html; charset=utf-8' }
+      });
+    };
+  }
+
+  /**
+   * Wraps a fetch function so every HTML page it downloads is written into
+   * the store. Responses are cloned so the caller still gets an unread body;
+   * response headers (including Set-Cookie) are never persisted. A failed
+   * response is only kept until a retry of the same URL succeeds.
+   */
+  createRecordingFetch(baseFetch, { username, onCapture } = {}) {
+    const recorded = new Set();
+
+    return async (url, options = {}) => {
+      const response = await baseFetch(url, { ...options, credentials: 'omit' });
+      if ((options.method || 'GET') !== 'GET' || recorded.has(String(url))) return response;
+
+      if (response.ok) recorded.add(String(url));
+      const tab = new URL(url).searchParams.get('tab');
+      const path = this.write({
+        username,
+        tab,
+        url: String(url),
+        status: response.status,
+        html: await response.clone().text()
+      });
+      onCapture?.({ url: String(url), status: response.status, path });
+
+      return response;
+    };
+  }
+}
+
+export default FixtureStore;
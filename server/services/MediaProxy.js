@@ -0,0 +1,244 @@
+import { createReadStream } from 'fs';
+import { Readable, pipeline } from 'stream';
+import MediaFileCache from './cache/MediaFileCache.js';
+import { BlockedError, NotFoundError, ScraperError, UpstreamError } from './errors.js';
+import { isMediaUrl, proxyMediaUrlsInText } from '../../shared/mediaProxy.js';
+
+const MAX_REDIRECTS = 3;
+const REDIRECT_STATUS = new Set([301, 302, 303, 307, 308]);
+
+// Content types passed on to browsers; anything else (HTML error pages in particular) is refused
+const MEDIA_TYPE = /^(image|video|audio)\/[\w.+-]+$|^application\/(vnd\.apple\.mpegurl|x-mpegurl|dash\+xml|mp4|octet-stream)$|^binary\/octet-stream$/;
+const HLS_TYPES = new Set(['application/vnd.apple.mpegurl', 'application/x-mpegurl', 'audio/mpegurl', 'audio/x-mpegurl']);
+const DASH_TYPE = 'application/dash+xml';
+// Playlists and manifests are rewritten in memory, so they are capped
+const MAX_MANIFEST_BYTES = 2 * 1024 * 1024;
+
+const RESPONSE_HEADERS = {
+  'Accept-Ranges': 'bytes',
+  'Cache-Control': 'public, max-age=86400',
+  'X-Content-Type-Options': 'nosniff',
+  // Media opened directly (an SVG snapcode, say) can't run script on this origin
+  'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+};
+
+/**
+ * Reads a single `bytes=` range against a body of `size` bytes.
+ * @param {string|undefined} header - Range request header
+ * @param {number} size
+ * @returns {{ start: number, end: number }|null|false} Null to send the whole
+ *   body (no header, several ranges, other units), false when unsatisfiable
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end = size - 1;
+  if (!match[1]) {
+    // `bytes=-500` is the last 500 bytes
+    const length = Number(match[2]);
+    if (length === 0) return false;
+    start = Math.max(0, size - length);
+  } else {
+    start = Number(match[1]);
+    if (match[2]) {
+      if (Number(match[2]) < start) return null;
+      end = Math.min(Number(match[2]), size - 1);
+    }
+  }
+  return start < size ? { start, end } : false;
+}
+
+function isManifest(type, url) {
+  return HLS_TYPES.has(type) || type === DASH_TYPE || /\.(m3u8|mpd)$/i.test(new URL(url).pathname);
+}
+
+/**
+ * Media type of an upstream response. CDNs label some files
+ * `application/octet-stream`; playlists and manifests get their own type back.
+ * @throws {UpstreamError} When the response isn't media
+ */
+function responseType(response, url) {
+  const type = (response.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+  if (!MEDIA_TYPE.test(type)) {
+    throw new UpstreamError(`Not a media response (${type}): ${url}`, { code: 'unsupported_media' });
+  }
+  if (/octet-stream$/.test(type)) {
+    const { pathname } = new URL(url);
+    if (/\.m3u8$/i.test(pathname)) return 'application/vnd.apple.mpegurl';
+    if (/\.mpd$/i.test(pathname)) return DASH_TYPE;
+  }
+  return type;
+}
+
+function rangedResponse({ type, size, range, head, open }) {
+  const selected = parseRange(range, size);
+  if (selected === false) {
+    return { status: 416, headers: { ...RESPONSE_HEADERS, 'Content-Range': `bytes */${size}` }, body: null };
+  }
+
+  const { start, end } = selected || { start: 0, end: size - 1 };
+  const headers = { ...RESPONSE_HEADERS, 'Content-Type': type, 'Content-Length': Math.max(0, end - start + 1) };
+  if (selected) headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+  return { status: selected ? 206 : 200, headers, body: head || size === 0 ? null : open(start, end) };
+}
+
+/**
+ * Fetches Snapchat media for browsers so they never contact Snapchat's CDNs.
+ * Only https URLs on MEDIA_HOSTS (shared/mediaProxy.js) are fetched, redirects
+ * included. Complete bodies are kept in a size-bounded disk cache and served
+ * from it with Range support; until a file is cached, ranges other than
+ * `bytes=0-` go to the CDN. HLS playlists and DASH manifests have their
+ * absolute media URLs rewritten to proxy paths.
+ */
+class MediaProxy {
+  /**
+   * @param {Object} [options]
+   * @param {typeof fetch} [options.fetch]
+   * @param {MediaFileCache} [options.cache]
+   * @param {number} [options.timeoutMs] - How long to wait for the CDN's response headers
+   */
+  constructor({
+    fetch: fetchImpl = (...args) => fetch(...args),
+    cache = new MediaFileCache(),
+    timeoutMs = 15000
+  } = {}) {
+    this.fetchImpl = fetchImpl;
+    this.cache = cache;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * @param {string} url - Upstream media URL
+   * @param {Object} [options]
+   * @param {string} [options.range] - The browser's Range header
+   * @param {boolean} [options.head] - Headers only
+   * @param {AbortSignal} [options.signal] - Aborted when the browser goes away
+   * @returns {Promise<{ status: number, headers: Object, body: import('stream').Readable|null }>}
+   * @throws {ScraperError} When the URL isn't allowed or the CDN fails
+   */
+  async request(url, { range, head = false, signal } = {}) {
+    if (!isMediaUrl(url)) {
+      throw new BlockedError(`Not a Snapchat media URL: ${url}`, { code: 'forbidden_host', status: 403 });
+    }
+
+    const cached = await this.cache.get(url);
+    if (cached) {
+      return rangedResponse({
+        type: cached.type,
+        size: cached.size,
+        range,
+        head,
+        open: (start, end) => createReadStream(cached.path, { start, end })
+      });
+    }
+
+    // Only a seek needs the CDN's own range support; `bytes=0-` is the whole file
+    const partial = Boolean(range) && !/^bytes=0-$/.test(range.trim());
+    // Bodies are passed on as they come; fetch would otherwise decode them behind Content-Length's back
+    const response = await this.fetchUpstream(url, {
+      method: head ? 'HEAD' : 'GET',
+      headers: { 'Accept-Encoding': 'identity', ...(partial && !head ? { Range: range } : {}) },
+      signal
+    });
+    const type = responseType(response, url);
+    // A CDN that encodes anyway gets its body decoded, so the length it sent no longer applies
+    const encoded = (response.headers.get('content-encoding') || 'identity').trim().toLowerCase() !== 'identity';
+    const length = response.headers.has('content-length') && !encoded ? Number(response.headers.get('content-length')) : null;
+
+    if (head) {
+      await response.body?.cancel().catch(() => {});
+      const headers = { ...RESPONSE_HEADERS, 'Content-Type': type };
+      if (length !== null) headers['Content-Length'] = length;
+      return { status: 200, headers, body: null };
+    }
+
+    if (isManifest(type, url) && response.status === 200) {
+      const body = Buffer.from(proxyMediaUrlsInText(await this.readManifest(response, url)));
+      await this.cache.set(url, { type, body }).catch((error) => {
+        console.warn(`Could not cache media ${url}:`, error.message);
+      });
+      return rangedResponse({ type, size: body.length, range, head, open: (start, end) => Readable.from([body.subarray(start, end + 1)]) });
+    }
+
+    const source = Readable.fromWeb(response.body);
+    const headers = { ...RESPONSE_HEADERS, 'Content-Type': type };
+    if (length !== null) headers['Content-Length'] = length;
+
+    if (response.status === 206) {
+      headers['Content-Range'] = response.headers.get('content-range');
+      return { status: 206, headers, body: source };
+    }
+
+    // The whole file, even if a range was asked for: stored while it streams
+    const body = pipeline(source, this.cache.capture(url, { type, length }), () => {});
+    return { status: 200, headers, body };
+  }
+
+  async readManifest(response, url) {
+    const length = Number(response.headers.get('content-length'));
+    if (length > MAX_MANIFEST_BYTES) {
+      await response.body?.cancel().catch(() => {});
+      throw new UpstreamError(`Manifest too large: ${url}`, { code: 'unsupported_media' });
+    }
+    const text = await response.text();
+    if (Buffer.byteLength(text) > MAX_MANIFEST_BYTES) {
+      throw new UpstreamError(`Manifest too large: ${url}`, { code: 'unsupported_media' });
+    }
+    return text;
+  }
+
+  // Follows redirects by hand so each hop is checked against the allowlist
+  async fetchUpstream(url, { method, headers, signal }) {
+    let target = url;
+
+    for (let redirects = 0; ; redirects++) {
+      const response = await this.attempt(target, { method, headers, signal });
+      if (REDIRECT_STATUS.has(response.status)) {
+        await response.body?.cancel().catch(() => {});
+        const location = response.headers.get('location');
+        const next = location ? new URL(location, target).href : null;
+        if (!isMediaUrl(next) || redirects >= MAX_REDIRECTS) {
+          throw new UpstreamError(`Refused redirect from ${target} to ${next}`, { code: 'upstream_redirect' });
+        }
+        target = next;
+        continue;
+      }
+
+      if (response.ok) return response;
+      await response.body?.cancel().catch(() => {});
+      throw this.errorForStatus(target, response);
+    }
+  }
+
+  async attempt(url, { signal, ...options }) {
+    // Only the wait for headers is limited; the body streams for as long as it takes
+    const timeout = new AbortController();
+    const timer = setTimeout(() => timeout.abort(), this.timeoutMs);
+    const combined = signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal;
+
+    try {
+      return await this.fetchImpl(url, { ...options, redirect: 'manual', signal: combined });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      if (timeout.signal.aborted) {
+        throw new UpstreamError(`Timed out after ${this.timeoutMs}ms: ${url}`, { code: 'upstream_timeout', status: 504, cause: error });
+      }
+      throw new UpstreamError(`Request failed: ${url}: ${error.message}`, { cause: error });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  errorForStatus(url, response) {
+    const message = `HTTP ${response.status} for ${url}`;
+
+    if (response.status === 404 || response.status === 410) return new NotFoundError(message);
+    if (response.status === 403 || response.status === 451) return new BlockedError(message);
+    if (response.status === 416) return new ScraperError(message, { code: 'range_not_satisfiable', status: 416 });
+    return new UpstreamError(message);
+  }
+}
+
+export default MediaProxy;
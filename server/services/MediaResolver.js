@@ -0,0 +1,231 @@
+import cheerio from 'cheerio';
+import { ParseFailureError } from './errors.js';
+import { isMediaUrl } from '../../shared/mediaProxy.js';
+
+const BASE_URL = 'https://www.snapchat.com';
+
+// Spotlight ids are URL-safe base64, e.g. "W7_EDlXWTBiX..."
+export const SPOTLIGHT_ID_PATTERN = /^[A-Za-z0-9_-]{1,200}$/;
+
+const MEDIA_TYPES = [
+  [/\.m3u8$/i, 'application/vnd.apple.mpegurl'],
+  [/\.mpd$/i, 'application/dash+xml'],
+  [/\.(mp4|m4v)$/i, 'video/mp4'],
+  [/\.webm$/i, 'video/webm']
+];
+
+const DECLARED_TYPES = {
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  m3u8: 'application/vnd.apple.mpegurl',
+  hls: 'application/vnd.apple.mpegurl',
+  'application/x-mpegurl': 'application/vnd.apple.mpegurl',
+  mpd: 'application/dash+xml',
+  dash: 'application/dash+xml'
+};
+
+// Media URLs written into inline scripts, for pages where nothing else names them
+const SCRIPT_MEDIA_URL = /https?:\/\/[^\s"'<>\\]+?\.(?:m3u8|mpd|mp4)(?:\?[^\s"'<>\\]*)?(?=["'\\\s<])/g;
+
+/**
+ * MIME type of a media URL: the declared format when there is one, else the
+ * file extension. Snapchat's progressive media often has no extension and is MP4.
+ */
+export function mediaType(url, declared) {
+  const type = String(declared || '').trim().toLowerCase();
+  if (type) return DECLARED_TYPES[type] || type;
+
+  const { pathname } = new URL(url);
+  return MEDIA_TYPES.find(([pattern]) => pattern.test(pathname))?.[1] || 'video/mp4';
+}
+
+// Accepts 1080, "1080" and schema.org QuantitativeValue objects
+function parseDimension(value) {
+  const number = Number(value?.value ?? value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+function firstString(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  return typeof first === 'string' ? first : first?.url || first?.contentUrl || null;
+}
+
+/**
+ * Ways to find a Spotlight video's media, most reliable first. Each returns
+ * candidate sources (`{ url, type, width, height }`) and may name a poster.
+ */
+const STRATEGIES = [
+  {
+    name: 'jsonLd',
+    find($, { selectors }) {
+      const found = [];
+      selectors.all($, 'jsonLd').each((i, el) => {
+        let data;
+        try {
+          data = JSON.parse($(el).text());
+        } catch {
+          return;
+        }
+        for (const entry of Array.isArray(data) ? data : [data]) {
+          if (entry?.['@type'] !== 'VideoObject' || typeof entry.contentUrl !== 'string') continue;
+          found.push({
+            url: entry.contentUrl,
+            declaredType: entry.encodingFormat,
+            width: entry.width,
+            height: entry.height,
+            poster: firstString(entry.thumbnailUrl)
+          });
+        }
+      });
+      return found;
+    }
+  },
+  {
+    name: 'nextData',
+    find($, { selectors, nextData }) {
+      if (!nextData) return [];
+      const url = selectors.resolve(nextData, 'media.url');
+      if (typeof url !== 'string') return [];
+      const poster = selectors.resolve(nextData, 'media.poster', { track: false });
+      return [{ url, poster: typeof poster === 'string' ? poster : null }];
+    }
+  },
+  {
+    name: 'openGraph',
+    find($, { selectors }) {
+      const match = selectors.first($, 'media.openGraph');
+      const url = match?.elements.attr('content');
+      if (!url) return [];
+      const meta = (property) => $(`meta[property="og:video:${property}"]`).attr('content');
+      return [{
+        url,
+        declaredType: meta('type'),
+        width: meta('width'),
+        height: meta('height'),
+        poster: $('meta[property="og:image"]').attr('content') || null
+      }];
+    }
+  },
+  {
+    name: 'videoElement',
+    find($, { selectors }) {
+      const found = [];
+      selectors.all($, 'media.video').each((i, el) => {
+        const $el = $(el);
+        const $video = el.tagName === 'video' ? $el : $el.closest('video');
+        found.push({
+          url: $el.attr('src'),
+          declaredType: $el.attr('type'),
+          width: $video.attr('width'),
+          height: $video.attr('height'),
+          poster: $video.attr('poster') || null
+        });
+      });
+      return found;
+    }
+  },
+  {
+    name: 'script',
+    find($) {
+      const found = [];
+      $('script:not([src])').each((i, el) => {
+        for (const [url] of $(el).text().matchAll(SCRIPT_MEDIA_URL)) {
+          found.push({ url });
+        }
+      });
+      return found;
+    }
+  }
+];
+
+/**
+ * Resolves the playable media of a Spotlight video from its page on
+ * snapchat.com, so clients get ready-to-play sources instead of digging
+ * through the markup themselves. Results are cached under `media:<id>`.
+ */
+class MediaResolver {
+  /**
+   * @param {Object} options
+   * @param {import('./SnapchatScraper.js').default} options.scraper - Fetches pages (transport, drift checks)
+   * @param {import('./cache/TieredCache.js').default} [options.cache] - Defaults to the scraper's cache
+   * @param {import('./SelectorRegistry.js').default} [options.selectors] - Defaults to the scraper's selectors
+   */
+  constructor({ scraper, cache = scraper.cache, selectors = scraper.selectors }) {
+    this.scraper = scraper;
+    this.cache = cache;
+    this.selectors = selectors;
+  }
+
+  spotlightUrl(id) {
+    return `${BASE_URL}/spotlight/${id}`;
+  }
+
+  /**
+   * @param {string} id - Spotlight id (the last segment of a `/spotlight/` URL)
+   * @returns {Promise<{ id: string, poster: string|null, sources: Array<{ url: string, type: string,
+   *   width: number|null, height: number|null, origin: string }> }>} Sources in order of confidence
+   * @throws {NotFoundError} When the video doesn't exist
+   * @throws {ParseFailureError} When the page names no playable media
+   */
+  async resolveSpotlight(id) {
+    return this.cache.wrap(`media:${id}`, 'media', async () => {
+      const html = await this.scraper.fetchPage(this.spotlightUrl(id));
+      const media = this.parseMedia(html);
+      if (media.sources.length === 0) {
+        throw new ParseFailureError(`No playable media found for Spotlight ${id}`);
+      }
+      return { id, ...media };
+    });
+  }
+
+  /**
+   * Runs every strategy over a page and merges what they found. A URL found
+   * by several strategies keeps the rank of the first and the dimensions any
+   * of them knew.
+   * @param {string} html
+   * @returns {{ poster: string|null, sources: Object[] }}
+   */
+  parseMedia(html) {
+    const $ = cheerio.load(html);
+    const context = { selectors: this.selectors, nextData: this.readNextData($) };
+    const sources = new Map();
+    let poster = null;
+
+    // URLs on hosts other than Snapchat's (shared/mediaProxy.js) are ignored
+    for (const strategy of STRATEGIES) {
+      for (const candidate of strategy.find($, context)) {
+        if (!poster && isMediaUrl(candidate.poster)) poster = candidate.poster;
+        if (!isMediaUrl(candidate.url)) continue;
+
+        const width = parseDimension(candidate.width);
+        const height = parseDimension(candidate.height);
+        const existing = sources.get(candidate.url);
+        if (existing) {
+          existing.width ??= width;
+          existing.height ??= height;
+          continue;
+        }
+        sources.set(candidate.url, {
+          url: candidate.url,
+          type: mediaType(candidate.url, candidate.declaredType),
+          width,
+          height,
+          origin: strategy.name
+        });
+      }
+    }
+
+    return { poster, sources: [...sources.values()] };
+  }
+
+  readNextData($) {
+    try {
+      const script = this.selectors.first($, 'profile.nextData');
+      return script ? JSON.parse(script.elements.text()) : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default MediaResolver;
@@ -0,0 +1,211 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { DEFAULT_LOCALE } from '../../shared/locales.js';
+
+export const DEFAULT_CLIENT_DIR = process.env.SNAP_CLIENT_DIR ||
+  fileURLToPath(new URL('../../client', import.meta.url));
+
+// Public origin used for canonical and Open Graph URLs
+export const SITE_URL = (process.env.SITE_URL || 'https://snap-clone.com').replace(/\/$/, '');
+
+// Template tags replaced by per-profile ones
+const REPLACED_HEAD_TAGS = [
+  /<title>[\s\S]*?<\/title>\s*/i,
+  /<meta\s+name="description"[^>]*>\s*/gi,
+  /<meta\s+property="og:[^"]*"[^>]*>\s*/gi,
+  /<meta\s+name="twitter:[^"]*"[^>]*>\s*/gi
+];
+
+// Head text of profile pages, by language like the client's catalog (client/src/i18n/messages.js)
+const HEAD_MESSAGES = {
+  en: {
+    title: '{name} (@{username}) on Snapchat',
+    description: "View {name}'s Stories, Spotlight videos and Lenses."
+  },
+  es: {
+    title: '{name} (@{username}) en Snapchat',
+    description: 'Mira las Historias, los vídeos de Spotlight y las Lentes de {name}.'
+  },
+  fr: {
+    title: '{name} (@{username}) sur Snapchat',
+    description: 'Découvrez les Stories, les vidéos Spotlight et les Lenses de {name}.'
+  },
+  de: {
+    title: '{name} (@{username}) auf Snapchat',
+    description: 'Sieh dir die Storys, Spotlight-Videos und Linsen von {name} an.'
+  }
+};
+
+// A locale falls back to its language, then to English
+function headMessage(locale, key, params) {
+  const messages = HEAD_MESSAGES[locale.split('-')[0]] || HEAD_MESSAGES.en;
+  return messages[key].replace(/\{(\w+)\}/g, (placeholder, name) => String(params[name]));
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/** JSON that is safe inside a <script> element. */
+export function serializeForScript(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// Images may be media proxy paths (shared/mediaProxy.js); crawlers need them absolute
+function absoluteUrl(value, base) {
+  return value ? new URL(value, base).href : null;
+}
+
+/**
+ * schema.org ProfilePage describing the account.
+ * @param {Object} profile - Profile model (shared/profileModel.js)
+ * @param {string} url - Canonical page URL
+ */
+export function buildProfileJsonLd(profile, url) {
+  const snapchatUrl = `https://www.snapchat.com/add/${encodeURIComponent(profile.username)}`;
+  const person = {
+    '@type': 'Person',
+    name: profile.displayName || profile.title || profile.username,
+    alternateName: `@${profile.username}`,
+    identifier: profile.username,
+    url: snapchatUrl,
+    sameAs: [snapchatUrl, profile.websiteUrl].filter(Boolean)
+  };
+  if (profile.bio) person.description = profile.bio;
+  if (profile.images.profilePicture || profile.image) person.image = absoluteUrl(profile.images.profilePicture || profile.image, url);
+  if (profile.address) person.homeLocation = { '@type': 'Place', name: profile.address };
+  if (profile.subscriberCount !== null) {
+    person.interactionStatistic = {
+      '@type': 'InteractionCounter',
+      interactionType: 'https://schema.org/FollowAction',
+      userInteractionCount: profile.subscriberCount
+    };
+  }
+
+  return { '@context': 'https://schema.org', '@type': 'ProfilePage', url, mainEntity: person };
+}
+
+/**
+ * Title, description, canonical link, Open Graph/Twitter tags and JSON-LD for a profile page.
+ * @param {Object} profile - Profile model (shared/profileModel.js)
+ * @param {string} url - Canonical page URL
+ * @param {string} [locale] - Language of the title and fallback description
+ * @returns {string} HTML for <head>
+ */
+export function buildProfileHead(profile, url, locale = DEFAULT_LOCALE) {
+  const name = profile.displayName || profile.title || profile.username;
+  const title = headMessage(locale, 'title', { name, username: profile.username });
+  const description = profile.bio || profile.description || headMessage(locale, 'description', { name });
+  const image = absoluteUrl(profile.images.hero || profile.images.profilePicture || profile.image, url);
+
+  const meta = [
+    ['name', 'description', description],
+    ['property', 'og:type', 'profile'],
+    ['property', 'og:url', url],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:image', image],
+    ['property', 'profile:username', profile.username],
+    ['name', 'twitter:card', profile.images.hero ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image]
+  ];
+
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    ...meta
+      .filter(([, , content]) => content)
+      .map(([attr, key, content]) => `<meta ${attr}="${key}" content="${escapeHtml(content)}" />`),
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    `<script type="application/ld+json">${serializeForScript(buildProfileJsonLd(profile, url))}</script>`
+  ].join('\n    ');
+}
+
+/**
+ * Renders client routes to HTML from the Vite build: `client/dist/index.html`
+ * as the template and `client/dist-ssr/entry-server.js` for the React markup.
+ * Without the SSR bundle pages still get their head tags and embedded data.
+ */
+class PageRenderer {
+  constructor({ clientDir = DEFAULT_CLIENT_DIR, siteUrl = SITE_URL } = {}) {
+    this.templateFile = join(clientDir, 'dist', 'index.html');
+    this.ssrEntry = join(clientDir, 'dist-ssr', 'entry-server.js');
+    this.siteUrl = siteUrl;
+    this.staticDir = join(clientDir, 'dist');
+    this.template = null;
+    this.renderer = null;
+  }
+
+  /** Whether the client has been built. */
+  get available() {
+    return existsSync(this.templateFile);
+  }
+
+  async loadRenderer() {
+    if (!this.renderer) {
+      this.renderer = existsSync(this.ssrEntry)
+        ? import(pathToFileURL(this.ssrEntry).href)
+        : Promise.resolve(null);
+    }
+    return this.renderer;
+  }
+
+  /**
+   * @param {Object} page
+   * @param {string} page.pathname - Request path, passed to the client router
+   * @param {string} [page.search] - Query string including `?`, passed along with the path
+   * @param {string} [page.canonicalPath] - Path for the canonical link; defaults to `pathname`
+   * @param {string} [page.locale] - Supported locale the page is rendered in
+   * @param {string} [page.username] - Username as written in the path
+   * @param {Object} [page.profile] - Profile model; omitted pages render the plain shell
+   * @param {Object[]} [page.tabs] - Tab summary (SnapchatScraper#fetchTabSummary) shown in the tab bar
+   * @param {boolean} [page.notFound] - Keeps the page out of search indexes
+   * @returns {Promise<string>}
+   */
+  async render({ pathname, search = '', canonicalPath = pathname, locale = DEFAULT_LOCALE, username, profile, tabs = null, notFound = false }) {
+    if (!this.template) this.template = readFileSync(this.templateFile, 'utf8');
+
+    let html = this.template;
+    let head = '';
+
+    if (profile) {
+      html = REPLACED_HEAD_TAGS.reduce((result, pattern) => result.replace(pattern, ''), html);
+      head = buildProfileHead(profile, `${this.siteUrl}${canonicalPath}`, locale);
+    } else if (notFound) {
+      head = '<meta name="robots" content="noindex" />';
+    }
+
+    // The client starts in the same locale so hydration matches
+    const data = profile ? { locale, username, profile, ...(tabs && { tabs }) } : { locale };
+    let markup = '';
+    const ssr = await this.loadRenderer();
+    if (ssr) {
+      try {
+        markup = ssr.render(pathname + search, data);
+      } catch (error) {
+        // The client renders from scratch instead
+        console.error(`Server render failed for ${pathname}:`, error);
+      }
+    }
+
+    const dataScript = `<script>window.__SNAP_DATA__=${serializeForScript(data)}</script>`;
+
+    // Replacer functions, so `$&`, `$'` and the like in profile text are inserted as written
+    return html
+      .replace(/<html lang="[^"]*"/i, () => `<html lang="${escapeHtml(locale)}"`)
+      .replace('</head>', () => (head ? `    ${head}\n  </head>` : '</head>'))
+      .replace('<div id="root"></div>', () => `<div id="root">${markup}</div>${dataScript}`);
+  }
+}
+
+export default PageRenderer;
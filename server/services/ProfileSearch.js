@@ -0,0 +1,100 @@
+import { normalizeUsername } from '../../shared/username.js';
+
+// The index is rebuilt from the cache at most this often
+const DEFAULT_TTL = 60 * 1000;
+
+const MATCH_RANKS = {
+  exact: 0,
+  usernamePrefix: 1,
+  namePrefix: 2,
+  contains: 3
+};
+
+function rankFor(entry, term) {
+  if (entry.id === term) return MATCH_RANKS.exact;
+  if (entry.id.startsWith(term)) return MATCH_RANKS.usernamePrefix;
+  if (entry.name.split(/\s+/).some((word) => word.startsWith(term))) return MATCH_RANKS.namePrefix;
+  if (entry.id.includes(term) || entry.name.includes(term)) return MATCH_RANKS.contains;
+  return null;
+}
+
+/**
+ * Profile lookup for the search box, over every profile in the scraper cache.
+ * Snapchat has no public search, so only profiles someone has already viewed
+ * through this server can be suggested.
+ */
+class ProfileSearch {
+  constructor({ cache, ttl = DEFAULT_TTL, now = () => Date.now() }) {
+    this.cache = cache;
+    this.ttl = ttl;
+    this.now = now;
+    this.built = null;
+  }
+
+  async buildIndex() {
+    const profiles = new Map();
+
+    for await (const [key, entry] of this.cache.entries({ includeExpired: true, prefix: 'profile:' })) {
+      if (!entry.value) continue;
+      // Keys are `profile:<username>:<locale>`; each locale is a copy of the same profile
+      const profile = entry.value;
+      const username = profile.username || key.split(':')[1];
+      const id = username.toLowerCase();
+      if (profiles.has(id)) continue;
+
+      profiles.set(id, {
+        id,
+        name: (profile.displayName || '').toLowerCase(),
+        result: {
+          username,
+          displayName: profile.displayName || null,
+          image: profile.images?.profilePicture || profile.image || null,
+          verified: profile.verified === true,
+          subscriberCount: profile.subscriberCount ?? null
+        }
+      });
+    }
+
+    return [...profiles.values()];
+  }
+
+  async index() {
+    if (this.built && this.now() < this.built.expiresAt) return this.built.promise;
+
+    const promise = this.buildIndex();
+    this.built = { promise, expiresAt: this.now() + this.ttl };
+    promise.catch(() => {
+      this.built = null;
+    });
+    return promise;
+  }
+
+  /**
+   * @param {string} query - Search text; usernames and Snapchat URLs are normalized first
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @returns {Promise<Object[]>} `{ username, displayName, image, verified, subscriberCount }`,
+   *   best match first
+   */
+  async search(query, { limit = 8 } = {}) {
+    const term = normalizeUsername(query) || String(query || '').trim().replace(/^@/, '').toLowerCase();
+    if (!term) return [];
+
+    const matches = [];
+    for (const entry of await this.index()) {
+      const rank = rankFor(entry, term);
+      if (rank !== null) matches.push({ rank, entry });
+    }
+
+    return matches
+      .sort((a, b) =>
+        a.rank - b.rank ||
+        (b.entry.result.subscriberCount ?? -1) - (a.entry.result.subscriberCount ?? -1) ||
+        a.entry.id.localeCompare(b.entry.id)
+      )
+      .slice(0, limit)
+      .map(({ entry }) => entry.result);
+  }
+}
+
+export default ProfileSearch;
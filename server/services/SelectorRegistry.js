@@ -0,0 +1,227 @@
+import { readFileSync, watch } from 'fs';
+import { basename } from 'path';
+import { fileURLToPath } from 'url';
+import { PROFILE_PATHS, getPath } from '../../shared/profileModel.js';
+
+const BUNDLED_SELECTORS_FILE = fileURLToPath(new URL('../config/selectors.json', import.meta.url));
+
+export const DEFAULT_SELECTORS_FILE = process.env.SNAP_SELECTORS_FILE || BUNDLED_SELECTORS_FILE;
+
+// Profile paths are defined in the shared model; the config file may override them per field
+const DEFAULT_PATHS = Object.fromEntries(
+  Object.entries(PROFILE_PATHS).map(([field, paths]) => [`profile.${field}`, [...paths]])
+);
+
+// The parsers look up every group of the config shipped with the server, so none may be dropped
+const bundled = JSON.parse(readFileSync(BUNDLED_SELECTORS_FILE, 'utf8'));
+export const REQUIRED_GROUPS = Object.freeze({
+  selectors: Object.keys(bundled.selectors),
+  paths: [...Object.keys(DEFAULT_PATHS), ...Object.keys(bundled.paths)]
+});
+
+// Number of recent parses per group used to judge selector health
+const HEALTH_WINDOW = 50;
+
+/**
+ * Throws when a selector config is malformed or misses one of REQUIRED_GROUPS,
+ * so a bad edit never replaces a working config during hot reload.
+ */
+export function validateSelectorConfig(config) {
+  const problems = [];
+
+  if (!Number.isInteger(config?.version) || config.version < 1) {
+    problems.push('version must be a positive integer');
+  }
+  for (const section of ['selectors', 'paths']) {
+    const groups = config?.[section];
+    if (!groups || typeof groups !== 'object') {
+      problems.push(`${section} must be an object`);
+      continue;
+    }
+    for (const group of REQUIRED_GROUPS[section]) {
+      if (!(group in groups)) problems.push(`${section}.${group} is missing`);
+    }
+    for (const [group, list] of Object.entries(groups)) {
+      if (!Array.isArray(list) || list.length === 0 || !list.every((entry) => typeof entry === 'string' && entry.trim())) {
+        problems.push(`${section}.${group} must be a non-empty array of strings`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid selector config: ${problems.join('; ')}`);
+  }
+  return config;
+}
+
+/**
+ * Selector and JSON-path configuration loaded from `server/config/selectors.json`.
+ *
+ * Groups are ordered fallback lists. Every lookup records which entry matched
+ * (index 0 is the primary), so `report()` shows when Snapchat markup changes
+ * push parsing onto fallbacks before results go empty.
+ */
+class SelectorRegistry {
+  constructor({ file = DEFAULT_SELECTORS_FILE, config } = {}) {
+    this.file = config ? null : file;
+    this.watcher = null;
+    this.stats = new Map();
+    this.apply(config || this.read(), config ? 'inline' : basename(this.file));
+  }
+
+  read() {
+    return JSON.parse(readFileSync(this.file, 'utf8'));
+  }
+
+  apply(config, source) {
+    this.config = validateSelectorConfig({ ...config, paths: { ...DEFAULT_PATHS, ...config.paths } });
+    this.source = source;
+    this.loadedAt = new Date().toISOString();
+    // Stats describe the config that produced them
+    this.stats.clear();
+  }
+
+  /** Re-reads the config file; keeps the current config if the new one is invalid. */
+  reload() {
+    try {
+      const previous = this.config.version;
+      this.apply(this.read(), basename(this.file));
+      console.log(`Reloaded selector config v${previous} -> v${this.config.version}`);
+      return true;
+    } catch (error) {
+      console.error(`Keeping selector config v${this.config.version}:`, error.message);
+      return false;
+    }
+  }
+
+  /** Reloads whenever the config file changes. Returns a function that stops watching. */
+  watch() {
+    if (!this.file || this.watcher) return () => this.unwatch();
+
+    let timer = null;
+    this.watcher = watch(this.file, () => {
+      // Editors emit several events per save
+      clearTimeout(timer);
+      timer = setTimeout(() => this.reload(), 100);
+    });
+    this.watcher.unref();
+
+    return () => this.unwatch();
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  get version() {
+    return this.config.version;
+  }
+
+  list(group, section = 'selectors') {
+    const list = this.config[section][group];
+    if (!list) throw new Error(`Unknown ${section} group: ${group}`);
+    return list;
+  }
+
+  /** Returns `{ elements, selector, index }` for the first selector with matches, or null. */
+  first($, group) {
+    const selectors = this.list(group);
+
+    for (let index = 0; index < selectors.length; index++) {
+      const elements = $(selectors[index]);
+      if (elements.length > 0) {
+        this.record(group, index);
+        return { elements, selector: selectors[index], index };
+      }
+    }
+
+    this.record(group, -1);
+    return null;
+  }
+
+  /** Returns the union of every selector in the group, in document order. */
+  all($, group) {
+    const selectors = this.list(group);
+    const matched = selectors.findIndex((selector) => $(selector).length > 0);
+
+    this.record(group, matched);
+    return $(selectors.join(', '));
+  }
+
+  /**
+   * Returns the first non-null value at any of the group's dot paths, or null.
+   * Pass `track: false` for optional fields whose absence says nothing about selector health.
+   */
+  resolve(obj, group, { track = true } = {}) {
+    const paths = this.list(group, 'paths');
+
+    for (let index = 0; index < paths.length; index++) {
+      const value = getPath(obj, paths[index]);
+      if (value !== undefined && value !== null) {
+        if (track) this.record(group, index);
+        return value;
+      }
+    }
+
+    if (track) this.record(group, -1);
+    return null;
+  }
+
+  record(group, index) {
+    let stats = this.stats.get(group);
+    if (!stats) {
+      stats = { parses: 0, misses: 0, matches: {}, recent: [], lastMatched: null };
+      this.stats.set(group, stats);
+    }
+
+    stats.parses++;
+    stats.recent.push(index);
+    if (stats.recent.length > HEALTH_WINDOW) stats.recent.shift();
+
+    if (index === -1) {
+      stats.misses++;
+      return;
+    }
+
+    const entry = this.config.selectors[group]?.[index] ?? this.config.paths[group]?.[index];
+    stats.matches[entry] = (stats.matches[entry] || 0) + 1;
+    stats.lastMatched = { entry, index, at: new Date().toISOString() };
+  }
+
+  /**
+   * Per-group health: `ok` while the primary entry matches most recent parses,
+   * `fallback` when fallbacks are doing the work, `failing` when nothing matches.
+   */
+  report() {
+    const groups = {};
+
+    for (const [group, stats] of this.stats) {
+      const recentPrimary = stats.recent.filter((index) => index === 0).length;
+      const recentMatched = stats.recent.filter((index) => index >= 0).length;
+      const status = recentPrimary * 2 >= stats.recent.length ? 'ok'
+        : recentMatched > 0 ? 'fallback'
+        : 'failing';
+
+      groups[group] = {
+        status,
+        parses: stats.parses,
+        misses: stats.misses,
+        primaryRate: Number((recentPrimary / stats.recent.length).toFixed(3)),
+        matches: { ...stats.matches },
+        lastMatched: stats.lastMatched
+      };
+    }
+
+    return {
+      version: this.config.version,
+      updatedAt: this.config.updatedAt || null,
+      source: this.source,
+      loadedAt: this.loadedAt,
+      status: Object.values(groups).some((group) => group.status !== 'ok') ? 'degraded' : 'ok',
+      groups
+    };
+  }
+}
+
+export default SelectorRegistry;
@@ -0,0 +1,196 @@
+import { existsSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { SITE_URL } from './PageRenderer.js';
+
+export const DEFAULT_OPT_OUT_FILE = process.env.SNAP_SITEMAP_OPT_OUT_FILE ||
+  fileURLToPath(new URL('../config/sitemap-opt-out.json', import.meta.url));
+
+// sitemaps.org limit per file
+export const MAX_URLS_PER_SITEMAP = 50000;
+
+// Rebuilding scans every cache entry, so the result is reused for a while
+const DEFAULT_TTL = 10 * 60 * 1000;
+
+const SPOTLIGHT_PATH = /^\/@([^/]+)\/spotlight\/[^/]+$/;
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Path and owner of a Spotlight video URL; null for other URLs and ones that don't parse
+function parseSpotlightUrl(url) {
+  try {
+    const { pathname } = new URL(url);
+    const match = SPOTLIGHT_PATH.exec(pathname);
+    return match ? { path: pathname, username: decodeURIComponent(match[1]) } : null;
+  } catch {
+    return null;
+  }
+}
+
+function formatLastmod(time) {
+  return time ? `<lastmod>${new Date(time).toISOString()}</lastmod>` : '';
+}
+
+function latest(times) {
+  return times.reduce((max, time) => (time && time > max ? time : max), 0) || null;
+}
+
+/**
+ * Reads opted-out usernames: `{ "usernames": [...] }`. A missing file means
+ * nobody has opted out.
+ * @returns {Set<string>} Lower-cased usernames
+ */
+export function loadOptOuts(file = DEFAULT_OPT_OUT_FILE) {
+  if (!existsSync(file)) return new Set();
+  const { usernames = [] } = JSON.parse(readFileSync(file, 'utf8'));
+  return new Set(usernames.map((username) => String(username).replace(/^@/, '').toLowerCase()));
+}
+
+/**
+ * Builds sitemap XML from the profiles and Spotlight tab pages in the scraper cache.
+ *
+ * `/sitemap.xml` is an index pointing at numbered `profiles-N.xml` and
+ * `spotlight-N.xml` files of at most `maxUrls` URLs each. A profile's
+ * `lastmod` is the last time its profile or any of its tabs changed;
+ * a Spotlight video uses its upload date.
+ */
+class SitemapBuilder {
+  constructor({
+    cache,
+    siteUrl = SITE_URL,
+    optOutFile = DEFAULT_OPT_OUT_FILE,
+    maxUrls = MAX_URLS_PER_SITEMAP,
+    ttl = DEFAULT_TTL,
+    now = () => Date.now()
+  }) {
+    this.cache = cache;
+    this.siteUrl = siteUrl;
+    this.optOutFile = optOutFile;
+    this.maxUrls = maxUrls;
+    this.ttl = ttl;
+    this.now = now;
+    this.built = null;
+  }
+
+  /** Collects URLs from the cache; see the class comment for `lastmod`. */
+  async collect() {
+    const optOuts = loadOptOuts(this.optOutFile);
+    const profiles = new Map();
+    const spotlight = new Map();
+
+    const profileFor = (username) => {
+      const id = username.toLowerCase();
+      if (!profiles.has(id)) profiles.set(id, { username, exists: false, times: [] });
+      return profiles.get(id);
+    };
+
+    for await (const [key, entry] of this.cache.entries({ includeExpired: true })) {
+      // `profile:<username>:<locale>` and `tab:<username>:<Tab>:<locale>[:<continuation>]`
+      const [type, username, tab] = key.split(':');
+      if (!username || optOuts.has(username.toLowerCase())) continue;
+      const changedAt = entry.changedAt ?? entry.storedAt;
+
+      if (type === 'profile') {
+        const profile = profileFor(username);
+        profile.exists = true;
+        // Use the capitalization Snapchat reports
+        if (entry.value?.username) profile.username = entry.value.username;
+        profile.times.push(changedAt);
+      } else if (type === 'tab' && entry.value) {
+        profileFor(username).times.push(changedAt);
+        if (tab !== 'Spotlight') continue;
+
+        // Pages are `{ items, continuation }`; older entries are bare item arrays
+        const items = Array.isArray(entry.value) ? entry.value : entry.value.items || [];
+        for (const item of items) {
+          const video = item.url ? parseSpotlightUrl(item.url) : null;
+          if (!video || optOuts.has(video.username.toLowerCase())) continue;
+
+          const lastmod = item.publishedAt ? Date.parse(item.publishedAt) : changedAt;
+          const known = spotlight.get(video.path);
+          if (!known || lastmod > known) spotlight.set(video.path, lastmod);
+        }
+      }
+    }
+
+    const profileUrls = [...profiles.values()]
+      .filter((profile) => profile.exists)
+      .sort((a, b) => a.username.localeCompare(b.username))
+      .map((profile) => ({
+        loc: `${this.siteUrl}/@${encodeURIComponent(profile.username)}`,
+        lastmod: latest(profile.times)
+      }));
+    const spotlightUrls = [...spotlight.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([path, lastmod]) => ({ loc: `${this.siteUrl}${path}`, lastmod }));
+
+    return {
+      profiles: [{ loc: `${this.siteUrl}/`, lastmod: null }, ...profileUrls],
+      spotlight: spotlightUrls
+    };
+  }
+
+  /**
+   * @returns {Promise<Object<string, Array<{ loc: string, lastmod: number|null }>>>}
+   *   URLs per sitemap file name, e.g. `profiles-1.xml`
+   */
+  async build() {
+    if (this.built && this.now() < this.built.expiresAt) return this.built.promise;
+
+    const promise = this.collect().then((groups) => {
+      const files = {};
+      for (const [name, urls] of Object.entries(groups)) {
+        for (let i = 0; i < urls.length; i += this.maxUrls) {
+          files[`${name}-${i / this.maxUrls + 1}.xml`] = urls.slice(i, i + this.maxUrls);
+        }
+      }
+      return files;
+    });
+    this.built = { promise, expiresAt: this.now() + this.ttl };
+    promise.catch(() => {
+      this.built = null;
+    });
+    return promise;
+  }
+
+  /** @returns {Promise<string>} The sitemap index */
+  async index() {
+    const files = await this.build();
+    const sitemaps = Object.entries(files).map(([name, urls]) =>
+      `  <sitemap><loc>${escapeXml(`${this.siteUrl}/sitemaps/${name}`)}</loc>${formatLastmod(latest(urls.map((url) => url.lastmod)))}</sitemap>`
+    );
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...sitemaps,
+      '</sitemapindex>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * @param {string} name - File name from the index, e.g. `spotlight-2.xml`
+   * @returns {Promise<string|null>} Sitemap XML, or null for an unknown file
+   */
+  async sitemap(name) {
+    const urls = (await this.build())[name];
+    if (!urls) return null;
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...urls.map((url) => `  <url><loc>${escapeXml(url.loc)}</loc>${formatLastmod(url.lastmod)}</url>`),
+      '</urlset>',
+      ''
+    ].join('\n');
+  }
+}
+
+export default SitemapBuilder;
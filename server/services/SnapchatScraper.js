@@ -1,208 +1,650 @@
 import cheerio from 'cheerio';
-import NodeCache from 'node-cache';
-import { createHash } from 'crypto';
+import { ITEM_KINDS, createContentItem, validateContentItem } from '../../shared/contentItem.js';
+import { createProfile, extractProfileFields } from '../../shared/profileModel.js';
+import { DEFAULT_LOCALE, acceptLanguage } from '../../shared/locales.js';
+import Transport from './Transport.js';
+import TieredCache from './cache/TieredCache.js';
+import SelectorRegistry from './SelectorRegistry.js';
+import DriftDetector from './DriftDetector.js';
+import { BlockedError, NotFoundError, ParseFailureError, ScraperError } from './errors.js';
+
+const BASE_URL = 'https://www.snapchat.com';
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Encoding': 'gzip, deflate',
+  'Connection': 'keep-alive',
+};
+
+// Fields every public profile has; the optional ones (website, address...) don't count towards selector health
+const TRACKED_PROFILE_FIELDS = ['username', 'displayName', 'subscriberCount'];
+
+// Bot challenges answer 200 with a page of their own: Cloudflare, PerimeterX and Akamai markup
+const CHALLENGE_MARKERS = [
+  /<title>\s*Just a moment\.\.\.\s*<\/title>/i,
+  /\/cdn-cgi\/challenge-platform\//i,
+  /id="px-captcha"/i,
+  /<title>\s*Access Denied\s*<\/title>/i
+];
+
+// Snapchat's own pages always carry __NEXT_DATA__, which no challenge page has
+export function isChallengePage(html) {
+  return !html.includes('__NEXT_DATA__') && CHALLENGE_MARKERS.some((marker) => marker.test(html));
+}
+
+// The subscriber line of a profile's page text in each language Snapchat translates it to
+const SUBSCRIBER_WORDS = {
+  en: 'subscribers?',
+  es: 'suscriptor(?:es)?',
+  fr: 'abonné(?:e)?s?',
+  de: 'abonnent(?:inn)?(?:en)?'
+};
+
+// e.g. "4,512 subscribers", "4.512 Abonnenten", "4 512 abonnés"
+function subscriberPattern(locale) {
+  const group = new Intl.NumberFormat(locale).formatToParts(1e6).find((part) => part.type === 'group')?.value ?? ',';
+  const separator = /\s/.test(group) ? '\\s' : `\\${group}`;
+  const word = SUBSCRIBER_WORDS[locale.split('-')[0]] || SUBSCRIBER_WORDS.en;
+  return new RegExp(`(\\d+(?:${separator}\\d{3})*)\\s*${word}`, 'i');
+}
+
+// Upstream pages followed for one request at most, in case continuation tokens loop
+const MAX_PAGES_PER_REQUEST = 5;
+// Upper bound on pages read to sort or filter a whole tab
+const MAX_COLLECTED_PAGES = 20;
+// Items of each tab included in a tab summary
+const DEFAULT_PREVIEW_SIZE = 4;
 
 class SnapchatScraper {
-  constructor() {
-    // Cache for 5 minutes
-    this.cache = new NodeCache({ stdTTL: 300 });
-    this.selectors = {
-      profile: {
-        title: ['meta[property="og:title"]', 'title', 'h1'],
-        description: ['meta[property="og:description"]', 'meta[name="description"]'],
-        image: ['meta[property="og:image"]', 'img[data-testid="profile-image"]'],
-        nextData: ['script#__NEXT_DATA__', 'script[type="application/json"]']
-      },
-      spotlight: [
-        '.SpotlightResultTile_container__NK4Xj',
-        '[data-testid="spotlight-tile"]',
-        '.spotlight-tile',
-        '.tile-container'
-      ],
-      stories: [
-        '.StoryCard',
-        '[data-testid="story-card"]', 
-        '.story-container'
-      ]
-    };
-  }
+  // Tab names as they appear in the Snapchat `?tab=` query parameter
+  static TABS = ['Stories', 'Spotlight', 'Lenses', 'Tagged', 'Related'];
 
-  async fetchProfile(username) {
-    const cacheKey = `profile:${username}`;
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
+  /**
+   * @param {Object} [options]
+   * @param {Transport} [options.transport] - Transport used for every upstream request
+   * @param {Function} [options.fetch] - fetch-compatible function for the default transport;
+   *   swap in FixtureStore#createReplayFetch() to read captured pages instead
+   * @param {TieredCache} [options.cache] - Cache for parsed results (memory LRU + disk by default)
+   * @param {SelectorRegistry} [options.selectors] - Selector config (server/config/selectors.json by default)
+   * @param {DriftDetector} [options.drift] - Page structure baseline (server/config/drift-baseline.json by default)
+   */
+  constructor(options = {}) {
+    this.transport = options.transport || new Transport({ fetch: options.fetch });
+    this.cache = options.cache || new TieredCache();
+    this.selectors = options.selectors || new SelectorRegistry();
+    this.drift = options.drift || new DriftDetector({ selectors: this.selectors });
+  }
 
+  /**
+   * Fetches a page and fingerprints it; a failing drift check never fails the request.
+   * @throws {BlockedError} When Snapchat answers with a bot challenge instead of the page
+   */
+  async fetchPage(url, { locale = DEFAULT_LOCALE } = {}) {
+    const html = await this.transport.text(url, {
+      headers: { ...REQUEST_HEADERS, 'Accept-Language': acceptLanguage(locale) }
+    });
+    if (isChallengePage(html)) {
+      throw new BlockedError(`Bot challenge instead of ${url}`);
+    }
     try {
-      const response = await fetch(`https://www.snapchat.com/@${username}?locale=en-US`, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'keep-alive',
-        }
-      });
+      this.drift.check(url, html);
+    } catch (error) {
+      console.warn(`Drift check failed for ${url}:`, error.message);
+    }
+    return html;
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  /**
+   * @param {string} username
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Supported locale (shared/locales.js); Snapchat localizes
+   *   categories and text, so each locale is fetched and cached on its own
+   */
+  async fetchProfile(username, { locale = DEFAULT_LOCALE } = {}) {
+    return this.cache.wrap(`profile:${username}:${locale}`, 'profile', async () => {
+      try {
+        const html = await this.fetchPage(this.profileUrl(username, locale), { locale });
+        const data = this.parseProfile(html, { locale });
+        if (!data.title && !data.displayName) {
+          throw new ParseFailureError(`No profile metadata found for @${username}`);
+        }
+        return data;
+      } catch (error) {
+        console.error(`Failed to fetch profile for ${username}:`, error.message);
+        throw error;
       }
+    });
+  }
 
-      const html = await response.text();
-      const data = this.parseProfile(html);
-      
-      this.cache.set(cacheKey, data);
-      return data;
-    } catch (error) {
-      console.error(`Failed to fetch profile for ${username}:`, error);
-      throw new Error(`Profile fetch failed: ${error.message}`);
-    }
+  profileUrl(username, locale = DEFAULT_LOCALE) {
+    return `${BASE_URL}/@${username}?locale=${locale}`;
   }
 
-  parseProfile(html) {
+  tabUrl(username, tab, continuation = null, locale = DEFAULT_LOCALE) {
+    // Related profiles are listed on the main profile page, not on a tab of their own
+    const url = tab === 'Related' ? this.profileUrl(username, locale) : `${BASE_URL}/@${username}?locale=${locale}&tab=${tab}`;
+    return continuation ? `${url}&cursor=${encodeURIComponent(continuation)}` : url;
+  }
+
+  /**
+   * @param {string} html - A profile page
+   * @param {Object} [options]
+   * @param {string} [options.locale] - Language the page was requested in, for its subscriber line
+   */
+  parseProfile(html, { locale = DEFAULT_LOCALE } = {}) {
     const $ = cheerio.load(html);
     
-    const title = this.findWithFallback($, this.selectors.profile.title, 'content') || 
-                  this.findWithFallback($, this.selectors.profile.title, 'text');
+    const title = this.findWithFallback($, 'profile.title', ['content', 'text']);
     
-    const description = this.findWithFallback($, this.selectors.profile.description, 'content');
+    const description = this.findWithFallback($, 'profile.description', ['content']);
     
-    const image = this.findWithFallback($, this.selectors.profile.image, 'content') ||
-                  this.findWithFallback($, this.selectors.profile.image, 'src');
+    const image = this.findWithFallback($, 'profile.image', ['content', 'src']);
 
-    // Extract subscriber count with multiple fallback strategies
-    let subscriberCount = null;
+    let fields = {};
     try {
-      const nextDataScript = this.findWithFallback($, this.selectors.profile.nextData, 'text');
+      const nextDataScript = this.findWithFallback($, 'profile.nextData', ['text']);
       if (nextDataScript) {
-        const jsonData = JSON.parse(nextDataScript);
-        subscriberCount = this.extractNestedValue(jsonData, [
-          'props.pageProps.publicProfile.subscriberCount',
-          'props.initialProps.pageProps.profile.subscriberCount',
-          'buildId.pageProps.profile.followers'
-        ]);
+        const nextData = JSON.parse(nextDataScript);
+        fields = extractProfileFields(nextData, (field) => this.selectors.resolve(nextData, `profile.${field}`, {
+          track: TRACKED_PROFILE_FIELDS.includes(field)
+        }));
       }
-    } catch (e) {
-      // Try extracting from text content as fallback
-      const bodyText = $('body').text();
-      const countMatch = bodyText.match(/(\d+(?:,\d+)*)\s*subscribers?/i);
+    } catch {
+      // Malformed __NEXT_DATA__; the subscriber count can still come from the page text
+    }
+
+    if (fields.subscriberCount === undefined || fields.subscriberCount === null) {
+      const countMatch = $('body').text().match(subscriberPattern(locale));
       if (countMatch) {
-        subscriberCount = parseInt(countMatch[1].replace(/,/g, ''));
+        fields.subscriberCount = countMatch[1].replace(/\D/g, '');
       }
     }
 
-    return { title, description, image, subscriberCount };
+    return createProfile({ ...fields, title, description, image });
   }
 
-  async fetchTabContent(username, tab) {
-    const cacheKey = `tab:${username}:${tab}`;
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
+  async fetchTabContent(username, tab, { locale = DEFAULT_LOCALE } = {}) {
+    return (await this.fetchTabPage(username, tab, null, { locale })).items;
+  }
 
-    try {
-      const response = await fetch(`https://www.snapchat.com/@${username}?locale=en-US&tab=${tab}`);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      
-      const html = await response.text();
-      const data = this.parseTabContent(html, tab);
-      
-      this.cache.set(cacheKey, data);
-      return data;
-    } catch (error) {
-      console.error(`Failed to fetch tab ${tab} for ${username}:`, error);
-      return [];
+  /**
+   * One upstream page of a tab. The first page is the tab itself; later ones
+   * are requested with the continuation token the previous page carried.
+   * @param {string} username
+   * @param {string} tab
+   * @param {string|null} [continuation]
+   * @param {Object} [options]
+   * @param {string} [options.locale]
+   * @returns {Promise<{ items: Object[], continuation: string|null }>}
+   */
+  async fetchTabPage(username, tab, continuation = null, { locale = DEFAULT_LOCALE } = {}) {
+    const key = `tab:${username}:${tab}:${locale}${continuation ? `:${continuation}` : ''}`;
+    const page = await this.cache.wrap(key, tab.toLowerCase(), async () => {
+      try {
+        const html = await this.fetchPage(this.tabUrl(username, tab, continuation, locale), { locale });
+
+        try {
+          return this.parseTabPage(html, tab, username);
+        } catch (error) {
+          throw new ParseFailureError(`Could not parse ${tab} tab for @${username}: ${error.message}`, { cause: error });
+        }
+      } catch (error) {
+        console.error(`Failed to fetch tab ${tab} for ${username}:`, error.message);
+        throw error;
+      }
+    });
+
+    // Entries cached before pagination hold the item array only
+    return Array.isArray(page) ? { items: page, continuation: null } : page;
+  }
+
+  /**
+   * Reads `limit` items starting at a position, following upstream pages as needed.
+   * @param {string} username
+   * @param {string} tab
+   * @param {Object} [options]
+   * @param {string|null} [options.page] - Continuation token of the upstream page to start on
+   * @param {number} [options.offset] - Index into that page
+   * @param {number} [options.limit]
+   * @param {string} [options.locale]
+   * @returns {Promise<{ items: Object[], next: { page: string|null, offset: number }|null }>}
+   *   `next` is null once there is nothing left
+   */
+  async fetchTabItems(username, tab, { page = null, offset = 0, limit = 24, locale = DEFAULT_LOCALE } = {}) {
+    const items = [];
+    let token = page;
+    let start = offset;
+
+    for (let pages = 1; ; pages++) {
+      const current = await this.fetchTabPage(username, tab, token, { locale });
+      const taken = current.items.slice(start, start + limit - items.length);
+      items.push(...taken);
+      start += taken.length;
+
+      if (start < current.items.length) return { items, next: { page: token, offset: start } };
+
+      const continuation = current.continuation !== token ? current.continuation : null;
+      if (!continuation) return { items, next: null };
+      if (items.length >= limit || pages >= MAX_PAGES_PER_REQUEST) {
+        return { items, next: { page: continuation, offset: 0 } };
+      }
+
+      token = continuation;
+      start = 0;
     }
   }
 
-  parseTabContent(html, tab) {
+  /**
+   * Every item of a tab across its upstream pages (up to MAX_COLLECTED_PAGES),
+   * for views that have to see all of them, e.g. sorted by views.
+   * @param {string} username
+   * @param {string} tab
+   * @param {Object} [options]
+   * @param {string} [options.locale]
+   * @returns {Promise<Object[]>}
+   */
+  async fetchAllTabItems(username, tab, { locale = DEFAULT_LOCALE } = {}) {
+    const items = [];
+    const seen = new Set();
+    let token = null;
+
+    for (let pages = 0; pages < MAX_COLLECTED_PAGES; pages++) {
+      const current = await this.fetchTabPage(username, tab, token, { locale });
+      items.push(...current.items);
+      if (token !== null) seen.add(token);
+
+      token = current.continuation;
+      if (!token || seen.has(token)) break;
+    }
+    return items;
+  }
+
+  /**
+   * Which tabs a profile has, from the first page of every tab fetched in
+   * parallel (and cached like any tab page).
+   * @param {string} username
+   * @param {Object} [options]
+   * @param {string} [options.locale]
+   * @param {number} [options.previewSize] - Items of each tab to include
+   * @returns {Promise<Array<{ tab: string, count: number|null, more: boolean, preview: Object[] }>>}
+   *   Tabs with content, in SnapchatScraper.TABS order. `count` covers the first page;
+   *   `more` says further pages exist. A tab that failed to load is listed with a null
+   *   count so it can still be opened.
+   * @throws {NotFoundError} When no tab exists because the account doesn't
+   */
+  async fetchTabSummary(username, { locale = DEFAULT_LOCALE, previewSize = DEFAULT_PREVIEW_SIZE } = {}) {
+    const results = await Promise.allSettled(
+      SnapchatScraper.TABS.map((tab) => this.fetchTabPage(username, tab, null, { locale }))
+    );
+
+    if (results.every((result) => result.status === 'rejected' && result.reason instanceof NotFoundError)) {
+      throw results[0].reason;
+    }
+
+    const tabs = [];
+    results.forEach((result, index) => {
+      const tab = SnapchatScraper.TABS[index].toLowerCase();
+      if (result.status === 'rejected') {
+        // A tab Snapchat doesn't serve for this account simply doesn't exist
+        if (result.reason instanceof NotFoundError) return;
+        if (!(result.reason instanceof ScraperError)) throw result.reason;
+        tabs.push({ tab, count: null, more: false, preview: [] });
+        return;
+      }
+
+      const { items, continuation } = result.value;
+      if (items.length === 0) return;
+      tabs.push({ tab, count: items.length, more: Boolean(continuation), preview: items.slice(0, previewSize) });
+    });
+    return tabs;
+  }
+
+  parseTabContent(html, tab, username) {
+    return this.parseTabItems(cheerio.load(html), tab, username);
+  }
+
+  parseTabPage(html, tab, username) {
     const $ = cheerio.load(html);
-    
-    if (tab === 'Spotlight') {
-      return this.parseSpotlightTiles($);
-    } else if (tab === 'Stories') {
-      return this.parseStoryCards($);
+    return {
+      items: this.parseTabItems($, tab, username),
+      continuation: this.parseContinuation($)
+    };
+  }
+
+  // Token for the next page of tiles, if Snapchat offers more than the first render
+  parseContinuation($) {
+    try {
+      const nextDataScript = this.findWithFallback($, 'profile.nextData', ['text']);
+      if (!nextDataScript) return null;
+      // Most tabs have a single page, so a miss says nothing about selector health
+      const token = this.selectors.resolve(JSON.parse(nextDataScript), 'pagination.cursor', { track: false });
+      return typeof token === 'string' && token ? token : null;
+    } catch {
+      return null;
     }
-    
-    return [];
   }
 
-  parseSpotlightTiles($) {
-    const tiles = [];
+  parseTabItems($, tab, username) {
+    let items;
     
-    // Try multiple selector strategies
-    for (const selector of this.selectors.spotlight) {
-      const elements = $(selector);
-      if (elements.length > 0) {
-        elements.each((i, el) => {
-          const tile = this.extractTileData($, el, 'spotlight');
-          if (tile.thumbnail || tile.description) {
-            tiles.push(tile);
-          }
-        });
-        break; // Stop at first successful selector
+    switch (tab) {
+      case 'Spotlight':
+        items = this.parseSpotlightTiles($, username);
+        break;
+      case 'Stories':
+        items = this.parseStoryCards($, username);
+        break;
+      case 'Lenses':
+        items = this.parseLensTiles($, username);
+        break;
+      case 'Tagged':
+        items = this.parseTaggedItems($, username);
+        break;
+      case 'Related':
+        items = this.parseRelatedProfiles($);
+        break;
+      default:
+        return [];
+    }
+
+    return this.normalizeItems(items);
+  }
+
+  // Converts raw parser output into schema-valid content items (see shared/contentItem.js)
+  normalizeItems(rawItems) {
+    const items = [];
+
+    for (const raw of rawItems) {
+      const item = createContentItem(raw);
+      const errors = validateContentItem(item);
+      if (errors.length > 0) {
+        console.warn(`Dropping invalid ${raw.kind} item:`, errors.join('; '));
+        continue;
       }
+      items.push(item);
+    }
+
+    return items;
+  }
+
+  parseSpotlightTiles($, username) {
+    // JSON-LD structured data is the most reliable source
+    const tiles = this.parseVideoObjects($).map((video) => this.videoObjectToItem(video, username));
+    const seen = new Set(tiles.map((tile) => tile.url));
+
+    // Fall back to DOM tiles for anything the structured data missed
+    const addTile = (tile) => {
+      if (!(tile.user || tile.description)) return;
+      if (tile.url && seen.has(tile.url)) return;
+      if (tile.url) seen.add(tile.url);
+      tiles.push(tile);
+    };
+
+    this.selectors.all($, 'spotlight.links').each((i, el) => {
+      addTile(this.extractSpotlightLink($, el, username));
+    });
+
+    if (tiles.length === 0) {
+      // Stop at first successful selector
+      this.selectors.first($, 'spotlight.tiles')?.elements.each((i, el) => {
+        addTile(this.extractSpotlightLink($, el, username));
+      });
     }
     
     return tiles;
   }
 
-  parseStoryCards($) {
+  parseStoryCards($, username) {
     const cards = [];
     
-    for (const selector of this.selectors.stories) {
-      const elements = $(selector);
-      if (elements.length > 0) {
-        elements.each((i, el) => {
-          const card = this.extractTileData($, el, 'story');
-          if (card.thumbnail || card.title) {
-            cards.push(card);
+    this.selectors.all($, 'stories.cards').each((i, el) => {
+      const card = this.extractStoryCard($, el, username);
+      if (card) cards.push(card);
+    });
+    
+    return cards;
+  }
+
+  parseLensTiles($, username) {
+    const lenses = [];
+
+    this.selectors.all($, 'lenses.links').each((i, el) => {
+      const $el = $(el);
+      const description = $el.find('p').first().text().trim() ||
+                          $el.find('span').first().text().trim() ||
+                          $el.attr('aria-label') ||
+                          $el.text().trim() ||
+                          'Lens';
+
+      lenses.push({
+        kind: ITEM_KINDS.LENS,
+        thumbnail: this.extractImageSrc($el.find('img').first()),
+        user: username, // Lenses are created by the profile owner
+        description,
+        url: this.absoluteUrl($el.attr('href'))
+      });
+    });
+
+    return lenses;
+  }
+
+  parseTaggedItems($, username) {
+    // Tagged videos mention the profile as a hashtag, e.g. "#moonlightbae"
+    const keyword = '#' + username.replace(/\d+$/, '');
+    const items = this.parseVideoObjects($)
+      .filter((video) => video.keywords && video.keywords.includes(keyword))
+      .map((video) => this.videoObjectToItem(video, username));
+
+    this.selectors.all($, 'spotlight.links').each((i, el) => {
+      const $el = $(el);
+      const href = $el.attr('href');
+      const numbers = $el.text().trim().match(/\d+[kK]?/g) || [];
+
+      // Look for a hashtag description in the surrounding containers
+      let description = null;
+      let $container = $el.closest('div');
+      for (let depth = 0; depth < 3 && $container.length > 0; depth++) {
+        $container.find('p').each((j, p) => {
+          const text = $(p).text().trim();
+          if (text && (text.includes('#') || text.length > 20)) {
+            description = text;
+            return false;
           }
         });
-        break;
+        if (description) break;
+        $container = $container.parent();
       }
-    }
-    
-    return cards;
+
+      items.push({
+        kind: ITEM_KINDS.SPOTLIGHT,
+        thumbnail: $el.find('img').first().attr('src'),
+        user: href?.match(/@([^/?]+)/)?.[1],
+        description,
+        views: numbers[0],
+        comments: numbers[1],
+        shares: numbers[2],
+        url: this.absoluteUrl(href)
+      });
+    });
+
+    // Show other creators only, without duplicates
+    const seen = new Set();
+    return items.filter((item) => {
+      if (!(item.user || item.description) || item.user === username) return false;
+      const key = `${item.user}:${item.description}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
   }
 
-  extractTileData($, element, type) {
+  parseRelatedProfiles($) {
+    const profiles = [];
+
+    this.selectors.all($, 'related.links').each((i, el) => {
+      const $el = $(el);
+      const href = $el.attr('href');
+      if (!/\/add\/([^?]+)/.test(href)) return;
+
+      const name = $el.find('h5').first().text().trim();
+      if (!name) return;
+
+      // Prefer the working CDN URL from srcset (same technique as the profile image)
+      const $img = $el.find('img').first();
+      const srcsetUrl = $img.attr('srcset')?.split(' ')[0];
+      const thumbnail = (srcsetUrl?.startsWith('https://') && srcsetUrl) ||
+                        this.extractImageSrc($img) ||
+                        `https://ui-avatars.com/api/?name=${encodeURIComponent(name)}&background=random&size=120`;
+
+      profiles.push({
+        kind: ITEM_KINDS.PROFILE,
+        thumbnail,
+        user: name,
+        description: $el.find('p').first().text().trim(),
+        url: this.absoluteUrl(href)
+      });
+    });
+
+    return profiles;
+  }
+
+  parseVideoObjects($) {
+    const videos = [];
+
+    this.selectors.all($, 'jsonLd').each((i, el) => {
+      try {
+        const data = JSON.parse($(el).text());
+        // Snapchat emits either a single VideoObject or an array of them
+        for (const entry of Array.isArray(data) ? data : [data]) {
+          if (entry?.['@type'] === 'VideoObject') videos.push(entry);
+        }
+      } catch {
+        // Ignore malformed structured data
+      }
+    });
+
+    return videos;
+  }
+
+  videoObjectToItem(video, username) {
+    const creator = video.creator?.alternateName || video.creator?.name || username;
+
+    return {
+      kind: ITEM_KINDS.SPOTLIGHT,
+      thumbnail: video.thumbnailUrl,
+      user: creator,
+      description: video.name || video.description,
+      views: video.interactionStatistic?.find((stat) => stat['@type'] === 'InteractionCounter')?.userInteractionCount,
+      comments: null,
+      shares: null,
+      url: video.url || `${BASE_URL}/@${creator}/spotlight/${video.identifier}`,
+      publishedAt: video.uploadDate
+    };
+  }
+
+  extractSpotlightLink($, element, username) {
     const $el = $(element);
-    
-    // Multiple strategies for finding images
-    const thumbnail = $el.find('img').first().attr('src') || 
-                     $el.find('[style*="background-image"]').first().css('background-image')?.match(/url\("?([^"]*)"?\)/)?.[1] ||
-                     $el.attr('data-thumbnail');
+    const linkText = $el.text().trim();
+    const [views, comments, shares] = (linkText.match(/\d+[kK]?/g) || []).slice(0, 3);
+    const href = $el.attr('href');
 
-    // Multiple strategies for text content
-    const description = $el.find('[class*="description"], [class*="text"], p').first().text().trim() ||
-                       $el.text().trim().slice(0, 100);
+    // Look for images in various possible locations
+    let $img = $el.find('img').first();
+    if ($img.length === 0) $img = $el.closest('div').find('img').first();
+    if ($img.length === 0) $img = $el.parent().find('img').first();
 
-    const user = $el.find('[class*="profile"], [class*="user"], [class*="author"]').first().text().trim();
-    
-    const title = type === 'story' ? 
-                  $el.find('[class*="title"], [class*="topic"], h1, h2, h3').first().text().trim() :
-                  null;
+    const description = linkText.replace(/\d+[kK]?\s*/g, '').trim() ||
+                        $el.attr('aria-label') ||
+                        $el.find('p, span, div').first().text().trim();
 
-    return { thumbnail, description, user, title };
+    return {
+      kind: ITEM_KINDS.SPOTLIGHT,
+      thumbnail: this.extractImageSrc($img),
+      user: href?.match(/@([^/?]+)/)?.[1] || username,
+      description,
+      views,
+      comments,
+      shares,
+      url: this.absoluteUrl(href)
+    };
   }
 
-  findWithFallback($, selectors, attr) {
-    for (const selector of selectors) {
-      const element = $(selector);
-      if (element.length > 0) {
-        return attr === 'text' ? element.text().trim() : element.attr(attr);
+  extractStoryCard($, element, username) {
+    const $el = $(element);
+    const tagName = element.tagName?.toLowerCase();
+    let storyTitle = '';
+    let thumbnail = null;
+
+    if (tagName === 'a') {
+      storyTitle = $el.text().trim();
+      thumbnail = this.extractImageSrc($el.find('img').first());
+    } else if (tagName === 'img') {
+      thumbnail = this.extractImageSrc($el);
+
+      // Look for a title in the parent containers
+      let $container = $el.closest('div, a, article');
+      for (let depth = 0; depth < 3 && $container.length > 0; depth++) {
+        const text = $container.find('h1, h2, h3, h4, h5, h6, p, span').first().text().trim();
+        if (text) {
+          storyTitle = text;
+          break;
+        }
+        $container = $container.parent();
       }
     }
-    return null;
+
+    // Skip empty titles and UI elements such as sort options
+    if (!storyTitle || storyTitle.length < 3) return null;
+    if (/recent|sort/i.test(storyTitle)) return null;
+
+    const href = tagName === 'a' ? $el.attr('href') : null;
+    const storyUrl = href
+      ? this.absoluteUrl(href)
+      : `${BASE_URL}/@${username}/story/${this.createUrlSlug(storyTitle)}`;
+
+    return {
+      kind: ITEM_KINDS.STORY,
+      thumbnail: thumbnail ||
+        `https://ui-avatars.com/api/?name=${encodeURIComponent(storyTitle.slice(0, 2))}&background=fffc00&color=000&size=200`,
+      user: username,
+      description: storyTitle,
+      url: storyUrl
+    };
   }
 
-  extractNestedValue(obj, paths) {
-    for (const path of paths) {
-      try {
-        const value = path.split('.').reduce((o, key) => o?.[key], obj);
-        if (value !== undefined && value !== null) return value;
-      } catch (e) {
-        continue;
-      }
+  extractImageSrc($img) {
+    if (!$img || $img.length === 0) return null;
+    return $img.attr('src') || $img.attr('data-src') || $img.attr('data-lazy') || null;
+  }
+
+  absoluteUrl(href) {
+    if (!href) return null;
+    try {
+      return new URL(href, BASE_URL).toString();
+    } catch {
+      return null;
+    }
+  }
+
+  // Slug for story URLs made up from a title; StoryResolver matches stories on it
+  createUrlSlug(title, maxLength = 50) {
+    return title
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '')
+      .slice(0, maxLength) || 'untitled';
+  }
+
+  // Reads the first non-empty attribute (or 'text') from the first matching selector
+  findWithFallback($, group, attrs) {
+    const match = this.selectors.first($, group);
+    if (!match) return null;
+
+    for (const attr of attrs) {
+      const value = attr === 'text' ? match.elements.text().trim() : match.elements.attr(attr);
+      if (value) return value;
     }
     return null;
   }
@@ -210,8 +652,8 @@ class SnapchatScraper {
   // Health check method
   async healthCheck() {
     try {
-      const response = await fetch('https://www.snapchat.com/', { method: 'HEAD' });
-      return response.ok;
+      await this.transport.request(`${BASE_URL}/`, { method: 'HEAD', retries: 0 });
+      return true;
     } catch {
       return false;
     }
@@ -0,0 +1,138 @@
+import cheerio from 'cheerio';
+import { NotFoundError } from './errors.js';
+import { isMediaUrl } from '../../shared/mediaProxy.js';
+import { DEFAULT_LOCALE } from '../../shared/locales.js';
+
+const BASE_URL = 'https://www.snapchat.com';
+
+// Story slugs are the last segment of a `/story/` URL: a Snapchat id or a slug of the title
+export const STORY_SLUG_PATTERN = /^[A-Za-z0-9_-]{1,200}$/;
+
+// How long an image snap stays up, in seconds, as in Snapchat's own player
+export const IMAGE_SNAP_SECONDS = 5;
+
+// Snapchat names media types as enums on newer pages and numbers on older ones
+const VIDEO_SNAP_TYPES = new Set(['SNAP_MEDIA_TYPE_VIDEO', 'SNAP_MEDIA_TYPE_VIDEO_NO_SOUND', 1, 2]);
+
+// Snapchat wraps most scalars as `{ value }`
+function unwrap(value) {
+  return value && typeof value === 'object' && 'value' in value ? value.value : value ?? null;
+}
+
+function parseTimestamp(value) {
+  const seconds = Number(unwrap(value));
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * One snap of a story as the viewer plays it. Snaps whose media isn't on
+ * Snapchat's hosts (shared/mediaProxy.js) are dropped.
+ * @param {Object} snap - An entry of a story's `snapList`
+ * @param {number} index
+ * @returns {{ id: string, type: 'image'|'video', url: string, poster: string|null,
+ *   duration: number|null, publishedAt: string|null }|null} `duration` in seconds; null for
+ *   videos, which last as long as their media
+ */
+export function normalizeSnap(snap, index) {
+  const url = snap?.snapUrls?.mediaUrl;
+  if (!isMediaUrl(url)) return null;
+
+  const type = VIDEO_SNAP_TYPES.has(snap.snapMediaType) ? 'video' : 'image';
+  const poster = unwrap(snap.snapUrls.mediaPreviewUrl);
+  return {
+    id: String(unwrap(snap.snapId) ?? snap.snapIndex ?? index),
+    type,
+    url,
+    poster: isMediaUrl(poster) ? poster : null,
+    duration: type === 'image' ? IMAGE_SNAP_SECONDS : null,
+    publishedAt: parseTimestamp(snap.timestampInSec)
+  };
+}
+
+/**
+ * Fetches the snaps of a creator's story so the client can play them in
+ * order. Story cards only carry a title and thumbnail, and their URLs are
+ * often made up from the title, so the story is looked up in the data behind
+ * the Stories tab first and on its own page after that. Results are cached
+ * under `story:<username>:<slug>:<locale>` for as long as stories are.
+ */
+class StoryResolver {
+  /**
+   * @param {Object} options
+   * @param {import('./SnapchatScraper.js').default} options.scraper - Fetches pages (transport, drift checks)
+   * @param {import('./cache/TieredCache.js').default} [options.cache] - Defaults to the scraper's cache
+   * @param {import('./SelectorRegistry.js').default} [options.selectors] - Defaults to the scraper's selectors
+   */
+  constructor({ scraper, cache = scraper.cache, selectors = scraper.selectors }) {
+    this.scraper = scraper;
+    this.cache = cache;
+    this.selectors = selectors;
+  }
+
+  storyUrl(username, slug) {
+    return `${BASE_URL}/@${username}/story/${slug}`;
+  }
+
+  /**
+   * @param {string} username
+   * @param {string} slug - Last segment of the story item's URL
+   * @param {Object} [options]
+   * @param {string} [options.locale]
+   * @returns {Promise<{ username: string, id: string, title: string|null, snaps: Object[] }>}
+   *   Snaps in playing order, see normalizeSnap
+   * @throws {NotFoundError} When neither the Stories tab nor a story page has the story
+   */
+  async resolveStory(username, slug, { locale = DEFAULT_LOCALE } = {}) {
+    return this.cache.wrap(`story:${username}:${slug}:${locale}`, 'stories', async () => {
+      const tabHtml = await this.scraper.fetchPage(this.scraper.tabUrl(username, 'Stories', null, locale), { locale });
+      let story = this.findStory(this.parseStories(tabHtml), slug);
+
+      if (!story) {
+        // Links to a story's own page name it by id, which the tab data may not list
+        const html = await this.scraper.fetchPage(this.storyUrl(username, slug), { locale });
+        story = this.parseStories(html).find((candidate) => candidate.snaps.length > 0) || null;
+      }
+      if (!story || story.snaps.length === 0) {
+        throw new NotFoundError(`No story ${slug} for @${username}`);
+      }
+      return { username, ...story };
+    });
+  }
+
+  // A story matches on its id or, for URLs made up from the title, on the title's slug
+  findStory(stories, slug) {
+    return stories.find((story) => story.snaps.length > 0 &&
+      (story.id === slug || (story.title && this.scraper.createUrlSlug(story.title) === slug))) || null;
+  }
+
+  /**
+   * Every story in a page's __NEXT_DATA__: the creator's current public story and their highlights.
+   * @param {string} html
+   * @returns {Array<{ id: string|null, title: string|null, snaps: Object[] }>}
+   */
+  parseStories(html) {
+    const nextData = this.readNextData(cheerio.load(html));
+    if (!nextData) return [];
+
+    const current = this.selectors.resolve(nextData, 'stories.current', { track: false });
+    const highlights = this.selectors.resolve(nextData, 'stories.highlights', { track: false });
+    return [current, ...(Array.isArray(highlights) ? highlights : [])]
+      .filter((story) => Array.isArray(story?.snapList))
+      .map((story) => ({
+        id: unwrap(story.storyId) === null ? null : String(unwrap(story.storyId)),
+        title: typeof unwrap(story.storyTitle) === 'string' ? unwrap(story.storyTitle) : null,
+        snaps: story.snapList.map(normalizeSnap).filter(Boolean)
+      }));
+  }
+
+  readNextData($) {
+    try {
+      const script = this.selectors.first($, 'profile.nextData');
+      return script ? JSON.parse(script.elements.text()) : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default StoryResolver;
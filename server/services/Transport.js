@@ -0,0 +1,155 @@
+import {
+  BlockedError,
+  NotFoundError,
+  RateLimitedError,
+  UpstreamError
+} from './errors.js';
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Parses a Retry-After header (delta seconds or HTTP date) into milliseconds.
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * HTTP transport for upstream Snapchat requests: per-attempt timeouts,
+ * exponential backoff with full jitter on 429/5xx and network errors,
+ * Retry-After support and a cap on concurrent requests.
+ */
+class Transport {
+  constructor({
+    fetch: fetchImpl = (...args) => fetch(...args),
+    timeoutMs = 10000,
+    retries = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    maxRetryAfterMs = 30000,
+    concurrency = 4,
+    sleep = defaultSleep,
+    random = Math.random
+  } = {}) {
+    this.fetchImpl = fetchImpl;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.maxRetryAfterMs = maxRetryAfterMs;
+    this.concurrency = concurrency;
+    this.sleep = sleep;
+    this.random = random;
+
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Fetches a URL and resolves with a successful Response, or rejects with a
+   * typed ScraperError once retries are exhausted.
+   */
+  async request(url, { retries = this.retries, ...options } = {}) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      let retryAfterMs = null;
+
+      try {
+        const response = await this.withSlot(() => this.attempt(url, options));
+        if (response.ok) return response;
+
+        lastError = this.errorForStatus(url, response);
+        // Release the connection; error bodies are never read
+        await response.body?.cancel().catch(() => {});
+        if (!RETRYABLE_STATUS.has(response.status)) throw lastError;
+
+        retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        if (retryAfterMs !== null && retryAfterMs > this.maxRetryAfterMs) throw lastError;
+      } catch (error) {
+        if (error instanceof NotFoundError || error instanceof BlockedError || error === lastError) {
+          throw error;
+        }
+        if (options.signal?.aborted) throw error;
+
+        lastError = error.name === 'TimeoutError'
+          ? new UpstreamError(`Timed out after ${this.timeoutMs}ms: ${url}`, { code: 'upstream_timeout', status: 504, cause: error })
+          : new UpstreamError(`Request failed: ${url}: ${error.message}`, { cause: error });
+      }
+
+      if (attempt < retries) {
+        await this.sleep(retryAfterMs ?? this.backoffDelay(attempt));
+      }
+    }
+
+    throw lastError;
+  }
+
+  async text(url, options) {
+    const response = await this.request(url, options);
+    return response.text();
+  }
+
+  async attempt(url, { signal, ...options }) {
+    const timeout = AbortSignal.timeout(this.timeoutMs);
+    const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+
+    try {
+      return await this.fetchImpl(url, { ...options, signal: combined });
+    } catch (error) {
+      // Surface our own timeout distinctly from a caller abort
+      if (timeout.aborted && !signal?.aborted) {
+        const timeoutError = new Error(`Request timed out: ${url}`);
+        timeoutError.name = 'TimeoutError';
+        throw timeoutError;
+      }
+      throw error;
+    }
+  }
+
+  errorForStatus(url, response) {
+    const message = `HTTP ${response.status} for ${url}`;
+
+    if (response.status === 404 || response.status === 410) return new NotFoundError(message);
+    if (response.status === 403 || response.status === 451) return new BlockedError(message);
+    if (response.status === 429) {
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      return new RateLimitedError(message, {
+        retryAfter: retryAfterMs === null ? null : Math.ceil(retryAfterMs / 1000)
+      });
+    }
+    return new UpstreamError(message);
+  }
+
+  // Full jitter: a random delay between 0 and the exponential cap
+  backoffDelay(attempt) {
+    const cap = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(this.random() * cap);
+  }
+
+  async withSlot(task) {
+    if (this.active >= this.concurrency) {
+      // The finishing request hands its slot over directly
+      await new Promise((resolve) => this.queue.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.queue.shift();
+      if (next) next();
+      else this.active--;
+    }
+  }
+}
+
+export default Transport;
@@ -0,0 +1,164 @@
+import { mkdir, readFile, readdir, rm, writeFile, rename } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+export const DEFAULT_CACHE_DIR = process.env.SNAP_CACHE_DIR || join(tmpdir(), 'snap-clone-cache');
+export const DEFAULT_MAX_BYTES = Number(process.env.SNAP_CACHE_MAX_BYTES) || 256 * 1024 * 1024;
+
+/**
+ * Disk-backed cache tier so warm data survives restarts.
+ * Each entry is one JSON file named after the SHA-256 of its key. The total
+ * is bounded by `maxBytes`, least recently used entries going first, and a
+ * sweep every `sweepInterval` seconds removes entries `retention` seconds
+ * past their stale window (kept that long for the sitemap and search).
+ */
+class FileCache {
+  constructor({
+    dir = DEFAULT_CACHE_DIR,
+    maxBytes = DEFAULT_MAX_BYTES,
+    retention = 7 * 24 * 60 * 60,
+    sweepInterval = 10 * 60,
+    now = () => Date.now()
+  } = {}) {
+    this.name = 'disk';
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.retention = retention;
+    this.sweepInterval = sweepInterval;
+    this.now = now;
+    // key -> { size, staleUntil }, least recently used first
+    this.index = new Map();
+    this.size = 0;
+    this.ready = null;
+    this.sweeper = null;
+  }
+
+  pathFor(key) {
+    return join(this.dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  // Entries left by earlier processes count towards the limit, oldest first
+  async load() {
+    this.ready ??= (async () => {
+      let files = [];
+      try {
+        await mkdir(this.dir, { recursive: true });
+        files = await readdir(this.dir);
+      } catch (error) {
+        // Writes fail on their own and TieredCache carries on with the other tiers
+        console.warn(`Cache directory ${this.dir} is unusable:`, error.message);
+      }
+
+      const records = [];
+      for (const file of files) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          const text = await readFile(join(this.dir, file), 'utf8');
+          const { key, entry } = JSON.parse(text);
+          records.push({ key, entry, size: Buffer.byteLength(text) });
+        } catch {
+          // Removed or rewritten while loading
+        }
+      }
+      records.sort((a, b) => a.entry.storedAt - b.entry.storedAt);
+      for (const { key, entry, size } of records) this.track(key, entry, size);
+
+      this.sweeper = setInterval(() => {
+        this.sweep().catch((error) => console.warn('Cache sweep failed:', error.message));
+      }, this.sweepInterval * 1000);
+      this.sweeper.unref();
+      await this.sweep();
+      await this.evict();
+    })();
+    return this.ready;
+  }
+
+  track(key, entry, size) {
+    this.untrack(key);
+    this.index.set(key, { size, staleUntil: entry.staleUntil });
+    this.size += size;
+  }
+
+  untrack(key) {
+    const previous = this.index.get(key);
+    if (!previous) return;
+    this.index.delete(key);
+    this.size -= previous.size;
+  }
+
+  async get(key) {
+    await this.load();
+    try {
+      const text = await readFile(this.pathFor(key), 'utf8');
+      const record = JSON.parse(text);
+      if (record.key !== key) return undefined;
+      // Touch: move to the most recently used end
+      this.track(key, record.entry, Buffer.byteLength(text));
+      return record.entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable cache entry for ${key}:`, error.message);
+      }
+      this.untrack(key);
+      return undefined;
+    }
+  }
+
+  async set(key, entry) {
+    await this.load();
+
+    // Write to a temp file first so readers never see a partial entry
+    const path = this.pathFor(key);
+    const tempPath = `${path}.${process.pid}.tmp`;
+    const text = JSON.stringify({ key, entry });
+    await writeFile(tempPath, text);
+    await rename(tempPath, path);
+    this.track(key, entry, Buffer.byteLength(text));
+    await this.evict();
+  }
+
+  async delete(key) {
+    this.untrack(key);
+    await rm(this.pathFor(key), { force: true });
+  }
+
+  async evict() {
+    for (const key of this.index.keys()) {
+      if (this.size <= this.maxBytes) break;
+      await this.delete(key);
+    }
+  }
+
+  /** Removes entries more than `retention` seconds past their stale window. */
+  async sweep() {
+    const cutoff = this.now() - this.retention * 1000;
+    for (const [key, { staleUntil }] of [...this.index]) {
+      if (staleUntil < cutoff) await this.delete(key);
+    }
+  }
+
+  async clear() {
+    clearInterval(this.sweeper);
+    await rm(this.dir, { recursive: true, force: true });
+    this.index.clear();
+    this.size = 0;
+    this.ready = null;
+  }
+
+  // Keys come from the index, so only the files of matching keys are read
+  async *scan({ prefix = '' } = {}) {
+    await this.load();
+    for (const key of [...this.index.keys()]) {
+      if (!key.startsWith(prefix)) continue;
+      try {
+        const record = JSON.parse(await readFile(this.pathFor(key), 'utf8'));
+        if (record.key === key) yield [key, record.entry];
+      } catch {
+        // Skip entries removed or rewritten while scanning
+      }
+    }
+  }
+}
+
+export default FileCache;
@@ -0,0 +1,232 @@
+import { createWriteStream } from 'fs';
+import { mkdir, readFile, readdir, rename, rm, stat, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { Transform } from 'stream';
+import { finished } from 'stream/promises';
+import { DEFAULT_CACHE_DIR } from './FileCache.js';
+
+export const DEFAULT_MEDIA_CACHE_DIR = process.env.SNAP_MEDIA_CACHE_DIR || join(DEFAULT_CACHE_DIR, 'media');
+export const DEFAULT_MAX_BYTES = Number(process.env.SNAP_MEDIA_CACHE_MAX_BYTES) || 512 * 1024 * 1024;
+
+/**
+ * Disk cache for proxied media bodies, bounded by total size. Each entry is a
+ * body file plus a JSON sidecar named after the SHA-256 of the upstream URL;
+ * once the total passes `maxBytes` the least recently used entries go first.
+ * Bodies larger than `maxEntryBytes` are never stored.
+ */
+class MediaFileCache {
+  constructor({
+    dir = DEFAULT_MEDIA_CACHE_DIR,
+    maxBytes = DEFAULT_MAX_BYTES,
+    maxEntryBytes = Math.min(64 * 1024 * 1024, maxBytes),
+    ttl = 24 * 60 * 60,
+    now = () => Date.now()
+  } = {}) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.maxEntryBytes = maxEntryBytes;
+    this.ttl = ttl;
+    this.now = now;
+    // hash -> { size, storedAt }, least recently used first
+    this.index = new Map();
+    this.size = 0;
+    this.ready = null;
+    this.writes = 0;
+  }
+
+  hash(url) {
+    return createHash('sha256').update(url).digest('hex');
+  }
+
+  // Entries left by earlier processes count towards the limit, oldest first
+  async load() {
+    this.ready ??= (async () => {
+      await mkdir(this.dir, { recursive: true });
+      const entries = [];
+      for (const file of await readdir(this.dir)) {
+        if (file.endsWith('.tmp')) {
+          // Left by a process that stopped mid-download; recent ones may still be in use
+          const temp = await stat(join(this.dir, file)).catch(() => null);
+          if (temp && this.now() - temp.mtimeMs > this.ttl * 1000) await rm(join(this.dir, file), { force: true });
+          continue;
+        }
+        if (!file.endsWith('.json')) continue;
+        try {
+          const meta = JSON.parse(await readFile(join(this.dir, file), 'utf8'));
+          const body = await stat(join(this.dir, `${file.slice(0, -'.json'.length)}.bin`));
+          entries.push([file.slice(0, -'.json'.length), { size: body.size, storedAt: meta.storedAt }]);
+        } catch {
+          // A sidecar without its body; removed on the next eviction pass
+        }
+      }
+      entries.sort(([, a], [, b]) => a.storedAt - b.storedAt);
+      for (const [hash, entry] of entries) this.track(hash, entry);
+    })();
+    return this.ready;
+  }
+
+  track(hash, entry) {
+    const previous = this.index.get(hash);
+    if (previous) {
+      this.size -= previous.size;
+      this.index.delete(hash);
+    }
+    this.index.set(hash, entry);
+    this.size += entry.size;
+  }
+
+  paths(hash) {
+    return { body: join(this.dir, `${hash}.bin`), meta: join(this.dir, `${hash}.json`) };
+  }
+
+  /**
+   * @param {string} url - Upstream URL
+   * @returns {Promise<{ path: string, type: string, size: number }|null>} The stored body, or null
+   */
+  async get(url) {
+    await this.load();
+    const hash = this.hash(url);
+    const entry = this.index.get(hash);
+    if (!entry) return null;
+
+    if (this.now() - entry.storedAt > this.ttl * 1000) {
+      await this.remove(hash);
+      return null;
+    }
+
+    const { body, meta } = this.paths(hash);
+    try {
+      const record = JSON.parse(await readFile(meta, 'utf8'));
+      if (record.url !== url) return null;
+      // Touch: move to the most recently used end
+      this.index.delete(hash);
+      this.index.set(hash, entry);
+      return { path: body, type: record.type, size: entry.size };
+    } catch {
+      await this.remove(hash);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a body in one go, e.g. a rewritten playlist.
+   * @param {string} url
+   * @param {{ type: string, body: Buffer }} entry
+   */
+  async set(url, { type, body }) {
+    if (body.length > this.maxEntryBytes) return;
+    await this.load();
+    const hash = this.hash(url);
+    const temp = this.tempPath(hash);
+    await writeFile(temp, body);
+    await this.commit(url, hash, temp, { type, size: body.length });
+  }
+
+  /**
+   * Passes a body through while writing it to disk; the entry is stored once
+   * the stream ends. Bodies that turn out too large, or streams that fail,
+   * leave nothing behind.
+   * @param {string} url
+   * @param {{ type: string, length: number|null }} info - `length` from Content-Length when known
+   * @returns {import('stream').Transform}
+   */
+  capture(url, { type, length }) {
+    const hash = this.hash(url);
+    const temp = this.tempPath(hash);
+    let file = null;
+    let written = 0;
+    let skipped = length !== null && length > this.maxEntryBytes;
+
+    const discard = () => {
+      skipped = true;
+      if (!file) return;
+      file.destroy();
+      file = null;
+      rm(temp, { force: true }).catch(() => {});
+    };
+
+    const cache = this;
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        if (!skipped) {
+          written += chunk.length;
+          if (written > cache.maxEntryBytes) {
+            discard();
+          } else {
+            if (!file) {
+              file = createWriteStream(temp);
+              // A full disk costs the cache entry, not the response
+              file.on('error', discard);
+            }
+            file.write(chunk);
+          }
+        }
+        callback(null, chunk);
+      },
+      flush(callback) {
+        if (skipped || !file || (length !== null && written !== length)) {
+          discard();
+          callback();
+          return;
+        }
+        // The response ends once the entry is stored, so the next request finds it
+        const output = file;
+        file = null;
+        output.end();
+        finished(output)
+          .then(() => cache.load())
+          .then(() => cache.commit(url, hash, temp, { type, size: written }))
+          .catch((error) => {
+            console.warn(`Could not cache media ${url}:`, error.message);
+            rm(temp, { force: true }).catch(() => {});
+          })
+          .finally(() => callback());
+      },
+      destroy(error, callback) {
+        discard();
+        callback(error);
+      }
+    });
+  }
+
+  tempPath(hash) {
+    return join(this.dir, `${hash}.${process.pid}.${++this.writes}.tmp`);
+  }
+
+  async commit(url, hash, temp, { type, size }) {
+    await mkdir(this.dir, { recursive: true });
+    const { body, meta } = this.paths(hash);
+    const storedAt = this.now();
+    await rename(temp, body);
+    await writeFile(meta, JSON.stringify({ url, type, storedAt }));
+    this.track(hash, { size, storedAt });
+    await this.evict();
+  }
+
+  async evict() {
+    for (const hash of this.index.keys()) {
+      if (this.size <= this.maxBytes) break;
+      await this.remove(hash);
+    }
+  }
+
+  async remove(hash) {
+    const entry = this.index.get(hash);
+    if (entry) {
+      this.index.delete(hash);
+      this.size -= entry.size;
+    }
+    const { body, meta } = this.paths(hash);
+    await Promise.all([rm(body, { force: true }), rm(meta, { force: true })]);
+  }
+
+  async clear() {
+    await rm(this.dir, { recursive: true, force: true });
+    this.index.clear();
+    this.size = 0;
+    this.ready = null;
+  }
+}
+
+export default MediaFileCache;
@@ -0,0 +1,50 @@
+/**
+ * In-process LRU cache tier. Entries are `{ value, storedAt, changedAt, expiresAt, staleUntil }`
+ * records produced by TieredCache; this tier only stores and evicts them.
+ */
+class MemoryCache {
+  constructor({ maxEntries = 500 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    // Re-insert so Map order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async *scan({ prefix = '' } = {}) {
+    for (const [key, entry] of [...this.entries]) {
+      if (key.startsWith(prefix)) yield [key, entry];
+    }
+  }
+
+  size() {
+    return this.entries.size;
+  }
+}
+
+export default MemoryCache;
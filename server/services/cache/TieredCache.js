@@ -0,0 +1,188 @@
+import { isDeepStrictEqual } from 'util';
+import MemoryCache from './MemoryCache.js';
+import FileCache from './FileCache.js';
+
+/**
+ * Per-resource freshness, in seconds. `ttl` is how long an entry is served as
+ * fresh; for `staleWhileRevalidate` more seconds it is still served instantly
+ * while a background refresh runs.
+ */
+export const DEFAULT_POLICIES = {
+  profile: { ttl: 60 * 60, staleWhileRevalidate: 24 * 60 * 60 },
+  stories: { ttl: 5 * 60, staleWhileRevalidate: 15 * 60 },
+  spotlight: { ttl: 10 * 60, staleWhileRevalidate: 60 * 60 },
+  lenses: { ttl: 6 * 60 * 60, staleWhileRevalidate: 24 * 60 * 60 },
+  tagged: { ttl: 10 * 60, staleWhileRevalidate: 60 * 60 },
+  related: { ttl: 6 * 60 * 60, staleWhileRevalidate: 24 * 60 * 60 },
+  // Media URLs are signed and expire, so they are never served stale
+  media: { ttl: 30 * 60, staleWhileRevalidate: 0 },
+  default: { ttl: 5 * 60, staleWhileRevalidate: 0 }
+};
+
+/**
+ * Read-through cache over an ordered list of tiers (fastest first).
+ *
+ * Lookups walk the tiers and promote hits into the faster ones. Fresh entries
+ * are returned directly, stale ones are returned while `load` refreshes them
+ * in the background, and concurrent misses for a key share a single load.
+ */
+class TieredCache {
+  constructor({
+    tiers = [new MemoryCache(), new FileCache()],
+    policies = DEFAULT_POLICIES,
+    now = () => Date.now()
+  } = {}) {
+    this.tiers = tiers;
+    this.policies = { ...DEFAULT_POLICIES, ...policies };
+    this.now = now;
+    this.inflight = new Map();
+    this.counters = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      refreshes: 0,
+      refreshErrors: 0,
+      tierHits: Object.fromEntries(tiers.map((tier) => [tier.name, 0]))
+    };
+  }
+
+  /**
+   * Returns the cached value for `key`, calling `load()` on a miss.
+   * @param {string} key
+   * @param {string} resource - Policy name from DEFAULT_POLICIES
+   * @param {() => Promise<*>} load
+   */
+  async wrap(key, resource, load) {
+    const found = await this.lookup(key);
+
+    if (found) {
+      const { entry } = found;
+      const now = this.now();
+
+      if (now < entry.expiresAt) {
+        this.counters.hits++;
+        return entry.value;
+      }
+      if (now < entry.staleUntil) {
+        this.counters.staleHits++;
+        this.refresh(key, resource, load).catch((error) => {
+          this.counters.refreshErrors++;
+          console.warn(`Background refresh failed for ${key}:`, error.message);
+        });
+        return entry.value;
+      }
+    }
+
+    this.counters.misses++;
+    return this.refresh(key, resource, load);
+  }
+
+  /** Loads and stores a value, sharing the in-flight promise between callers. */
+  refresh(key, resource, load) {
+    if (this.inflight.has(key)) return this.inflight.get(key);
+
+    const promise = (async () => {
+      try {
+        const value = await load();
+        await this.set(key, resource, value);
+        return value;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+
+    this.inflight.set(key, promise);
+    this.counters.refreshes++;
+    return promise;
+  }
+
+  async lookup(key) {
+    for (let i = 0; i < this.tiers.length; i++) {
+      const entry = await this.tiers[i].get(key);
+      if (!entry) continue;
+
+      if (this.now() >= entry.staleUntil) {
+        await this.tiers[i].delete(key);
+        continue;
+      }
+
+      this.counters.tierHits[this.tiers[i].name]++;
+      await Promise.all(this.tiers.slice(0, i).map((tier) => tier.set(key, entry)));
+      return { entry, tier: this.tiers[i].name };
+    }
+    return null;
+  }
+
+  async set(key, resource, value) {
+    const policy = this.policies[resource] || this.policies.default;
+    const storedAt = this.now();
+    const expiresAt = storedAt + policy.ttl * 1000;
+
+    // Refreshes that return the same value keep the time it last changed
+    let previous;
+    for (const tier of this.tiers) {
+      previous = await tier.get(key);
+      if (previous) break;
+    }
+    const unchanged = previous && isDeepStrictEqual(previous.value, value);
+
+    const entry = {
+      value,
+      resource,
+      storedAt,
+      changedAt: unchanged ? previous.changedAt ?? previous.storedAt : storedAt,
+      expiresAt,
+      staleUntil: expiresAt + policy.staleWhileRevalidate * 1000
+    };
+
+    const results = await Promise.allSettled(this.tiers.map((tier) => tier.set(key, entry)));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.warn(`Cache tier ${this.tiers[i].name} failed to store ${key}:`, result.reason?.message);
+      }
+    });
+  }
+
+  async delete(key) {
+    await Promise.all(this.tiers.map((tier) => tier.delete(key)));
+  }
+
+  async clear() {
+    await Promise.all(this.tiers.map((tier) => tier.clear()));
+  }
+
+  /**
+   * Iterates entries across all tiers (each key once, fastest tier wins).
+   * @param {Object} [options]
+   * @param {boolean} [options.includeExpired] - Also yield entries past their stale window
+   *   that a tier still holds
+   * @param {string} [options.prefix] - Only keys starting with this, e.g. `profile:`; tiers
+   *   skip reading the others
+   * @returns {AsyncGenerator<[string, Object]>}
+   */
+  async *entries({ includeExpired = false, prefix = '' } = {}) {
+    const seen = new Set();
+    for (const tier of this.tiers) {
+      for await (const [key, entry] of tier.scan({ prefix })) {
+        if (seen.has(key) || (!includeExpired && this.now() >= entry.staleUntil)) continue;
+        seen.add(key);
+        yield [key, entry];
+      }
+    }
+  }
+
+  stats() {
+    const { hits, staleHits, misses } = this.counters;
+    const lookups = hits + staleHits + misses;
+
+    return {
+      ...this.counters,
+      tierHits: { ...this.counters.tierHits },
+      hitRate: lookups === 0 ? null : Number(((hits + staleHits) / lookups).toFixed(3)),
+      memoryEntries: this.tiers.find((tier) => tier.name === 'memory')?.size() ?? null,
+      inflight: this.inflight.size
+    };
+  }
+}
+
+export default TieredCache;
@@ -0,0 +1,45 @@
+/**
+ * Typed errors raised by the scraping layer. Each carries the HTTP status the
+ * API should answer with, so routes can surface upstream failures faithfully.
+ */
+
+export class ScraperError extends Error {
+  constructor(message, { code = 'upstream_error', status = 502, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/** The requested profile or page does not exist on Snapchat. */
+export class NotFoundError extends ScraperError {
+  constructor(message, options = {}) {
+    super(message, { code: 'not_found', status: 404, ...options });
+  }
+}
+
+/** Snapchat kept answering 429; `retryAfter` is in seconds when known. */
+export class RateLimitedError extends ScraperError {
+  constructor(message, { retryAfter = null, ...options } = {}) {
+    super(message, { code: 'rate_limited', status: 429, ...options });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** Snapchat refused the request (403/451 or a bot challenge page). */
+export class BlockedError extends ScraperError {
+  constructor(message, options = {}) {
+    super(message, { code: 'upstream_blocked', status: 503, ...options });
+  }
+}
+
+/** The page was fetched but did not contain the structure the parser expects. */
+export class ParseFailureError extends ScraperError {
+  constructor(message, options = {}) {
+    super(message, { code: 'parse_failure', status: 502, ...options });
+  }
+}
+
+/** Network failures, timeouts and 5xx responses that outlived every retry. */
+export class UpstreamError extends ScraperError {}
@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TieredCache from '../services/cache/TieredCache.js';
+import MemoryCache from '../services/cache/MemoryCache.js';
+import FileCache from '../services/cache/FileCache.js';
+
+const policies = { profile: { ttl: 60, staleWhileRevalidate: 600 } };
+
+function createClock(start = 0) {
+  const clock = { time: start, now: () => clock.time };
+  return clock;
+}
+
+test('serves fresh entries without reloading', async () => {
+  const clock = createClock();
+  const cache = new TieredCache({ tiers: [new MemoryCache()], policies, now: clock.now });
+  let loads = 0;
+  const load = async () => ++loads;
+
+  assert.equal(await cache.wrap('profile:a', 'profile', load), 1);
+  clock.time += 30 * 1000;
+  assert.equal(await cache.wrap('profile:a', 'profile', load), 1);
+  assert.deepEqual([cache.stats().hits, cache.stats().misses], [1, 1]);
+});
+
+test('returns stale entries while refreshing in the background', async () => {
+  const clock = createClock();
+  const cache = new TieredCache({ tiers: [new MemoryCache()], policies, now: clock.now });
+  let loads = 0;
+  const load = async () => ++loads;
+
+  await cache.wrap('profile:a', 'profile', load);
+  clock.time += 120 * 1000;
+
+  assert.equal(await cache.wrap('profile:a', 'profile', load), 1);
+  await cache.inflight.get('profile:a');
+  assert.equal(await cache.wrap('profile:a', 'profile', load), 2);
+  assert.equal(cache.stats().staleHits, 1);
+});
+
+test('reloads once entries are past the stale window', async () => {
+  const clock = createClock();
+  const cache = new TieredCache({ tiers: [new MemoryCache()], policies, now: clock.now });
+  let loads = 0;
+  const load = async () => ++loads;
+
+  await cache.wrap('profile:a', 'profile', load);
+  clock.time += 700 * 1000;
+  assert.equal(await cache.wrap('profile:a', 'profile', load), 2);
+});
+
+test('shares one load between concurrent misses', async () => {
+  const cache = new TieredCache({ tiers: [new MemoryCache()], policies });
+  let loads = 0;
+  const load = async () => {
+    loads++;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    return 'value';
+  };
+
+  await Promise.all([1, 2, 3].map(() => cache.wrap('profile:a', 'profile', load)));
+  assert.equal(loads, 1);
+});
+
+test('changedAt only moves when a refresh returns a different value', async () => {
+  const clock = createClock();
+  const cache = new TieredCache({ tiers: [new MemoryCache()], policies, now: clock.now });
+  const entry = async () => (await cache.lookup('profile:a')).entry;
+
+  await cache.set('profile:a', 'profile', { name: 'A' });
+  clock.time += 1000;
+  await cache.set('profile:a', 'profile', { name: 'A' });
+  assert.deepEqual([(await entry()).storedAt, (await entry()).changedAt], [1000, 0]);
+
+  clock.time += 1000;
+  await cache.set('profile:a', 'profile', { name: 'B' });
+  assert.equal((await entry()).changedAt, 2000);
+});
+
+test('disk tier survives a new cache instance and promotes into memory', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'snap-cache-test-'));
+  try {
+    const first = new TieredCache({ tiers: [new MemoryCache(), new FileCache({ dir })], policies });
+    await first.wrap('profile:a', 'profile', async () => ({ title: 'A' }));
+
+    const memory = new MemoryCache();
+    const second = new TieredCache({ tiers: [memory, new FileCache({ dir })], policies });
+    const value = await second.wrap('profile:a', 'profile', async () => assert.fail('should not reload'));
+
+    assert.deepEqual(value, { title: 'A' });
+    assert.equal(second.stats().tierHits.disk, 1);
+    assert.equal(memory.size(), 1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('memory tier evicts the least recently used entry', async () => {
+  const memory = new MemoryCache({ maxEntries: 2 });
+  await memory.set('a', 1);
+  await memory.set('b', 2);
+  await memory.get('a');
+  await memory.set('c', 3);
+
+  assert.equal(await memory.get('b'), undefined);
+  assert.equal(await memory.get('a'), 1);
+});
+
+test('disk tier stays under its size limit and sweeps long-expired entries', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'snap-cache-test-'));
+  try {
+    const clock = createClock(Date.now());
+    const entry = (value) => ({ value, storedAt: clock.time, expiresAt: clock.time + 1000, staleUntil: clock.time + 2000 });
+    const entrySize = Buffer.byteLength(JSON.stringify({ key: 'profile:a', entry: entry('x'.repeat(100)) }));
+    const disk = new FileCache({ dir, maxBytes: entrySize * 4, retention: 60, now: clock.now });
+
+    for (const key of ['a', 'b', 'c', 'd']) await disk.set(`profile:${key}`, entry('x'.repeat(100)));
+    await disk.get('profile:a');
+    await disk.set('profile:e', entry('x'.repeat(100)));
+
+    assert.equal(disk.size, entrySize * 4);
+    assert.equal(await disk.get('profile:b'), undefined);
+    assert.ok(await disk.get('profile:a'));
+
+    // Past the stale window entries stay for `retention` seconds, then go
+    clock.time += 30 * 1000;
+    await disk.sweep();
+    assert.ok(await disk.get('profile:e'));
+    clock.time += 60 * 1000;
+    await disk.sweep();
+    assert.equal(await disk.get('profile:e'), undefined);
+    assert.equal(disk.index.size, 0);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('disk tier counts entries left by an earlier process', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'snap-cache-test-'));
+  try {
+    const entry = { value: 'x'.repeat(100), storedAt: 0, expiresAt: Date.now() + 60000, staleUntil: Date.now() + 60000 };
+    const first = new FileCache({ dir });
+    for (const key of ['a', 'b', 'c']) await first.set(`profile:${key}`, { ...entry, storedAt: key.charCodeAt(0) });
+
+    const reopened = new FileCache({ dir, maxBytes: first.size - 1 });
+    await reopened.load();
+    assert.deepEqual([...reopened.index.keys()], ['profile:b', 'profile:c']);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('entries can be limited to a key prefix', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'snap-cache-test-'));
+  try {
+    const cache = new TieredCache({ tiers: [new MemoryCache(), new FileCache({ dir })], policies });
+    await cache.set('profile:a:en-US', 'profile', { username: 'a' });
+    await cache.set('tab:a:Spotlight:en-US', 'spotlight', { items: [] });
+
+    const keys = async (tiers) => {
+      const found = [];
+      for await (const [key] of new TieredCache({ tiers, policies }).entries({ prefix: 'profile:' })) found.push(key);
+      return found;
+    };
+    assert.deepEqual(await keys(cache.tiers), ['profile:a:en-US']);
+    assert.deepEqual(await keys([new FileCache({ dir })]), ['profile:a:en-US']);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
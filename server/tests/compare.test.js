@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareProfiles } from '../routes/compare.js';
+import { NotFoundError, ParseFailureError } from '../services/errors.js';
+import { median, summarizeContent } from '../../shared/contentStats.js';
+
+const NOW = Date.parse('2025-08-15T12:00:00Z');
+const daysAgo = (days) => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+
+test('median of odd and even length lists', () => {
+  assert.equal(median([]), null);
+  assert.equal(median([5, 1, 3]), 3);
+  assert.equal(median([10, 1, 4, 2]), 3);
+});
+
+test('summarizes views and posting activity', () => {
+  const stats = summarizeContent([
+    { views: 100, publishedAt: daysAgo(1) },
+    { views: 300, publishedAt: daysAgo(10) },
+    { views: null, publishedAt: daysAgo(40) },
+    { views: 200, publishedAt: null }
+  ], { now: NOW, weeks: 4 });
+
+  assert.deepEqual(stats, {
+    count: 4,
+    totalViews: 600,
+    medianViews: 200,
+    lastPostedAt: daysAgo(1),
+    postsLast30Days: 2,
+    weeklyPosts: [0, 0, 1, 1]
+  });
+  assert.equal(summarizeContent([{ views: null, publishedAt: null }]).totalViews, null);
+});
+
+test('compares profiles and reports failures per profile', async () => {
+  const scraper = {
+    async fetchProfile(username) {
+      if (username === 'gone') throw new NotFoundError('No such account');
+      return { username: username === 'moon' ? 'Moon' : username, subscriberCount: 10 };
+    },
+    async fetchAllTabItems(username) {
+      if (username === 'quiet') throw new ParseFailureError('Unreadable tab');
+      return [{ views: 5, publishedAt: daysAgo(2) }];
+    }
+  };
+
+  const [moon, quiet, gone] = await compareProfiles(scraper, ['moon', 'quiet', 'gone'], { now: NOW });
+
+  assert.equal(moon.username, 'Moon');
+  assert.equal(moon.spotlight.totalViews, 5);
+  assert.equal(moon.error, null);
+  assert.equal(quiet.profile.subscriberCount, 10);
+  assert.equal(quiet.spotlight, null);
+  assert.deepEqual(gone, { username: 'gone', profile: null, spotlight: null, error: { code: 'not_found', message: 'No such account' } });
+});
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ITEM_KINDS, deriveItemId } from '../../shared/contentItem.js';
+
+test('item ids decode escaped keys and keep malformed ones as written', () => {
+  assert.equal(
+    deriveItemId(ITEM_KINDS.STORY, 'https://www.snapchat.com/@moonlightbae/story/caf%C3%A9'),
+    'story:moonlightbae/café'
+  );
+  assert.equal(
+    deriveItemId(ITEM_KINDS.SPOTLIGHT, 'https://www.snapchat.com/spotlight/abc%E0%A4%A'),
+    'spotlight:abc%E0%A4%A'
+  );
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyContentQuery, contentQueryParams, parseContentQuery } from '../../shared/contentQuery.js';
+import { ITEM_KINDS, createContentItem } from '../../shared/contentItem.js';
+
+const items = [
+  { id: 'a', user: 'moonlightbae', description: 'Full moon #Dance', views: 500, shares: 3, publishedAt: '2025-08-10' },
+  { id: 'b', user: '@djkhaled305', description: 'Studio #dance #music', views: 9000, shares: null, publishedAt: '2025-07-01' },
+  { id: 'c', user: 'moonlightbae', description: 'Glow up', views: null, shares: 10, publishedAt: null }
+].map((raw) => createContentItem({ kind: ITEM_KINDS.SPOTLIGHT, ...raw }));
+
+const ids = (list) => list.map((item) => item.id);
+
+test('sorts by views, date and shares with missing values last', () => {
+  const sorted = (sort) => ids(applyContentQuery(items, parseContentQuery(new URLSearchParams({ sort }))));
+
+  assert.deepEqual(sorted('recent'), ['a', 'b', 'c']);
+  assert.deepEqual(sorted('views'), ['b', 'a', 'c']);
+  assert.deepEqual(sorted('newest'), ['a', 'b', 'c']);
+  assert.deepEqual(sorted('oldest'), ['b', 'a', 'c']);
+  assert.deepEqual(sorted('shares'), ['c', 'a', 'b']);
+  assert.deepEqual(ids(items), ['a', 'b', 'c']);
+});
+
+test('filters by hashtag, creator and minimum views', () => {
+  const filtered = (params) => ids(applyContentQuery(items, parseContentQuery(new URLSearchParams(params))));
+
+  assert.deepEqual(filtered({ tag: '#DANCE' }), ['a', 'b']);
+  assert.deepEqual(filtered({ creator: '@DJKhaled305' }), ['b']);
+  assert.deepEqual(filtered({ tag: 'dance', minViews: '1000' }), ['b']);
+});
+
+test('URLs carry only non-default values', () => {
+  const query = parseContentQuery(new URLSearchParams('sort=bogus&tag=%23Moon&minViews=0'));
+
+  assert.equal(query.sort, 'recent');
+  assert.equal(contentQueryParams(query).toString(), 'tag=moon');
+  assert.throws(() => parseContentQuery(new URLSearchParams('sort=bogus'), { strict: true }), RangeError);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DriftDetector, { compareFingerprint, pageTypeForUrl } from '../services/DriftDetector.js';
+import SelectorRegistry from '../services/SelectorRegistry.js';
+import { loadFixtures } from './helpers/fixtures.js';
+
+const selectors = new SelectorRegistry();
+const fixtures = loadFixtures().filter((fixture) => fixture.meta.username === 'moonlightbae');
+const profile = fixtures.find((fixture) => fixture.name === 'moonlightbae/profile');
+
+test('classifies page types from URLs', () => {
+  assert.equal(pageTypeForUrl('https://www.snapchat.com/@a?locale=en-US'), 'profile');
+  assert.equal(pageTypeForUrl('https://www.snapchat.com/@a?locale=en-US&tab=Spotlight'), 'spotlight');
+  assert.equal(pageTypeForUrl('https://www.snapchat.com/@a/spotlight/W7_abc'), 'spotlight-video');
+});
+
+test('the stored baseline matches the fixture corpus', () => {
+  const drift = new DriftDetector({ selectors, onDrift: (report) => assert.fail(report.changes[0].message) });
+
+  for (const fixture of fixtures) {
+    const report = drift.check(fixture.meta.url, fixture.html);
+    assert.deepEqual(report.changes.filter((change) => change.severity !== 'info'), [], fixture.name);
+  }
+  assert.equal(drift.report().status, 'ok');
+});
+
+test('a renamed __NEXT_DATA__ subtree is critical', () => {
+  const drift = new DriftDetector({ selectors, baselines: {} });
+  const baseline = drift.check(profile.meta.url, profile.html);
+  assert.equal(baseline.severity, 'none');
+
+  const renamed = profile.html.replace('"publicProfileInfo":', '"profileInfo":');
+  const report = drift.check(profile.meta.url, renamed);
+
+  assert.equal(report.severity, 'critical');
+  const missing = report.changes.find((change) => change.code === 'next_data_paths_missing');
+  assert.ok(missing.paths.includes('props.pageProps.userProfile.publicProfileInfo.subscriberCount'));
+  assert.ok(report.changes.some((change) => change.code === 'next_data_paths_added'));
+});
+
+test('missing tablist, JSON-LD types and tiles are reported with severities', () => {
+  const baseline = {
+    nextData: false,
+    nextDataPaths: [],
+    jsonLdTypes: ['VideoObject'],
+    tablist: true,
+    tiles: { 'spotlight.links': 4, 'stories.cards': 0, 'lenses.links': 0, 'related.links': 0 }
+  };
+  const fingerprint = {
+    nextData: { present: false, valid: false, paths: [] },
+    jsonLdTypes: [],
+    tablist: { present: false, tabs: [] },
+    tiles: { 'spotlight.links': 0, 'stories.cards': 0, 'lenses.links': 0, 'related.links': 0 }
+  };
+
+  const { severity, changes } = compareFingerprint(fingerprint, baseline);
+  assert.equal(severity, 'critical');
+  assert.deepEqual(
+    changes.map((change) => [change.code, change.severity]),
+    [['json_ld_types_missing', 'warning'], ['tablist_missing', 'critical'], ['tiles_missing', 'warning']]
+  );
+});
+
+test('alerts once per distinct drift', () => {
+  const alerts = [];
+  const drift = new DriftDetector({ selectors, baselines: {}, onDrift: (report) => alerts.push(report) });
+  const broken = profile.html.replace('role="tablist"', 'role="list"');
+
+  drift.check(profile.meta.url, profile.html);
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    drift.check(profile.meta.url, broken);
+    drift.check(profile.meta.url, broken);
+  } finally {
+    console.warn = originalWarn;
+  }
+
+  assert.equal(alerts.length, 1);
+  assert.equal(drift.report().status, 'drift');
+  assert.equal(drift.report().pageTypes.profile.severity, 'critical');
+});
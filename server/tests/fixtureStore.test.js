@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import FixtureStore from '../services/FixtureStore.js';
+
+const PROFILE_URL = 'https://www.snapchat.com/@moonlightbae?locale=en-US';
+
+async function withStore(fn) {
+  const dir = await mkdtemp(join(tmpdir(), 'snap-fixtures-test-'));
+  try {
+    await fn(new FixtureStore(dir));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('a failed response is replaced by the retry that succeeds', async () => {
+  await withStore(async (store) => {
+    const responses = [
+      new Response('<html>busy</html>', { status: 503 }),
+      new Response('<html>profile</html>', { status: 200 }),
+      new Response('<html>again</html>', { status: 200 })
+    ];
+    const record = store.createRecordingFetch(async () => responses.shift(), { username: 'moonlightbae' });
+
+    for (let attempt = 0; attempt < 3; attempt++) await record(PROFILE_URL);
+
+    const fixture = store.read(PROFILE_URL);
+    assert.equal(fixture.meta.status, 200);
+    assert.equal(fixture.html, '<html>profile</html>');
+  });
+});
+
+test('pages captured in another locale are kept next to the default ones', async () => {
+  await withStore(async (store) => {
+    const record = store.createRecordingFetch(async (url) => new Response(`<html>${url}</html>`), { username: 'moonlightbae' });
+    const spanish = 'https://www.snapchat.com/@moonlightbae?locale=es-ES';
+
+    await record(PROFILE_URL);
+    await record(spanish);
+
+    assert.equal(store.read(PROFILE_URL).html, `<html>${PROFILE_URL}</html>`);
+    assert.equal(store.read(spanish).meta.locale, 'es-ES');
+    assert.equal([...store.entries()].length, 2);
+  });
+});
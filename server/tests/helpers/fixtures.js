@@ -0,0 +1,62 @@
+import { readdirSync, readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, relative } from 'path';
+import { DEFAULT_FIXTURES_DIR as FIXTURES_DIR } from '../../services/FixtureStore.js';
+
+export { FIXTURES_DIR };
+
+/**
+ * Lists every `<name>.html` fixture below the fixture directory together with
+ * its `<name>.meta.json` metadata and the path of its golden output.
+ */
+export function loadFixtures(dir = FIXTURES_DIR) {
+  const fixtures = [];
+
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      fixtures.push(...loadFixtures(path));
+      continue;
+    }
+    if (!entry.name.endsWith('.html')) continue;
+
+    const base = path.slice(0, -'.html'.length);
+    fixtures.push({
+      name: relative(FIXTURES_DIR, base),
+      html: readFileSync(path, 'utf8'),
+      meta: JSON.parse(readFileSync(`${base}.meta.json`, 'utf8')),
+      goldenPath: `${base}.golden.json`
+    });
+  }
+
+  return fixtures.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function readGolden(fixture) {
+  if (!existsSync(fixture.goldenPath)) return null;
+  return JSON.parse(readFileSync(fixture.goldenPath, 'utf8'));
+}
+
+export function writeGolden(fixture, output) {
+  writeFileSync(fixture.goldenPath, JSON.stringify(output, null, 2) + '\n');
+}
+
+/**
+ * Compares two JSON values and returns one line per differing field,
+ * e.g. `tabs.Spotlight[0].views: expected 1250000, got null`.
+ */
+export function diffJson(expected, actual, path = '') {
+  if (Object.is(expected, actual)) return [];
+
+  const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object';
+  if (!bothObjects || Array.isArray(expected) !== Array.isArray(actual)) {
+    return [`${path || '(root)'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+  }
+
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  const diffs = [];
+  for (const key of keys) {
+    const childPath = Array.isArray(expected) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+    diffs.push(...diffJson(expected[key], actual[key], childPath));
+  }
+  return diffs;
+}
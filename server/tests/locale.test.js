@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SnapchatScraper from '../services/SnapchatScraper.js';
+import TieredCache from '../services/cache/TieredCache.js';
+import MemoryCache from '../services/cache/MemoryCache.js';
+import { HttpError, requestLocale } from '../lib/http.js';
+import { matchLocale, negotiateLocale } from '../../shared/locales.js';
+
+const PROFILE_PAGE = '<html><head><meta property="og:title" content="Moon (@moonlightbae) | Snapchat"></head><body></body></html>';
+
+function request({ cookie, acceptLanguage } = {}) {
+  const headers = {};
+  if (cookie) headers.cookie = cookie;
+  if (acceptLanguage) headers['accept-language'] = acceptLanguage;
+  return { headers };
+}
+
+test('matches language tags onto supported locales', () => {
+  assert.equal(matchLocale('fr-fr'), 'fr-FR');
+  assert.equal(matchLocale('en_GB'), 'en-GB');
+  assert.equal(matchLocale('fr-CA'), 'fr-FR');
+  assert.equal(matchLocale('de'), 'de-DE');
+  assert.equal(matchLocale('ja-JP'), null);
+  assert.equal(matchLocale(''), null);
+});
+
+test('negotiates Accept-Language by quality', () => {
+  assert.equal(negotiateLocale('ja;q=1, es;q=0.8, de;q=0.9'), 'de-DE');
+  assert.equal(negotiateLocale('en-GB,en;q=0.5'), 'en-GB');
+  assert.equal(negotiateLocale('fr;q=0, *'), null);
+  assert.equal(negotiateLocale(['pt-BR', 'es-MX']), 'es-ES');
+});
+
+test('request locale prefers the query, then the cookie on pages, then the header', () => {
+  const query = (value) => new URLSearchParams(value === undefined ? '' : { locale: value });
+  const req = request({ cookie: 'theme=dark; locale=de-DE', acceptLanguage: 'es-ES,es;q=0.9' });
+
+  assert.equal(requestLocale(req, query('fr-FR')), 'fr-FR');
+  assert.equal(requestLocale(req, query()), 'es-ES');
+  assert.equal(requestLocale(req, query(), { page: true }), 'de-DE');
+  assert.equal(requestLocale(request(), query()), 'en-US');
+
+  assert.throws(() => requestLocale(req, query('xx-XX')), (error) => error instanceof HttpError && error.code === 'invalid_locale');
+  assert.equal(requestLocale(req, query('xx-XX'), { page: true }), 'de-DE');
+});
+
+test('the locale reaches upstream requests and cache keys', async () => {
+  const requests = [];
+  const scraper = new SnapchatScraper({
+    fetch: async (url, options) => {
+      requests.push({ url, language: new Headers(options.headers).get('accept-language') });
+      return new Response(PROFILE_PAGE, { status: 200 });
+    },
+    cache: new TieredCache({ tiers: [new MemoryCache()] })
+  });
+
+  await scraper.fetchProfile('moonlightbae');
+  await scraper.fetchProfile('moonlightbae', { locale: 'fr-FR' });
+  await scraper.fetchProfile('moonlightbae', { locale: 'fr-FR' });
+
+  assert.deepEqual(requests, [
+    { url: 'https://www.snapchat.com/@moonlightbae?locale=en-US', language: 'en-US,en;q=0.9' },
+    { url: 'https://www.snapchat.com/@moonlightbae?locale=fr-FR', language: 'fr-FR,fr;q=0.9' }
+  ]);
+  assert.equal(scraper.tabUrl('moonlightbae', 'Stories', 'p2', 'de-DE'), 'https://www.snapchat.com/@moonlightbae?locale=de-DE&tab=Stories&cursor=p2');
+});
+
+test('the subscriber count is read from page text in the language it was requested in', () => {
+  const scraper = new SnapchatScraper({ cache: new TieredCache({ tiers: [new MemoryCache()] }) });
+  const page = (text) => `<html><head><title>Moon</title></head><body><p>${text}</p></body></html>`;
+
+  assert.equal(scraper.parseProfile(page('4,512 subscribers')).subscriberCount, 4512);
+  assert.equal(scraper.parseProfile(page('4.512 Abonnenten'), { locale: 'de-DE' }).subscriberCount, 4512);
+  assert.equal(scraper.parseProfile(page('1.204.000 suscriptores'), { locale: 'es-ES' }).subscriberCount, 1204000);
+  assert.equal(scraper.parseProfile(page('4 512 abonnés'), { locale: 'fr-FR' }).subscriberCount, 4512);
+  assert.equal(scraper.parseProfile(page('4,512 subscribers'), { locale: 'fr-FR' }).subscriberCount, null);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SnapchatScraper from '../services/SnapchatScraper.js';
+import MediaResolver, { mediaType } from '../services/MediaResolver.js';
+import FixtureStore from '../services/FixtureStore.js';
+import TieredCache from '../services/cache/TieredCache.js';
+import MemoryCache from '../services/cache/MemoryCache.js';
+import { NotFoundError, ParseFailureError } from '../services/errors.js';
+
+const SPOTLIGHT_ID = 'W7_EDlXWTBiXAEEniNoMPwAAYZm1lbnBiaGJ6AZh2z8ZSAZh2z8YXAAAAAQ';
+
+function createResolver(fetch) {
+  const scraper = new SnapchatScraper({ fetch, cache: new TieredCache({ tiers: [new MemoryCache()] }) });
+  return new MediaResolver({ scraper });
+}
+
+test('media types come from the declared format or the extension', () => {
+  assert.equal(mediaType('https://cf-st.sc-cdn.net/d/a.m3u8?sig=1'), 'application/vnd.apple.mpegurl');
+  assert.equal(mediaType('https://cf-st.sc-cdn.net/d/a.mpd'), 'application/dash+xml');
+  assert.equal(mediaType('https://cf-st.sc-cdn.net/d/a'), 'video/mp4');
+  assert.equal(mediaType('https://cf-st.sc-cdn.net/d/a', 'webm'), 'video/webm');
+});
+
+test('resolves a captured Spotlight page to one source and a poster', async () => {
+  const requests = [];
+  const replay = new FixtureStore().createReplayFetch();
+  const resolver = createResolver(async (url, options) => {
+    requests.push(url);
+    return replay(url, options);
+  });
+
+  const media = await resolver.resolveSpotlight(SPOTLIGHT_ID);
+  await resolver.resolveSpotlight(SPOTLIGHT_ID);
+
+  assert.deepEqual(media, {
+    id: SPOTLIGHT_ID,
+    poster: 'https://cf-st.sc-cdn.net/d/fixture-thumb-1.jpg',
+    sources: [{
+      url: 'https://cf-st.sc-cdn.net/d/fixture-video-1.mp4',
+      type: 'video/mp4',
+      width: null,
+      height: null,
+      origin: 'jsonLd'
+    }]
+  });
+  assert.equal(requests.length, 1);
+});
+
+test('ranks sources by strategy and ignores foreign hosts', () => {
+  const resolver = createResolver(async () => new Response(''));
+  const { poster, sources } = resolver.parseMedia(`
+    <html><head>
+      <meta property="og:video" content="https://cf-st.sc-cdn.net/d/clip_720.mp4">
+      <meta property="og:video:width" content="720">
+      <meta property="og:video:height" content="1280">
+      <meta property="og:image" content="https://cf-st.sc-cdn.net/d/poster.jpg">
+    </head><body>
+      <video width="1080" height="1920"><source src="https://cf-st.sc-cdn.net/d/clip_1080.webm" type="video/webm"></video>
+      <video src="https://evil.example.com/clip.mp4"></video>
+      <script>window.player = { hls: "https://cf-st.sc-cdn.net/d/clip.m3u8?sig=abc" }</script>
+    </body></html>
+  `);
+
+  assert.equal(poster, 'https://cf-st.sc-cdn.net/d/poster.jpg');
+  assert.deepEqual(sources.map(({ url, type, width, height, origin }) => [url, type, width, height, origin]), [
+    ['https://cf-st.sc-cdn.net/d/clip_720.mp4', 'video/mp4', 720, 1280, 'openGraph'],
+    ['https://cf-st.sc-cdn.net/d/clip_1080.webm', 'video/webm', 1080, 1920, 'videoElement'],
+    ['https://cf-st.sc-cdn.net/d/clip.m3u8?sig=abc', 'application/vnd.apple.mpegurl', null, null, 'script']
+  ]);
+});
+
+test('a page without media is a parse failure; a missing video is not found', async () => {
+  const resolver = createResolver(async (url) => url.endsWith('/gone')
+    ? new Response('', { status: 404 })
+    : new Response('<html><head><title>Spotlight</title></head></html>', { status: 200 }));
+
+  await assert.rejects(resolver.resolveSpotlight('empty'), ParseFailureError);
+  await assert.rejects(resolver.resolveSpotlight('gone'), NotFoundError);
+});
@@ -0,0 +1,234 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import MediaProxy, { parseRange } from '../services/MediaProxy.js';
+import MediaFileCache from '../services/cache/MediaFileCache.js';
+import {
+  proxyMediaUrl,
+  proxyMediaUrlsInText,
+  proxyProfileMedia,
+  upstreamMediaUrl
+} from '../../shared/mediaProxy.js';
+import { createProfile, validateProfile } from '../../shared/profileModel.js';
+import { BlockedError, NotFoundError, UpstreamError } from '../services/errors.js';
+
+const VIDEO_URL = 'https://cf-st.sc-cdn.net/d/clip.mp4?sig=abc';
+const VIDEO = Buffer.from('0123456789abcdefghij');
+
+async function withCache(options, fn) {
+  const dir = await mkdtemp(join(tmpdir(), 'snap-media-test-'));
+  try {
+    await fn(new MediaFileCache({ dir, ...options }), dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function read(body) {
+  return body ? Buffer.concat(await body.toArray()) : null;
+}
+
+// Answers like a CDN: whole files, or a range when asked for one
+function cdn(files, requests = []) {
+  return async (url, { method = 'GET', headers = {} } = {}) => {
+    requests.push({ url, method, range: headers.Range || null });
+    const file = files[url];
+    if (!file) return new Response('missing', { status: 404 });
+    if (file.redirect) return new Response(null, { status: 302, headers: { Location: file.redirect } });
+
+    const body = Buffer.from(file.body);
+    const match = /^bytes=(\d+)-(\d*)$/.exec(headers.Range || '');
+    if (match) {
+      const end = match[2] ? Number(match[2]) : body.length - 1;
+      return new Response(body.subarray(Number(match[1]), end + 1), {
+        status: 206,
+        headers: { 'Content-Type': file.type, 'Content-Range': `bytes ${match[1]}-${end}/${body.length}` }
+      });
+    }
+    return new Response(method === 'HEAD' ? null : body, {
+      headers: { 'Content-Type': file.type, 'Content-Length': String(body.length) }
+    });
+  };
+}
+
+test('proxy paths keep the upstream host, path and query', () => {
+  assert.equal(proxyMediaUrl(VIDEO_URL), '/media/cf-st.sc-cdn.net/d/clip.mp4?sig=abc');
+  assert.equal(upstreamMediaUrl('/media/cf-st.sc-cdn.net/d/clip.mp4?sig=abc'), VIDEO_URL);
+
+  // Other hosts and schemes are left alone and can't be proxied
+  assert.equal(proxyMediaUrl('https://ui-avatars.com/api/?name=AB'), 'https://ui-avatars.com/api/?name=AB');
+  assert.equal(proxyMediaUrl('http://cf-st.sc-cdn.net/d/a.jpg'), 'http://cf-st.sc-cdn.net/d/a.jpg');
+  assert.equal(proxyMediaUrl(null), null);
+  assert.equal(upstreamMediaUrl('/media/evil.example.com/a.jpg'), null);
+  assert.equal(upstreamMediaUrl('/media/sc-cdn.net.evil.example.com/a.jpg'), null);
+  assert.equal(upstreamMediaUrl('/media/user@cf-st.sc-cdn.net/a.jpg'), null);
+  assert.equal(upstreamMediaUrl('/media/localhost/a.jpg'), null);
+});
+
+test('profiles stay valid with proxied images', () => {
+  const profile = proxyProfileMedia(createProfile({
+    username: 'moonlightbae',
+    websiteUrl: 'https://example.com',
+    profilePicture: 'https://cf-st.sc-cdn.net/aps/bolt/p.jpg'
+  }));
+
+  assert.equal(profile.images.profilePicture, '/media/cf-st.sc-cdn.net/aps/bolt/p.jpg');
+  assert.equal(profile.websiteUrl, 'https://example.com/');
+  assert.deepEqual(validateProfile(profile), []);
+});
+
+test('absolute media URLs in playlists are rewritten, relative ones kept', () => {
+  const playlist = [
+    '#EXTM3U',
+    '#EXT-X-MAP:URI="https://cf-st.sc-cdn.net/d/init.mp4"',
+    '#EXTINF:2.0,',
+    'https://CF-ST.sc-cdn.net/d/seg1.m4s?sig=1',
+    '#EXTINF:2.0,',
+    'seg2.m4s',
+    'https://other.example.com/seg3.m4s'
+  ].join('\n');
+
+  assert.deepEqual(proxyMediaUrlsInText(playlist).split('\n'), [
+    '#EXTM3U',
+    '#EXT-X-MAP:URI="/media/cf-st.sc-cdn.net/d/init.mp4"',
+    '#EXTINF:2.0,',
+    '/media/cf-st.sc-cdn.net/d/seg1.m4s?sig=1',
+    '#EXTINF:2.0,',
+    'seg2.m4s',
+    'https://other.example.com/seg3.m4s'
+  ]);
+});
+
+test('parses single byte ranges', () => {
+  assert.deepEqual(parseRange('bytes=0-', 20), { start: 0, end: 19 });
+  assert.deepEqual(parseRange('bytes=5-9', 20), { start: 5, end: 9 });
+  assert.deepEqual(parseRange('bytes=15-100', 20), { start: 15, end: 19 });
+  assert.deepEqual(parseRange('bytes=-5', 20), { start: 15, end: 19 });
+  assert.equal(parseRange(undefined, 20), null);
+  assert.equal(parseRange('bytes=0-1,5-6', 20), null);
+  assert.equal(parseRange('bytes=20-', 20), false);
+});
+
+test('stores a fetched file and serves ranges of it from disk', async () => {
+  await withCache({}, async (cache) => {
+    const requests = [];
+    const proxy = new MediaProxy({ cache, fetch: cdn({ [VIDEO_URL]: { type: 'video/mp4', body: VIDEO } }, requests) });
+
+    const first = await proxy.request(VIDEO_URL, { range: 'bytes=0-' });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers['Content-Type'], 'video/mp4');
+    assert.equal(first.headers['Accept-Ranges'], 'bytes');
+    assert.deepEqual(await read(first.body), VIDEO);
+
+    const ranged = await proxy.request(VIDEO_URL, { range: 'bytes=5-9' });
+    assert.equal(ranged.status, 206);
+    assert.equal(ranged.headers['Content-Range'], 'bytes 5-9/20');
+    assert.equal(ranged.headers['Content-Length'], 5);
+    assert.equal((await read(ranged.body)).toString(), '56789');
+
+    const beyond = await proxy.request(VIDEO_URL, { range: 'bytes=50-' });
+    assert.equal(beyond.status, 416);
+    assert.equal(beyond.headers['Content-Range'], 'bytes */20');
+
+    assert.equal(requests.length, 1);
+  });
+});
+
+test('seeks into an uncached file are passed to the CDN', async () => {
+  await withCache({}, async (cache) => {
+    const requests = [];
+    const proxy = new MediaProxy({ cache, fetch: cdn({ [VIDEO_URL]: { type: 'video/mp4', body: VIDEO } }, requests) });
+
+    const { status, headers, body } = await proxy.request(VIDEO_URL, { range: 'bytes=10-' });
+    assert.equal(status, 206);
+    assert.equal(headers['Content-Range'], 'bytes 10-19/20');
+    assert.equal((await read(body)).toString(), 'abcdefghij');
+    assert.equal(requests[0].range, 'bytes=10-');
+    assert.equal(await cache.get(VIDEO_URL), null);
+  });
+});
+
+test('encoded bodies are sent and cached without the encoded length', async () => {
+  await withCache({}, async (cache) => {
+    const url = 'https://cf-st.sc-cdn.net/d/snapcode.svg';
+    const svg = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg">${'<g/>'.repeat(50)}</svg>`);
+    const requests = [];
+    // What fetch hands over for a gzipped response: the decoded body with the compressed length
+    const proxy = new MediaProxy({
+      cache,
+      fetch: async (target, { headers }) => {
+        requests.push(headers);
+        return new Response(svg, {
+          headers: { 'Content-Type': 'image/svg+xml', 'Content-Encoding': 'gzip', 'Content-Length': '55' }
+        });
+      }
+    });
+
+    const first = await proxy.request(url);
+    assert.equal(requests[0]['Accept-Encoding'], 'identity');
+    assert.equal(first.headers['Content-Length'], undefined);
+    assert.deepEqual(await read(first.body), svg);
+
+    const cached = await proxy.request(url);
+    assert.equal(cached.headers['Content-Length'], svg.length);
+    assert.equal(requests.length, 1);
+  });
+});
+
+test('playlists are served with their media URLs proxied', async () => {
+  await withCache({}, async (cache) => {
+    const url = 'https://cf-st.sc-cdn.net/d/master.m3u8?sig=1';
+    const proxy = new MediaProxy({
+      cache,
+      fetch: cdn({ [url]: { type: 'application/octet-stream', body: '#EXTM3U\nhttps://cf-st.sc-cdn.net/d/720.m3u8\n' } })
+    });
+
+    const { headers, body } = await proxy.request(url);
+    assert.equal(headers['Content-Type'], 'application/vnd.apple.mpegurl');
+    assert.equal((await read(body)).toString(), '#EXTM3U\n/media/cf-st.sc-cdn.net/d/720.m3u8\n');
+  });
+});
+
+test('refuses other hosts, redirects off Snapchat and non-media responses', async () => {
+  await withCache({}, async (cache) => {
+    const page = 'https://www.snapchat.com/@moonlightbae';
+    const moved = 'https://cf-st.sc-cdn.net/d/moved.jpg';
+    const proxy = new MediaProxy({
+      cache,
+      fetch: cdn({
+        [page]: { type: 'text/html; charset=utf-8', body: '<html></html>' },
+        [moved]: { redirect: 'http://169.254.169.254/latest/meta-data' }
+      })
+    });
+
+    await assert.rejects(proxy.request('https://evil.example.com/a.jpg'), BlockedError);
+    await assert.rejects(proxy.request(page), (error) => error instanceof UpstreamError && error.code === 'unsupported_media');
+    await assert.rejects(proxy.request(moved), (error) => error instanceof UpstreamError && error.code === 'upstream_redirect');
+    await assert.rejects(proxy.request('https://cf-st.sc-cdn.net/d/gone.jpg'), NotFoundError);
+  });
+});
+
+test('evicts the least recently used files past the size limit', async () => {
+  await withCache({ maxBytes: 25 }, async (cache, dir) => {
+    await cache.set('https://cf-st.sc-cdn.net/a', { type: 'image/jpeg', body: Buffer.alloc(10) });
+    await cache.set('https://cf-st.sc-cdn.net/b', { type: 'image/jpeg', body: Buffer.alloc(10) });
+    // Reading `a` makes `b` the least recently used
+    assert.ok(await cache.get('https://cf-st.sc-cdn.net/a'));
+    await cache.set('https://cf-st.sc-cdn.net/c', { type: 'image/jpeg', body: Buffer.alloc(10) });
+    // Larger than the whole cache: never stored
+    await cache.set('https://cf-st.sc-cdn.net/d', { type: 'image/jpeg', body: Buffer.alloc(30) });
+
+    assert.ok(await cache.get('https://cf-st.sc-cdn.net/a'));
+    assert.equal(await cache.get('https://cf-st.sc-cdn.net/b'), null);
+    assert.ok(await cache.get('https://cf-st.sc-cdn.net/c'));
+    assert.equal(cache.size, 20);
+    assert.equal((await readdir(dir)).length, 4);
+
+    // A new process picks the entries back up
+    const reopened = new MediaFileCache({ dir, maxBytes: 25 });
+    assert.equal((await reopened.get('https://cf-st.sc-cdn.net/c')).size, 10);
+    assert.equal(reopened.size, 20);
+  });
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import PageRenderer, { buildProfileHead, buildProfileJsonLd, serializeForScript } from '../services/PageRenderer.js';
+import { createProfile } from '../../shared/profileModel.js';
+import { createApp } from '../app.js';
+import TieredCache from '../services/cache/TieredCache.js';
+import MemoryCache from '../services/cache/MemoryCache.js';
+
+const TEMPLATE = `<!doctype html>
+<html lang="en">
+  <head>
+    <title>Snap Clone</title>
+    <meta name="description" content="Default description" />
+    <meta property="og:title" content="Snap Clone" />
+  </head>
+  <body>
+    <div id="root"></div>
+  </body>
+</html>
+`;
+
+const profile = createProfile({
+  username: 'moonlightbae',
+  title: 'Moon (@moonlightbae) | Snapchat',
+  displayName: 'Moon "Bae" <3',
+  bio: 'Night owl </script><script>alert(1)</script>',
+  subscriberCount: 1200,
+  websiteUrl: 'https://example.com',
+  profilePicture: 'https://cdn.example.com/p.jpg'
+});
+
+async function withClientDir(fn) {
+  const dir = await mkdtemp(join(tmpdir(), 'snap-pages-test-'));
+  try {
+    await mkdir(join(dir, 'dist'));
+    await writeFile(join(dir, 'dist', 'index.html'), TEMPLATE);
+    await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('serializeForScript cannot close the script element', () => {
+  const json = serializeForScript({ bio: '</script>\u2028' });
+  assert.ok(!json.includes('</script>'));
+  assert.ok(!json.includes('\u2028'));
+  assert.deepEqual(JSON.parse(json), { bio: '</script>\u2028' });
+});
+
+test('builds ProfilePage JSON-LD for the account', () => {
+  const data = buildProfileJsonLd(profile, 'https://snap-clone.com/@moonlightbae');
+
+  assert.equal(data['@type'], 'ProfilePage');
+  assert.equal(data.mainEntity.alternateName, '@moonlightbae');
+  assert.deepEqual(data.mainEntity.sameAs, ['https://www.snapchat.com/add/moonlightbae', 'https://example.com/']);
+  assert.equal(data.mainEntity.interactionStatistic.userInteractionCount, 1200);
+});
+
+test('head tags are escaped', () => {
+  const head = buildProfileHead(profile, 'https://snap-clone.com/@moonlightbae');
+
+  assert.match(head, /<title>Moon &quot;Bae&quot; &lt;3 \(@moonlightbae\) on Snapchat<\/title>/);
+  assert.match(head, /<link rel="canonical" href="https:\/\/snap-clone.com\/@moonlightbae" \/>/);
+  assert.equal(head.match(/<\/script>/g).length, 1);
+});
+
+test('renders a profile page into the client template', async () => {
+  await withClientDir(async (dir) => {
+    const renderer = new PageRenderer({ clientDir: dir, siteUrl: 'https://example.org' });
+    assert.equal(renderer.available, true);
+
+    const html = await renderer.render({
+      pathname: '/@MoonlightBae/lenses',
+      canonicalPath: '/@moonlightbae/lenses',
+      username: 'MoonlightBae',
+      profile
+    });
+
+    assert.equal(html.match(/<title>/g).length, 1);
+    assert.ok(!html.includes('Default description'));
+    assert.ok(html.includes('<meta property="og:url" content="https://example.org/@moonlightbae/lenses" />'));
+    assert.ok(html.includes('<div id="root"></div><script>window.__SNAP_DATA__={"locale":"en-US","username":"MoonlightBae"'));
+  });
+});
+
+test('not-found pages keep the template head and are not indexed', async () => {
+  await withClientDir(async (dir) => {
+    const html = await new PageRenderer({ clientDir: dir }).render({ pathname: '/@nobody', notFound: true });
+
+    assert.ok(html.includes('<title>Snap Clone</title>'));
+    assert.ok(html.includes('<meta name="robots" content="noindex" />'));
+    assert.ok(html.includes('<script>window.__SNAP_DATA__={"locale":"en-US"}</script>'));
+  });
+});
+
+test('pages are rendered in the requested locale', async () => {
+  await withClientDir(async (dir) => {
+    const html = await new PageRenderer({ clientDir: dir }).render({ pathname: '/@moonlightbae', locale: 'fr-FR', profile });
+
+    assert.ok(html.includes('<html lang="fr-FR">'));
+    assert.ok(html.includes('window.__SNAP_DATA__={"locale":"fr-FR"'));
+    assert.ok(html.includes('<title>Moon &quot;Bae&quot; &lt;3 (@moonlightbae) sur Snapchat</title>'));
+  });
+
+  const head = buildProfileHead(createProfile({ username: 'moon', displayName: 'Moon' }), 'https://example.org/@moon', 'de-DE');
+  assert.ok(head.includes('<meta name="description" content="Sieh dir die Storys, Spotlight-Videos und Linsen von Moon an." />'));
+});
+
+test('dollar signs in profile text are inserted as written', async () => {
+  await withClientDir(async (dir) => {
+    const dollars = createProfile({ username: 'moonlightbae', displayName: 'Cash $` $& $\'', bio: 'It\'s $\' and $`' });
+    const html = await new PageRenderer({ clientDir: dir }).render({ pathname: '/@moonlightbae', username: 'moonlightbae', profile: dollars });
+
+    assert.ok(html.includes('<title>Cash $` $&amp; $&#39; (@moonlightbae) on Snapchat</title>'));
+    assert.equal(html.match(/<\/head>/g).length, 1);
+    assert.equal(html.match(/<\/body>/g).length, 1);
+    const data = JSON.parse(html.match(/window\.__SNAP_DATA__=(.*?)<\/script>/)[1]);
+    assert.equal(data.profile.displayName, 'Cash $` $& $\'');
+    assert.equal(data.profile.bio, 'It\'s $\' and $`');
+  });
+});
+
+test('profile pages exist for known tabs only, with the tab in the canonical URL', async () => {
+  await withClientDir(async (dir) => {
+    const scraper = {
+      cache: new TieredCache({ tiers: [new MemoryCache()] }),
+      fetchProfile: async () => profile,
+      fetchTabSummary: async () => null
+    };
+    const handleRequest = createApp({ scraper, renderer: new PageRenderer({ clientDir: dir }) });
+    const get = async (url) => {
+      const res = { writeHead(status) { this.status = status; }, end(body) { this.body = body; } };
+      await handleRequest({ method: 'GET', url, headers: {} }, res);
+      return res;
+    };
+
+    const stories = await get('/@moonlightbae/stories');
+    assert.equal(stories.status, 200);
+    assert.match(stories.body, /rel="canonical" href="https:\/\/[^"]+\/@moonlightbae\/stories"/);
+    assert.match((await get('/@moonlightbae/spotlight')).body, /rel="canonical" href="https:\/\/[^"]+\/@moonlightbae"/);
+
+    const unknown = await get('/@moonlightbae/anything');
+    assert.equal(unknown.status, 404);
+    assert.match(unknown.body, /<meta name="robots" content="noindex" \/>/);
+    assert.doesNotMatch(unknown.body, /rel="canonical"/);
+  });
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SnapchatScraper from '../services/SnapchatScraper.js';
+import TieredCache from '../services/cache/TieredCache.js';
+import MemoryCache from '../services/cache/MemoryCache.js';
+import { decodeCursor, encodeCursor } from '../routes/profile.js';
+
+// Spotlight tab pages of three tiles each, linked by `nextCursor` in __NEXT_DATA__
+function spotlightPage(ids, nextCursor) {
+  const links = ids.map((id) => `<a href="/@creator/spotlight/${id}" aria-label="Video ${id}"><img src="https://cf-st.sc-cdn.net/${id}.jpg"></a>`);
+  const nextData = { props: { pageProps: nextCursor ? { nextCursor } : {} } };
+  return `<html><body>${links.join('')}<script id="__NEXT_DATA__" type="application/json">${JSON.stringify(nextData)}</script></body></html>`;
+}
+
+function createScraper(pages) {
+  const requested = [];
+  const fetchImpl = async (url) => {
+    requested.push(url);
+    const cursor = new URL(url).searchParams.get('cursor') || 'first';
+    return new Response(pages[cursor], { status: 200 });
+  };
+  const scraper = new SnapchatScraper({ fetch: fetchImpl, cache: new TieredCache({ tiers: [new MemoryCache()] }) });
+  return { scraper, requested };
+}
+
+const pages = {
+  first: spotlightPage(['a1', 'a2', 'a3'], 'p2'),
+  p2: spotlightPage(['b1', 'b2', 'b3'], 'p3'),
+  p3: spotlightPage(['c1'], null)
+};
+
+const ids = (items) => items.map((item) => item.id.replace('spotlight:', ''));
+
+test('follows continuation tokens across upstream pages', async () => {
+  const { scraper } = createScraper(pages);
+
+  const first = await scraper.fetchTabItems('creator', 'Spotlight', { limit: 4 });
+  assert.deepEqual(ids(first.items), ['a1', 'a2', 'a3', 'b1']);
+  assert.deepEqual(first.next, { page: 'p2', offset: 1 });
+
+  const second = await scraper.fetchTabItems('creator', 'Spotlight', { ...first.next, limit: 4 });
+  assert.deepEqual(ids(second.items), ['b2', 'b3', 'c1']);
+  assert.equal(second.next, null);
+});
+
+test('each upstream page is fetched once', async () => {
+  const { scraper, requested } = createScraper(pages);
+
+  await scraper.fetchTabItems('creator', 'Spotlight', { limit: 2 });
+  await scraper.fetchTabItems('creator', 'Spotlight', { page: null, offset: 2, limit: 2 });
+  assert.equal(requested.length, 2);
+  assert.match(requested[1], /&cursor=p2$/);
+  assert.deepEqual(await scraper.fetchTabContent('creator', 'Spotlight').then(ids), ['a1', 'a2', 'a3']);
+});
+
+test('stops when a page points back at itself', async () => {
+  const { scraper } = createScraper({ first: spotlightPage(['a1'], 'loop'), loop: spotlightPage(['b1'], 'loop') });
+
+  const result = await scraper.fetchTabItems('creator', 'Spotlight', { limit: 10 });
+  assert.deepEqual(ids(result.items), ['a1', 'b1']);
+  assert.equal(result.next, null);
+});
+
+test('cursors round-trip and reject tampering', () => {
+  assert.deepEqual(decodeCursor(encodeCursor({ page: 'p2', offset: 1 })), { page: 'p2', offset: 1 });
+  assert.deepEqual(decodeCursor(null), { page: null, offset: 0 });
+  assert.throws(() => decodeCursor('not-a-cursor'), { code: 'invalid_cursor' });
+  assert.throws(() => decodeCursor(Buffer.from('["p", -1]').toString('base64url')), { code: 'invalid_cursor' });
+});
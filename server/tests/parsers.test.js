@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SnapchatScraper from '../services/SnapchatScraper.js';
+import { loadFixtures, readGolden, writeGolden, diffJson } from './helpers/fixtures.js';
+
+// Regenerate golden outputs with: UPDATE_GOLDEN=1 node --test server/tests
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+const scraper = new SnapchatScraper();
+
+// Every fixture goes through every parser so markup changes show up wherever they land
+function runParsers(fixture) {
+  const tabs = {};
+  for (const tab of SnapchatScraper.TABS) {
+    tabs[tab] = scraper.parseTabContent(fixture.html, tab, fixture.meta.username);
+  }
+  return { profile: scraper.parseProfile(fixture.html), tabs };
+}
+
+for (const fixture of loadFixtures()) {
+  test(`parsers match golden output for ${fixture.name}`, (t) => {
+    const output = runParsers(fixture);
+
+    if (UPDATE_GOLDEN) {
+      writeGolden(fixture, output);
+      t.diagnostic(`updated ${fixture.goldenPath}`);
+      return;
+    }
+
+    const golden = readGolden(fixture);
+    assert.ok(golden, `missing golden output ${fixture.goldenPath}; run with UPDATE_GOLDEN=1`);
+
+    const diffs = diffJson(golden, output);
+    assert.equal(diffs.length, 0, `${fixture.name} changed:\n  ${diffs.join('\n  ')}`);
+  });
+}
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ProfileSearch from '../services/ProfileSearch.js';
+import TieredCache from '../services/cache/TieredCache.js';
+import MemoryCache from '../services/cache/MemoryCache.js';
+import { normalizeUsername } from '../../shared/username.js';
+
+test('normalizes usernames and Snapchat links', () => {
+  assert.equal(normalizeUsername(' @MoonlightBae '), 'moonlightbae');
+  assert.equal(normalizeUsername('https://www.snapchat.com/add/djkhaled305?share_id=x'), 'djkhaled305');
+  assert.equal(normalizeUsername('snapchat.com/@moonlightbae/spotlight/W7_abc'), 'moonlightbae');
+  assert.equal(normalizeUsername('/@moonlightbae/stories'), 'moonlightbae');
+  assert.equal(normalizeUsername('https://example.com/add/someone'), null);
+  assert.equal(normalizeUsername('not a username'), null);
+});
+
+test('ranks cached profiles by how well they match', async () => {
+  const cache = new TieredCache({ tiers: [new MemoryCache()] });
+  await cache.set('profile:moonlightbae', 'profile', { username: 'moonlightbae', displayName: 'Moonlight Bae', subscriberCount: 10 });
+  await cache.set('profile:moon', 'profile', { username: 'moon', displayName: 'Moon', subscriberCount: 5 });
+  await cache.set('profile:bluemoon', 'profile', { username: 'bluemoon', displayName: 'Blue', subscriberCount: 500 });
+  await cache.set('tab:moon:Spotlight', 'spotlight', { items: [], continuation: null });
+
+  const search = new ProfileSearch({ cache });
+  const usernames = async (query) => (await search.search(query)).map((result) => result.username);
+
+  assert.deepEqual(await usernames('moon'), ['moon', 'moonlightbae', 'bluemoon']);
+  assert.deepEqual(await usernames('https://snapchat.com/add/moonlightbae'), ['moonlightbae']);
+  assert.deepEqual(await usernames('bae'), ['moonlightbae']);
+  assert.deepEqual(await usernames('zzz'), []);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import cheerio from 'cheerio';
+import SelectorRegistry, { validateSelectorConfig } from '../services/SelectorRegistry.js';
+
+const bundled = JSON.parse(readFileSync(new URL('../config/selectors.json', import.meta.url), 'utf8'));
+
+const config = {
+  version: 1,
+  selectors: { ...bundled.selectors, 'spotlight.tiles': ['.primary', '.fallback'] },
+  paths: { ...bundled.paths, 'profile.subscriberCount': ['a.count', 'b.count'] }
+};
+
+test('the bundled selector config is valid', () => {
+  const registry = new SelectorRegistry();
+  assert.ok(registry.version >= 1);
+});
+
+test('records which fallback matched and reports degraded health', () => {
+  const registry = new SelectorRegistry({ config });
+  const $ = cheerio.load('<div class="fallback"></div>');
+
+  assert.equal(registry.first($, 'spotlight.tiles').selector, '.fallback');
+  assert.equal(registry.resolve({ b: { count: 5 } }, 'profile.subscriberCount'), 5);
+
+  const report = registry.report();
+  assert.equal(report.status, 'degraded');
+  assert.equal(report.groups['spotlight.tiles'].status, 'fallback');
+  assert.deepEqual(report.groups['spotlight.tiles'].matches, { '.fallback': 1 });
+  assert.equal(report.groups['profile.subscriberCount'].lastMatched.entry, 'b.count');
+});
+
+test('reload keeps the previous config when the new one is invalid', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'snap-selectors-test-'));
+  const file = join(dir, 'selectors.json');
+  try {
+    await writeFile(file, JSON.stringify(config));
+    const registry = new SelectorRegistry({ file });
+
+    await writeFile(file, JSON.stringify({ ...config, version: 2, selectors: { ...config.selectors, 'spotlight.tiles': [] } }));
+    assert.equal(registry.reload(), false);
+    assert.equal(registry.version, 1);
+
+    await writeFile(file, JSON.stringify({ ...config, version: 2 }));
+    assert.equal(registry.reload(), true);
+    assert.equal(registry.version, 2);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('validateSelectorConfig rejects missing sections', () => {
+  assert.throws(() => validateSelectorConfig({ version: 1 }), /selectors must be an object/);
+});
+
+test('a config that drops a group the parsers use is rejected', async () => {
+  const selectors = { ...config.selectors };
+  delete selectors.jsonLd;
+  assert.throws(
+    () => validateSelectorConfig({ version: 2, selectors: { 'profile.nextData': config.selectors['profile.nextData'] }, paths: {} }),
+    /selectors\.profile\.title is missing/
+  );
+
+  const dir = await mkdtemp(join(tmpdir(), 'snap-selectors-test-'));
+  const file = join(dir, 'selectors.json');
+  try {
+    await writeFile(file, JSON.stringify(config));
+    const registry = new SelectorRegistry({ file });
+
+    await writeFile(file, JSON.stringify({ ...config, version: 2, selectors }));
+    assert.equal(registry.reload(), false);
+    assert.equal(registry.version, 1);
+    assert.ok(registry.list('jsonLd').length > 0);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import SitemapBuilder from '../services/SitemapBuilder.js';
+import TieredCache from '../services/cache/TieredCache.js';
+import MemoryCache from '../services/cache/MemoryCache.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function spotlightItem(username, id, publishedAt = null) {
+  return { kind: 'spotlight', id: `spotlight:${id}`, url: `https://www.snapchat.com/@${username}/spotlight/${id}`, publishedAt };
+}
+
+async function withOptOutFile(usernames, fn) {
+  const dir = await mkdtemp(join(tmpdir(), 'snap-sitemap-test-'));
+  try {
+    const file = join(dir, 'opt-out.json');
+    await writeFile(file, JSON.stringify({ usernames }));
+    await fn(file);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function createCache(clock) {
+  const cache = new TieredCache({ tiers: [new MemoryCache()], now: () => clock.time });
+  await cache.set('profile:moonlightbae', 'profile', { username: 'MoonlightBae' });
+  await cache.set('profile:hidden', 'profile', { username: 'hidden' });
+  clock.time = 3 * DAY;
+  await cache.set('tab:moonlightbae:Spotlight', 'spotlight', [
+    spotlightItem('moonlightbae', 'abc', '2025-08-10T18:22:05.000Z'),
+    spotlightItem('hidden', 'def'),
+    // Items whose URLs don't parse are left out rather than failing the sitemap
+    spotlightItem('bad%E0', 'xyz'),
+    { ...spotlightItem('moonlightbae', 'nourl'), url: 'not a url' }
+  ]);
+  return cache;
+}
+
+test('lists cached profiles and Spotlight videos with their last change', async () => {
+  const clock = { time: 0 };
+  const cache = await createCache(clock);
+
+  await withOptOutFile(['@Hidden'], async (optOutFile) => {
+    const sitemaps = new SitemapBuilder({ cache, optOutFile, siteUrl: 'https://example.org', now: () => clock.time });
+
+    const profiles = await sitemaps.sitemap('profiles-1.xml');
+    assert.match(profiles, /<loc>https:\/\/example.org\/<\/loc>/);
+    assert.match(profiles, /<loc>https:\/\/example.org\/@MoonlightBae<\/loc><lastmod>1970-01-04T00:00:00.000Z<\/lastmod>/);
+    assert.ok(!profiles.includes('hidden'));
+
+    const spotlight = await sitemaps.sitemap('spotlight-1.xml');
+    assert.match(spotlight, /@moonlightbae\/spotlight\/abc<\/loc><lastmod>2025-08-10T18:22:05.000Z/);
+    assert.ok(!spotlight.includes('def'));
+    assert.ok(!spotlight.includes('xyz'));
+  });
+});
+
+test('splits large sets into numbered sitemaps listed in the index', async () => {
+  const clock = { time: 0 };
+  const cache = new TieredCache({ tiers: [new MemoryCache()], now: () => clock.time });
+  for (const name of ['a', 'b', 'c', 'd']) {
+    await cache.set(`profile:${name}`, 'profile', { username: name });
+  }
+
+  await withOptOutFile([], async (optOutFile) => {
+    const sitemaps = new SitemapBuilder({ cache, optOutFile, maxUrls: 2, siteUrl: 'https://example.org' });
+    const index = await sitemaps.index();
+
+    assert.deepEqual(index.match(/sitemaps\/[\w-]+\.xml/g), ['sitemaps/profiles-1.xml', 'sitemaps/profiles-2.xml', 'sitemaps/profiles-3.xml']);
+    assert.equal((await sitemaps.sitemap('profiles-3.xml')).match(/<url>/g).length, 1);
+    assert.equal(await sitemaps.sitemap('profiles-4.xml'), null);
+  });
+});
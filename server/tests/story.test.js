@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SnapchatScraper from '../services/SnapchatScraper.js';
+import StoryResolver, { normalizeSnap } from '../services/StoryResolver.js';
+import TieredCache from '../services/cache/TieredCache.js';
+import MemoryCache from '../services/cache/MemoryCache.js';
+import { NotFoundError } from '../services/errors.js';
+
+function createResolver(fetch) {
+  const scraper = new SnapchatScraper({ fetch, cache: new TieredCache({ tiers: [new MemoryCache()] }) });
+  return new StoryResolver({ scraper });
+}
+
+function page(nextData) {
+  return `<html><body><script id="__NEXT_DATA__" type="application/json">${JSON.stringify(nextData)}</script></body></html>`;
+}
+
+test('snaps keep their media, type and duration; foreign media is dropped', () => {
+  assert.deepEqual(normalizeSnap({
+    snapIndex: 0,
+    snapMediaType: 'SNAP_MEDIA_TYPE_VIDEO',
+    snapUrls: { mediaUrl: 'https://cf-st.sc-cdn.net/d/a.mp4', mediaPreviewUrl: { value: 'https://evil.example.com/a.jpg' } },
+    timestampInSec: { value: '1755158400' }
+  }, 0), {
+    id: '0',
+    type: 'video',
+    url: 'https://cf-st.sc-cdn.net/d/a.mp4',
+    poster: null,
+    duration: null,
+    publishedAt: '2025-08-14T08:00:00.000Z'
+  });
+  assert.equal(normalizeSnap({ snapMediaType: 0, snapUrls: { mediaUrl: 'https://cf-st.sc-cdn.net/d/b.jpg' } }, 3).duration, 5);
+  assert.equal(normalizeSnap({ snapUrls: { mediaUrl: 'https://evil.example.com/c.jpg' } }, 4), null);
+});
+
+function snap(id, type, ext) {
+  return {
+    snapId: { value: id },
+    snapMediaType: type,
+    snapUrls: { mediaUrl: `https://cf-st.sc-cdn.net/d/${id}.${ext}`, mediaPreviewUrl: { value: `https://cf-st.sc-cdn.net/d/${id}-preview.jpg` } },
+    timestampInSec: { value: '1755158400' }
+  };
+}
+
+// The Stories tab's data as Snapchat embeds it: highlights with `{ value }`-wrapped fields
+const STORIES_TAB = page({
+  props: {
+    pageProps: {
+      curatedHighlights: [
+        {
+          storyId: { value: 'summer-trip-id' },
+          storyTitle: { value: 'Summer trip ☀️' },
+          snapList: [
+            snap('snap1', 'SNAP_MEDIA_TYPE_IMAGE', 'jpg'),
+            snap('snap2', 'SNAP_MEDIA_TYPE_VIDEO', 'mp4'),
+            snap('snap3', 'SNAP_MEDIA_TYPE_IMAGE', 'jpg')
+          ]
+        },
+        {
+          storyId: { value: 'highlight2' },
+          storyTitle: { value: 'Behind the scenes' },
+          snapList: [snap('snap4', 'SNAP_MEDIA_TYPE_VIDEO', 'mp4'), snap('snap5', 'SNAP_MEDIA_TYPE_IMAGE', 'jpg')]
+        }
+      ]
+    }
+  }
+});
+
+test('finds stories in the Stories tab by id and by the slug of their title', async () => {
+  const requests = [];
+  const resolver = createResolver(async (url) => {
+    requests.push(url);
+    return url.includes('tab=Stories') ? new Response(STORIES_TAB) : new Response('', { status: 404 });
+  });
+
+  const summer = await resolver.resolveStory('moonlightbae', 'summer-trip-id');
+  assert.equal(summer.title, 'Summer trip ☀️');
+  assert.deepEqual(summer.snaps.map(({ id, type, url, duration }) => [id, type, url, duration]), [
+    ['snap1', 'image', 'https://cf-st.sc-cdn.net/d/snap1.jpg', 5],
+    ['snap2', 'video', 'https://cf-st.sc-cdn.net/d/snap2.mp4', null],
+    ['snap3', 'image', 'https://cf-st.sc-cdn.net/d/snap3.jpg', 5]
+  ]);
+
+  // Cards without a link get a URL made up from their title
+  const behind = await resolver.resolveStory('moonlightbae', 'behind-the-scenes');
+  assert.equal(behind.id, 'highlight2');
+  assert.equal(behind.snaps.length, 2);
+
+  await resolver.resolveStory('moonlightbae', 'summer-trip-id');
+  assert.equal(requests.length, 2);
+});
+
+test('falls back to the story page, and a story found nowhere is not found', async () => {
+  const requests = [];
+  const resolver = createResolver(async (url) => {
+    requests.push(url);
+    if (url.includes('tab=Stories')) return new Response(page({ props: { pageProps: { curatedHighlights: [] } } }));
+    if (url.endsWith('/story/abc123')) {
+      return new Response(page({
+        props: {
+          pageProps: {
+            story: {
+              storyId: { value: 'abc123' },
+              snapList: [{ snapMediaType: 'SNAP_MEDIA_TYPE_IMAGE', snapUrls: { mediaUrl: 'https://cf-st.sc-cdn.net/d/x.jpg' } }]
+            }
+          }
+        }
+      }));
+    }
+    return new Response('', { status: 404 });
+  });
+
+  const story = await resolver.resolveStory('moon', 'abc123');
+  assert.deepEqual([story.username, story.id, story.title, story.snaps.length], ['moon', 'abc123', null, 1]);
+  assert.ok(requests[1].endsWith('/@moon/story/abc123'));
+
+  await assert.rejects(resolver.resolveStory('moon', 'made-up-title'), NotFoundError);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SnapchatScraper from '../services/SnapchatScraper.js';
+import TieredCache from '../services/cache/TieredCache.js';
+import MemoryCache from '../services/cache/MemoryCache.js';
+import { NotFoundError, ParseFailureError } from '../services/errors.js';
+
+const item = (id) => ({ id: `spotlight:${id}` });
+
+function createScraper(pages) {
+  const scraper = new SnapchatScraper({ fetch: async () => new Response(''), cache: new TieredCache({ tiers: [new MemoryCache()] }) });
+  const requested = [];
+  scraper.fetchTabPage = async (username, tab, continuation, { locale }) => {
+    requested.push({ tab, continuation, locale });
+    const page = pages[tab];
+    if (page instanceof Error) throw page;
+    return page;
+  };
+  return { scraper, requested };
+}
+
+test('summarizes the tabs that have content', async () => {
+  const { scraper, requested } = createScraper({
+    Stories: { items: [item(1), item(2)], continuation: null },
+    Spotlight: { items: [item(1), item(2), item(3), item(4), item(5)], continuation: 'p2' },
+    Lenses: { items: [], continuation: null },
+    Tagged: new NotFoundError('No tagged tab'),
+    Related: new ParseFailureError('Unreadable')
+  });
+
+  const tabs = await scraper.fetchTabSummary('moon', { locale: 'de-DE', previewSize: 3 });
+
+  assert.deepEqual(tabs, [
+    { tab: 'stories', count: 2, more: false, preview: [item(1), item(2)] },
+    { tab: 'spotlight', count: 5, more: true, preview: [item(1), item(2), item(3)] },
+    { tab: 'related', count: null, more: false, preview: [] }
+  ]);
+  assert.equal(requested.length, SnapchatScraper.TABS.length);
+  assert.ok(requested.every(({ continuation, locale }) => continuation === null && locale === 'de-DE'));
+});
+
+test('an account without any tab is not found', async () => {
+  const missing = new NotFoundError('No such account');
+  const { scraper } = createScraper(Object.fromEntries(SnapchatScraper.TABS.map((tab) => [tab, missing])));
+
+  await assert.rejects(scraper.fetchTabSummary('nobody'), missing);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Transport, { parseRetryAfter } from '../services/Transport.js';
+import { BlockedError, NotFoundError, RateLimitedError, UpstreamError } from '../services/errors.js';
+import SnapchatScraper from '../services/SnapchatScraper.js';
+import TieredCache from '../services/cache/TieredCache.js';
+import MemoryCache from '../services/cache/MemoryCache.js';
+
+// Replays a fixed sequence of responses (or thrown errors) and records each call
+function scriptedFetch(steps) {
+  const calls = [];
+  const fetchImpl = async (url, options) => {
+    calls.push({ url, options });
+    const step = steps[Math.min(calls.length - 1, steps.length - 1)];
+    if (step instanceof Error) throw step;
+    return new Response(step.body ?? '', { status: step.status, headers: step.headers });
+  };
+  return { fetchImpl, calls };
+}
+
+function createTransport(fetchImpl, options = {}) {
+  const delays = [];
+  const transport = new Transport({
+    fetch: fetchImpl,
+    sleep: async (ms) => delays.push(ms),
+    random: () => 1,
+    ...options
+  });
+  return { transport, delays };
+}
+
+test('returns the body of a successful response', async () => {
+  const { fetchImpl } = scriptedFetch([{ status: 200, body: '<html>ok</html>' }]);
+  const { transport } = createTransport(fetchImpl);
+
+  assert.equal(await transport.text('https://www.snapchat.com/@a'), '<html>ok</html>');
+});
+
+test('retries 5xx responses with exponential backoff', async () => {
+  const { fetchImpl, calls } = scriptedFetch([{ status: 503 }, { status: 502 }, { status: 200, body: 'ok' }]);
+  const { transport, delays } = createTransport(fetchImpl, { baseDelayMs: 100 });
+
+  assert.equal(await transport.text('https://www.snapchat.com/@a'), 'ok');
+  assert.equal(calls.length, 3);
+  assert.deepEqual(delays, [100, 200]);
+});
+
+test('honours Retry-After on 429 and raises RateLimitedError when retries run out', async () => {
+  const { fetchImpl, calls } = scriptedFetch([{ status: 429, headers: { 'Retry-After': '2' } }]);
+  const { transport, delays } = createTransport(fetchImpl, { retries: 2 });
+
+  await assert.rejects(transport.request('https://www.snapchat.com/@a'), (error) => {
+    assert.ok(error instanceof RateLimitedError);
+    assert.equal(error.retryAfter, 2);
+    return true;
+  });
+  assert.equal(calls.length, 3);
+  assert.deepEqual(delays, [2000, 2000]);
+});
+
+test('does not retry 404 or 403', async () => {
+  for (const [status, ErrorType] of [[404, NotFoundError], [403, BlockedError]]) {
+    const { fetchImpl, calls } = scriptedFetch([{ status }]);
+    const { transport } = createTransport(fetchImpl);
+
+    await assert.rejects(transport.request('https://www.snapchat.com/@a'), ErrorType);
+    assert.equal(calls.length, 1);
+  }
+});
+
+test('wraps network errors and timeouts in UpstreamError', async () => {
+  const { fetchImpl } = scriptedFetch([new TypeError('fetch failed')]);
+  const { transport } = createTransport(fetchImpl, { retries: 1 });
+  await assert.rejects(transport.request('https://www.snapchat.com/@a'), UpstreamError);
+
+  // AbortSignal.timeout() does not keep the process alive, so hold it open until the abort
+  const hanging = (url, { signal }) => new Promise((resolve, reject) => {
+    const keepAlive = setTimeout(() => {}, 60 * 1000);
+    signal.addEventListener('abort', () => {
+      clearTimeout(keepAlive);
+      reject(signal.reason);
+    });
+  });
+  const { transport: slow } = createTransport(hanging, { retries: 0, timeoutMs: 10 });
+  await assert.rejects(slow.request('https://www.snapchat.com/@a'), (error) => {
+    assert.equal(error.code, 'upstream_timeout');
+    assert.equal(error.status, 504);
+    return true;
+  });
+});
+
+test('limits the number of concurrent requests', async () => {
+  let active = 0;
+  let peak = 0;
+  const fetchImpl = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    active--;
+    return new Response('ok');
+  };
+  const { transport } = createTransport(fetchImpl, { concurrency: 2 });
+
+  await Promise.all(Array.from({ length: 6 }, () => transport.text('https://www.snapchat.com/@a')));
+  assert.equal(peak, 2);
+});
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+  const now = Date.parse('2025-08-15T00:00:00Z');
+  assert.equal(parseRetryAfter('5', now), 5000);
+  assert.equal(parseRetryAfter('Fri, 15 Aug 2025 00:00:10 GMT', now), 10000);
+  assert.equal(parseRetryAfter('soon', now), null);
+});
+
+test('a bot challenge answered with 200 is BlockedError, not an empty profile', async () => {
+  const challenge = '<html><head><title>Just a moment...</title></head><body><script src="/cdn-cgi/challenge-platform/h/b/orchestrate/chl_page/v1"></script></body></html>';
+  const { fetchImpl, calls } = scriptedFetch([{ status: 200, body: challenge }]);
+  const scraper = new SnapchatScraper({ fetch: fetchImpl, cache: new TieredCache({ tiers: [new MemoryCache()] }) });
+
+  await assert.rejects(scraper.fetchProfile('moonlightbae'), BlockedError);
+  assert.equal(calls.length, 1);
+});
@@ -0,0 +1,196 @@
+/**
+ * Content item schema shared by the server scraper and the React client.
+ *
+ * Every tile the API returns (Spotlight video, Story, Lens or related profile)
+ * is normalized into one shape so consumers can switch on `kind` instead of
+ * sniffing URLs. Bump SCHEMA_VERSION whenever a field changes meaning.
+ *
+ * @typedef {'spotlight' | 'story' | 'lens' | 'profile'} ContentKind
+ *
+ * @typedef {Object} ContentItem
+ * @property {number} schemaVersion - Always SCHEMA_VERSION
+ * @property {ContentKind} kind - Discriminator for rendering and navigation
+ * @property {string} id - Stable identifier, e.g. "spotlight:W7_EDlXW..."
+ * @property {string|null} url - Absolute snapchat.com URL of the item
+ * @property {string|null} thumbnail - Absolute image URL; a media proxy path (shared/mediaProxy.js) in API responses
+ * @property {string|null} user - Creator username or display name
+ * @property {string|null} description - Caption, story title or profile bio
+ * @property {number|null} views - View count
+ * @property {number|null} comments - Comment count
+ * @property {number|null} shares - Share count
+ * @property {string|null} publishedAt - ISO 8601 upload date when known
+ */
+
+import { isMediaProxyPath } from './mediaProxy.js';
+
+export const SCHEMA_VERSION = 1;
+
+export const ITEM_KINDS = Object.freeze({
+  SPOTLIGHT: 'spotlight',
+  STORY: 'story',
+  LENS: 'lens',
+  PROFILE: 'profile'
+});
+
+const KIND_VALUES = Object.values(ITEM_KINDS);
+const BASE_URL = 'https://www.snapchat.com';
+const COUNT_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Parses counters such as 1200, "1,200", "12k" or "1.3M" into integers.
+ * @param {number|string|null|undefined} value
+ * @returns {number|null}
+ */
+export function parseCount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().replace(/,/g, '').match(/^(\d+(?:\.\d+)?)\s*([kmb])?$/i);
+  if (!match) return null;
+
+  const multiplier = match[2] ? COUNT_SUFFIXES[match[2].toLowerCase()] : 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+function toAbsoluteUrl(value) {
+  if (!value || typeof value !== 'string') return null;
+  try {
+    const url = new URL(value, BASE_URL);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Small non-cryptographic hash (FNV-1a) so ids stay stable in browser and Node alike
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Derives a stable id from the item URL, falling back to a hash of its content.
+ * @param {ContentKind} kind
+ * @param {string|null} url - Absolute URL
+ * @param {string} [fallback] - Text to hash when the URL carries no identifier
+ * @returns {string}
+ */
+export function deriveItemId(kind, url, fallback = '') {
+  let key = null;
+
+  if (url) {
+    const { pathname, searchParams } = new URL(url);
+    if (kind === ITEM_KINDS.SPOTLIGHT) {
+      key = pathname.match(/\/spotlight\/([^/]+)/)?.[1];
+    } else if (kind === ITEM_KINDS.STORY) {
+      const match = pathname.match(/\/@([^/]+)\/story\/([^/]+)/);
+      key = match && `${match[1]}/${match[2]}`;
+    } else if (kind === ITEM_KINDS.LENS) {
+      key = searchParams.get('uuid') || pathname.match(/\/unlock\/([^/]+)/)?.[1];
+    } else if (kind === ITEM_KINDS.PROFILE) {
+      key = pathname.match(/\/add\/([^/]+)/)?.[1] || pathname.match(/\/@([^/]+)/)?.[1];
+    }
+  }
+
+  return `${kind}:${key ? decodeKey(key) : hashString(url || fallback)}`;
+}
+
+// A malformed percent-escape keeps the key as written rather than failing the whole tab
+function decodeKey(key) {
+  try {
+    return decodeURIComponent(key);
+  } catch {
+    return key;
+  }
+}
+
+/**
+ * Normalizes raw parser output into a ContentItem.
+ * @param {Object} raw - Parser output; `kind` is required
+ * @returns {ContentItem}
+ */
+export function createContentItem(raw) {
+  const url = toAbsoluteUrl(raw.url);
+  const user = toText(raw.user);
+  const description = toText(raw.description);
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    kind: raw.kind,
+    id: toText(raw.id) || deriveItemId(raw.kind, url, `${user}:${description}`),
+    url,
+    thumbnail: toAbsoluteUrl(raw.thumbnail),
+    user,
+    description,
+    views: parseCount(raw.views),
+    comments: parseCount(raw.comments),
+    shares: parseCount(raw.shares),
+    publishedAt: toIsoDate(raw.publishedAt)
+  };
+}
+
+/**
+ * Checks an item against the schema.
+ * @param {*} item
+ * @returns {string[]} Validation errors; empty when the item is valid
+ */
+export function validateContentItem(item) {
+  if (!item || typeof item !== 'object') return ['item must be an object'];
+
+  const errors = [];
+  const isNullableString = (value) => value === null || typeof value === 'string';
+  const isNullableCount = (value) => value === null || (Number.isInteger(value) && value >= 0);
+  const isNullableUrl = (value) => value === null || (typeof value === 'string' && /^https?:\/\//.test(value));
+  const isNullableImage = (value) => isNullableUrl(value) || isMediaProxyPath(value);
+
+  if (item.schemaVersion !== SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${SCHEMA_VERSION}`);
+  }
+  if (!KIND_VALUES.includes(item.kind)) {
+    errors.push(`kind must be one of ${KIND_VALUES.join(', ')}`);
+  }
+  if (typeof item.id !== 'string' || !item.id) errors.push('id must be a non-empty string');
+  if (!isNullableUrl(item.url)) errors.push('url must be an absolute URL or null');
+  if (!isNullableImage(item.thumbnail)) errors.push('thumbnail must be an absolute URL, a media proxy path or null');
+  if (!isNullableString(item.user)) errors.push('user must be a string or null');
+  if (!isNullableString(item.description)) errors.push('description must be a string or null');
+  for (const counter of ['views', 'comments', 'shares']) {
+    if (!isNullableCount(item[counter])) errors.push(`${counter} must be a non-negative integer or null`);
+  }
+  if (item.publishedAt !== null && Number.isNaN(Date.parse(item.publishedAt))) {
+    errors.push('publishedAt must be an ISO date or null');
+  }
+
+  return errors;
+}
+
+/**
+ * Returns the id without its kind prefix, e.g. the Spotlight video id.
+ * @param {ContentItem} item
+ * @returns {string}
+ */
+export function getItemKey(item) {
+  return item.id.slice(item.kind.length + 1);
+}
+
+export function isContentItem(item) {
+  return validateContentItem(item).length === 0;
+}
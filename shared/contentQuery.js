@@ -0,0 +1,115 @@
+/**
+ * Sorting and filtering of tab content, shared by the API and the client.
+ *
+ * A query lives in the page URL and in API requests as the same search
+ * parameters: `sort`, `tag` (hashtag), `creator` and `minViews`. Defaults are
+ * left out so plain profile URLs stay clean.
+ *
+ * @typedef {Object} ContentQuery
+ * @property {string} sort - One of SORT_KEYS
+ * @property {string|null} tag - Hashtag without `#`, lower-case
+ * @property {string|null} creator - Username without `@`, lower-case
+ * @property {number|null} minViews
+ */
+
+export const DEFAULT_SORT = 'recent';
+
+// `recent` keeps Snapchat's own order; the client labels each key through its message catalog
+export const SORT_KEYS = Object.freeze(['recent', 'views', 'newest', 'oldest', 'shares']);
+
+export const DEFAULT_QUERY = Object.freeze({ sort: DEFAULT_SORT, tag: null, creator: null, minViews: null });
+
+const HASHTAG_PATTERN = /#([\p{L}\p{N}_]+)/gu;
+
+function toKeyword(value, prefix) {
+  const text = String(value || '').trim().replace(prefix, '').toLowerCase();
+  return text || null;
+}
+
+/**
+ * Reads a query from search parameters. Unknown sort keys fall back to the
+ * default; `strict` reports them instead.
+ * @param {URLSearchParams} params
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Throw on invalid values
+ * @returns {ContentQuery}
+ */
+export function parseContentQuery(params, { strict = false } = {}) {
+  const sort = params.get('sort') || DEFAULT_SORT;
+  const minViews = params.get('minViews');
+  const minViewsNumber = minViews === null || minViews === '' ? null : Number(minViews);
+
+  if (strict && !SORT_KEYS.includes(sort)) {
+    throw new RangeError(`sort must be one of ${SORT_KEYS.join(', ')}`);
+  }
+  if (strict && minViewsNumber !== null && !(Number.isInteger(minViewsNumber) && minViewsNumber >= 0)) {
+    throw new RangeError('minViews must be a non-negative integer');
+  }
+
+  return {
+    sort: SORT_KEYS.includes(sort) ? sort : DEFAULT_SORT,
+    tag: toKeyword(params.get('tag'), /^#/),
+    creator: toKeyword(params.get('creator'), /^@/),
+    minViews: Number.isInteger(minViewsNumber) && minViewsNumber > 0 ? minViewsNumber : null
+  };
+}
+
+/**
+ * @param {ContentQuery} query
+ * @returns {URLSearchParams} Only the values that differ from DEFAULT_QUERY
+ */
+export function contentQueryParams(query) {
+  const params = new URLSearchParams();
+  if (query.sort && query.sort !== DEFAULT_SORT) params.set('sort', query.sort);
+  if (query.tag) params.set('tag', query.tag);
+  if (query.creator) params.set('creator', query.creator);
+  if (query.minViews) params.set('minViews', String(query.minViews));
+  return params;
+}
+
+export function isDefaultQuery(query) {
+  return contentQueryParams(query).toString() === '';
+}
+
+/**
+ * @param {import('./contentItem.js').ContentItem} item
+ * @returns {string[]} Lower-case hashtags in the item's description
+ */
+export function getHashtags(item) {
+  return [...(item.description || '').matchAll(HASHTAG_PATTERN)].map((match) => match[1].toLowerCase());
+}
+
+// Missing values sort after present ones in either direction
+function compareNullable(a, b, direction) {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return (a - b) * direction;
+}
+
+const publishedTime = (item) => (item.publishedAt ? Date.parse(item.publishedAt) : null);
+
+const COMPARATORS = {
+  views: (a, b) => compareNullable(a.views, b.views, -1),
+  newest: (a, b) => compareNullable(publishedTime(a), publishedTime(b), -1),
+  oldest: (a, b) => compareNullable(publishedTime(a), publishedTime(b), 1),
+  // Comments break ties between equally shared items
+  shares: (a, b) => compareNullable(a.shares, b.shares, -1) || compareNullable(a.comments, b.comments, -1)
+};
+
+/**
+ * Filters and sorts items; the input array is left untouched.
+ * @param {import('./contentItem.js').ContentItem[]} items
+ * @param {ContentQuery} query
+ * @returns {import('./contentItem.js').ContentItem[]}
+ */
+export function applyContentQuery(items, query) {
+  const filtered = items.filter((item) =>
+    (!query.tag || getHashtags(item).includes(query.tag)) &&
+    (!query.creator || item.user?.replace(/^@/, '').toLowerCase() === query.creator) &&
+    (!query.minViews || (item.views !== null && item.views >= query.minViews))
+  );
+
+  const compare = COMPARATORS[query.sort];
+  return compare ? filtered.sort(compare) : filtered;
+}
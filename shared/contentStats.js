@@ -0,0 +1,50 @@
+/**
+ * Aggregate figures over a profile's content items, used by the compare view.
+ *
+ * @typedef {Object} ContentStats
+ * @property {number} count - Items considered
+ * @property {number|null} totalViews - Sum over items with a view count; null when none has one
+ * @property {number|null} medianViews
+ * @property {string|null} lastPostedAt - Newest `publishedAt`
+ * @property {number} postsLast30Days
+ * @property {number[]} weeklyPosts - Items published in each of the last `weeks` weeks, oldest first
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+export function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * @param {Object[]} items - Content items (shared/contentItem.js)
+ * @param {Object} [options]
+ * @param {number} [options.now] - Reference time in milliseconds
+ * @param {number} [options.weeks] - Length of `weeklyPosts`
+ * @returns {ContentStats}
+ */
+export function summarizeContent(items, { now = Date.now(), weeks = 8 } = {}) {
+  const views = items.map((item) => item.views).filter((value) => Number.isFinite(value));
+  const published = items
+    .map((item) => (item.publishedAt ? Date.parse(item.publishedAt) : NaN))
+    .filter((time) => Number.isFinite(time) && time <= now);
+
+  const weeklyPosts = new Array(weeks).fill(0);
+  for (const time of published) {
+    const age = Math.floor((now - time) / WEEK);
+    if (age < weeks) weeklyPosts[weeks - 1 - age] += 1;
+  }
+
+  return {
+    count: items.length,
+    totalViews: views.length > 0 ? views.reduce((sum, value) => sum + value, 0) : null,
+    medianViews: median(views),
+    lastPostedAt: published.length > 0 ? new Date(Math.max(...published)).toISOString() : null,
+    postsLast30Days: published.filter((time) => now - time < 30 * DAY).length,
+    weeklyPosts
+  };
+}
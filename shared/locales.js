@@ -0,0 +1,73 @@
+/**
+ * Locales the clone can be viewed in, shared by the API (upstream requests and
+ * cache keys) and the client (UI strings and number/date formatting).
+ */
+
+export const DEFAULT_LOCALE = 'en-US';
+
+// Set by the client's language selector so server-rendered pages use the same locale
+export const LOCALE_COOKIE = 'locale';
+
+// Snapchat's own `?locale=` values; labels are written in their own language
+export const SUPPORTED_LOCALES = [
+  { code: 'en-US', label: 'English (US)' },
+  { code: 'en-GB', label: 'English (UK)' },
+  { code: 'es-ES', label: 'Español' },
+  { code: 'fr-FR', label: 'Français' },
+  { code: 'de-DE', label: 'Deutsch' }
+];
+
+const CODES = SUPPORTED_LOCALES.map((locale) => locale.code);
+
+/**
+ * Maps a language tag onto a supported locale: an exact match first
+ * (case-insensitive, `_` accepted for `-`), then any locale of the same language.
+ * @param {string} value - e.g. "fr-CA", "en_us", "de"
+ * @returns {string|null} Supported locale code, or null when there is none for the language
+ */
+export function matchLocale(value) {
+  const tag = String(value || '').trim().replace(/_/g, '-').toLowerCase();
+  if (!tag) return null;
+
+  const exact = CODES.find((code) => code.toLowerCase() === tag);
+  if (exact) return exact;
+
+  const language = tag.split('-')[0];
+  return CODES.find((code) => code.toLowerCase().split('-')[0] === language) || null;
+}
+
+/**
+ * Picks the best supported locale for an Accept-Language header or a list of
+ * preferred languages (e.g. `navigator.languages`).
+ * @param {string|string[]} preferences
+ * @returns {string|null} Null when none of the languages is supported
+ */
+export function negotiateLocale(preferences) {
+  const ranked = Array.isArray(preferences)
+    ? preferences
+    : String(preferences || '')
+      .split(',')
+      .map((part, index) => {
+        const [tag, ...params] = part.trim().split(';');
+        const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+        return { tag, q: q ? Number(q.slice(2)) : 1, index };
+      })
+      .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+      .sort((a, b) => b.q - a.q || a.index - b.index)
+      .map(({ tag }) => tag);
+
+  for (const tag of ranked) {
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return null;
+}
+
+/**
+ * Accept-Language header for a request made on behalf of someone using `locale`.
+ * @param {string} locale - Supported locale code
+ * @returns {string} e.g. "fr-FR,fr;q=0.9"
+ */
+export function acceptLanguage(locale) {
+  return `${locale},${locale.split('-')[0]};q=0.9`;
+}
@@ -0,0 +1,108 @@
+/**
+ * Media proxy URLs shared by the server and the React client.
+ *
+ * Browsers load Snapchat images and videos through the server's `/media/`
+ * route instead of from Snapchat's CDNs, which keeps viewer IPs away from
+ * Snapchat and avoids CDN referer and CORS rules. A proxied URL keeps the
+ * upstream host and path, so `https://cf-st.sc-cdn.net/d/a.m3u8?sig=1` becomes
+ * `/media/cf-st.sc-cdn.net/d/a.m3u8?sig=1` and relative URLs inside HLS
+ * playlists and DASH manifests resolve through the proxy too.
+ */
+
+export const MEDIA_PROXY_PREFIX = '/media/';
+
+// Hosts Snapchat serves media from; the proxy fetches nothing else
+export const MEDIA_HOSTS = [
+  /(^|\.)sc-cdn\.net$/,
+  /(^|\.)snapchat\.com$/,
+  /^snap-dev\.storage\.googleapis\.com$/,
+  /^lens-storage\.storage\.googleapis\.com$/
+];
+
+const HOSTNAME = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+export function isMediaHost(hostname) {
+  return HOSTNAME.test(hostname) && MEDIA_HOSTS.some((host) => host.test(hostname));
+}
+
+/**
+ * Whether a value is an https URL on one of MEDIA_HOSTS.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isMediaUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && !url.port && !url.username && isMediaHost(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+export function isMediaProxyPath(value) {
+  return typeof value === 'string' && value.startsWith(MEDIA_PROXY_PREFIX);
+}
+
+/**
+ * Rewrites a Snapchat media URL to go through the proxy. Anything else (other
+ * hosts, null, already proxied paths) is returned unchanged.
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+export function proxyMediaUrl(value) {
+  if (!isMediaUrl(value)) return value;
+  const url = new URL(value);
+  return `${MEDIA_PROXY_PREFIX}${url.hostname}${url.pathname}${url.search}`;
+}
+
+/**
+ * The upstream URL behind a proxy path.
+ * @param {string} path - Path and query, e.g. `/media/cf-st.sc-cdn.net/d/a.jpg?sig=1`
+ * @returns {string|null} Null when the path doesn't name an allowed host
+ */
+export function upstreamMediaUrl(path) {
+  if (!isMediaProxyPath(path)) return null;
+  const rest = path.slice(MEDIA_PROXY_PREFIX.length);
+  const host = rest.split(/[/?#]/, 1)[0].toLowerCase();
+  if (!isMediaHost(host)) return null;
+
+  const url = `https://${host}${rest.slice(host.length).replace(/#.*$/, '') || '/'}`;
+  return isMediaUrl(url) && new URL(url).hostname === host ? url : null;
+}
+
+/**
+ * Rewrites the absolute Snapchat media URLs in a text document, e.g. an HLS
+ * playlist or DASH manifest. Relative URLs are left alone as they already
+ * resolve against the proxied document.
+ * @param {string} text
+ * @returns {string}
+ */
+export function proxyMediaUrlsInText(text) {
+  return text.replace(/https:\/\/([a-z0-9.-]+)(?=[/?"'<\s]|$)/gi, (match, host) => (
+    isMediaHost(host.toLowerCase()) ? `${MEDIA_PROXY_PREFIX}${host.toLowerCase()}` : match
+  ));
+}
+
+/**
+ * A Profile (shared/profileModel.js) with its images proxied.
+ * @param {Object} profile
+ * @returns {Object}
+ */
+export function proxyProfileMedia(profile) {
+  return {
+    ...profile,
+    image: proxyMediaUrl(profile.image),
+    snapcodeUrl: proxyMediaUrl(profile.snapcodeUrl),
+    images: Object.fromEntries(Object.entries(profile.images).map(([key, url]) => [key, proxyMediaUrl(url)]))
+  };
+}
+
+/**
+ * A ContentItem (shared/contentItem.js) with its thumbnail proxied.
+ * @param {Object} item
+ * @returns {Object}
+ */
+export function proxyItemMedia(item) {
+  return { ...item, thumbnail: proxyMediaUrl(item.thumbnail) };
+}
@@ -0,0 +1,202 @@
+/**
+ * Public profile model shared by the server scraper and the React client.
+ *
+ * Snapchat embeds the profile in the `__NEXT_DATA__` script of the profile
+ * page. PROFILE_PATHS is the single place that knows where each field lives;
+ * the server resolves them through its selector registry (so config overrides
+ * and match health apply) and the client renders the resulting Profile.
+ *
+ * @typedef {Object} ProfileImages
+ * @property {string|null} profilePicture - Square avatar
+ * @property {string|null} hero - Wide header image
+ * @property {string|null} squareHero - Square crop of the header image
+ *
+ * @typedef {Object} Profile
+ * @property {number} schemaVersion - Always PROFILE_SCHEMA_VERSION
+ * @property {string|null} username - Canonical username as Snapchat spells it
+ * @property {string|null} title - og:title (falls back to the page title)
+ * @property {string|null} description - og:description
+ * @property {string|null} image - og:image
+ * @property {string|null} displayName
+ * @property {string|null} bio
+ * @property {string|null} category - Label such as "Creator"
+ * @property {string|null} subcategory - Label such as "Artist"
+ * @property {boolean} verified
+ * @property {string|null} websiteUrl
+ * @property {string|null} snapcodeUrl
+ * @property {string|null} address - Free-form location, e.g. "Los Angeles, CA"
+ * @property {number|null} subscriberCount
+ * @property {ProfileImages} images
+ * @property {{ curated: boolean, spotlight: boolean }} highlights - Whether the tabs have highlights
+ */
+
+import { parseCount } from './contentItem.js';
+import { isMediaProxyPath } from './mediaProxy.js';
+
+export const PROFILE_SCHEMA_VERSION = 1;
+
+const PROFILE_INFO = 'props.pageProps.userProfile.publicProfileInfo';
+
+/**
+ * Ordered `__NEXT_DATA__` dot paths per profile field; later entries are
+ * fallbacks for older page layouts.
+ */
+export const PROFILE_PATHS = Object.freeze({
+  username: [`${PROFILE_INFO}.username`],
+  displayName: [`${PROFILE_INFO}.title`],
+  bio: [`${PROFILE_INFO}.bio`],
+  category: [`${PROFILE_INFO}.categoryStringId`],
+  subcategory: [`${PROFILE_INFO}.subcategoryStringId`],
+  verified: [`${PROFILE_INFO}.isVerified`],
+  websiteUrl: [`${PROFILE_INFO}.websiteUrl`],
+  snapcodeUrl: [`${PROFILE_INFO}.snapcodeImageUrl`],
+  address: [`${PROFILE_INFO}.address`],
+  subscriberCount: [
+    `${PROFILE_INFO}.subscriberCount`,
+    'props.pageProps.publicProfile.subscriberCount',
+    'props.initialProps.pageProps.profile.subscriberCount'
+  ],
+  profilePicture: [`${PROFILE_INFO}.profilePictureUrl`],
+  hero: [`${PROFILE_INFO}.heroImageUrl`],
+  squareHero: [`${PROFILE_INFO}.squareHeroImageUrl`],
+  curatedHighlights: [`${PROFILE_INFO}.hasCuratedHighlights`],
+  spotlightHighlights: [`${PROFILE_INFO}.hasSpotlightHighlights`]
+});
+
+export const PROFILE_FIELDS = Object.keys(PROFILE_PATHS);
+
+/**
+ * Reads a dot path such as "props.pageProps.userProfile" from an object.
+ * @returns {*} The value, or undefined when any segment is missing
+ */
+export function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+/**
+ * Returns the first non-null value among a field's paths.
+ * @param {Object} nextData - Parsed `__NEXT_DATA__`
+ * @param {string} field - Key of PROFILE_PATHS
+ * @returns {*}
+ */
+export function resolveProfileField(nextData, field) {
+  for (const path of PROFILE_PATHS[field]) {
+    const value = getPath(nextData, path);
+    if (value !== undefined && value !== null) return value;
+  }
+  return null;
+}
+
+/**
+ * Turns Snapchat category ids into labels, e.g.
+ * "public-profile-subcategory-v3-artist" -> "Artist".
+ * @param {string|null} id
+ * @returns {string|null}
+ */
+export function formatCategoryId(id) {
+  if (typeof id !== 'string' || !id) return null;
+
+  const words = id.replace(/^public-profile-(sub)?category-v\d+-/, '').replace(/[-_]+/g, ' ').trim();
+  return words ? words.charAt(0).toUpperCase() + words.slice(1) : null;
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+function toHttpUrl(value) {
+  if (!value || typeof value !== 'string') return null;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extracts every profile field from parsed `__NEXT_DATA__`.
+ * @param {Object} nextData
+ * @param {(field: string) => *} [resolve] - Field resolver; defaults to PROFILE_PATHS
+ * @returns {Object} Raw fields for createProfile
+ */
+export function extractProfileFields(nextData, resolve = (field) => resolveProfileField(nextData, field)) {
+  return Object.fromEntries(PROFILE_FIELDS.map((field) => [field, resolve(field)]));
+}
+
+/**
+ * Normalizes page metadata plus extracted fields into a Profile.
+ * @param {Object} raw - `title`, `description`, `image` and the PROFILE_PATHS fields
+ * @returns {Profile}
+ */
+export function createProfile(raw) {
+  return {
+    schemaVersion: PROFILE_SCHEMA_VERSION,
+    username: toText(raw.username),
+    title: toText(raw.title),
+    description: toText(raw.description),
+    image: toHttpUrl(raw.image),
+    displayName: toText(raw.displayName),
+    bio: toText(raw.bio),
+    category: formatCategoryId(raw.category),
+    subcategory: formatCategoryId(raw.subcategory),
+    verified: raw.verified === true,
+    websiteUrl: toHttpUrl(raw.websiteUrl),
+    snapcodeUrl: toHttpUrl(raw.snapcodeUrl),
+    address: toText(raw.address),
+    subscriberCount: parseCount(raw.subscriberCount),
+    images: {
+      profilePicture: toHttpUrl(raw.profilePicture),
+      hero: toHttpUrl(raw.hero),
+      squareHero: toHttpUrl(raw.squareHero)
+    },
+    highlights: {
+      curated: raw.curatedHighlights === true,
+      spotlight: raw.spotlightHighlights === true
+    }
+  };
+}
+
+/**
+ * Checks a profile against the schema.
+ * @param {*} profile
+ * @returns {string[]} Validation errors; empty when the profile is valid
+ */
+export function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object') return ['profile must be an object'];
+
+  const errors = [];
+  const isNullableString = (value) => value === null || typeof value === 'string';
+  const isNullableUrl = (value) => value === null || (typeof value === 'string' && /^https?:\/\//.test(value));
+  // API responses carry images as media proxy paths (shared/mediaProxy.js)
+  const isNullableImage = (value) => isNullableUrl(value) || isMediaProxyPath(value);
+
+  if (profile.schemaVersion !== PROFILE_SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${PROFILE_SCHEMA_VERSION}`);
+  }
+  for (const field of ['username', 'title', 'description', 'displayName', 'bio', 'category', 'subcategory', 'address']) {
+    if (!isNullableString(profile[field])) errors.push(`${field} must be a string or null`);
+  }
+  if (!isNullableUrl(profile.websiteUrl)) errors.push('websiteUrl must be an absolute URL or null');
+  for (const field of ['image', 'snapcodeUrl']) {
+    if (!isNullableImage(profile[field])) errors.push(`${field} must be an absolute URL, a media proxy path or null`);
+  }
+  if (typeof profile.verified !== 'boolean') errors.push('verified must be a boolean');
+  if (profile.subscriberCount !== null && !(Number.isInteger(profile.subscriberCount) && profile.subscriberCount >= 0)) {
+    errors.push('subscriberCount must be a non-negative integer or null');
+  }
+  if (!profile.images || typeof profile.images !== 'object') {
+    errors.push('images must be an object');
+  } else {
+    for (const field of ['profilePicture', 'hero', 'squareHero']) {
+      if (!isNullableImage(profile.images[field])) errors.push(`images.${field} must be an absolute URL, a media proxy path or null`);
+    }
+  }
+  if (!profile.highlights || typeof profile.highlights !== 'object') {
+    errors.push('highlights must be an object');
+  }
+
+  return errors;
+}
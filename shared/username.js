@@ -0,0 +1,50 @@
+/**
+ * Username handling shared by the API and the client search box.
+ */
+
+// Snapchat usernames are 3-15 characters; allow some slack for legacy accounts.
+export const USERNAME_PATTERN = /^[a-zA-Z][\w.-]{1,29}$/;
+
+const SNAPCHAT_HOST = /(^|\.)snapchat\.com$/i;
+
+/**
+ * Turns what people paste into a search box into a username: `@name`,
+ * `snapchat.com/add/name`, `https://www.snapchat.com/@name/spotlight/...`
+ * or a path on this site such as `/@name/stories`.
+ * @param {string} input
+ * @returns {string|null} Lower-case username, or null when none can be found
+ */
+export function normalizeUsername(input) {
+  let value = String(input || '').trim();
+  if (!value) return null;
+
+  const looksLikeUrl = /^(https?:\/\/)?([\w-]+\.)*snapchat\.com(\/|$)/i.test(value);
+  if (looksLikeUrl || value.startsWith('/')) {
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(value) || value.startsWith('/') ? value : `https://${value}`, 'https://www.snapchat.com');
+    } catch {
+      return null;
+    }
+    if (!value.startsWith('/') && !SNAPCHAT_HOST.test(url.hostname)) return null;
+
+    const [first, second] = url.pathname.split('/').filter(Boolean).map((segment) => {
+      try {
+        return decodeURIComponent(segment);
+      } catch {
+        return segment;
+      }
+    });
+    if (first === 'add') {
+      value = second || '';
+    } else if (first?.startsWith('@')) {
+      value = first;
+    } else {
+      // Old-style `?username=` links
+      value = url.searchParams.get('username') || '';
+    }
+  }
+
+  const username = value.replace(/^@/, '');
+  return USERNAME_PATTERN.test(username) ? username.toLowerCase() : null;
+}